@@ -0,0 +1,64 @@
+/**
+ * @file command-queue.js
+ * @description Sequential queue for gesture-triggered commands
+ * @dependencies None
+ */
+
+/**
+ * Create a queue that runs async commands one after another.
+ * Gestures fire in bursts, so a command waits for the previous one to
+ * finish instead of being dropped, and a newer command with the same key
+ * replaces one that has not started yet (only the latest intent counts).
+ * @returns {Object} Queue with enqueue(key, run), clear() and size()
+ */
+export function createCommandQueue() {
+    const pending = [];
+    let running = false;
+
+    async function drain() {
+        if (running) return;
+        running = true;
+
+        while (pending.length > 0) {
+            const command = pending.shift();
+            try {
+                await command.run();
+            } catch (error) {
+                console.error(`Command "${command.key}" failed:`, error);
+            }
+        }
+
+        running = false;
+    }
+
+    return {
+        /**
+         * Add a command to the queue
+         * @param {string} key - Command kind; replaces a waiting command of the same kind
+         * @param {Function} run - Async function performing the command
+         */
+        enqueue(key, run) {
+            const waiting = pending.findIndex(command => command.key === key);
+            if (waiting !== -1) {
+                pending.splice(waiting, 1);
+            }
+            pending.push({ key, run });
+            drain();
+        },
+
+        /**
+         * Drop all commands that have not started yet
+         */
+        clear() {
+            pending.length = 0;
+        },
+
+        /**
+         * Number of commands waiting to run
+         * @returns {number} Pending count
+         */
+        size() {
+            return pending.length;
+        }
+    };
+}
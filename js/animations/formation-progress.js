@@ -0,0 +1,107 @@
+/**
+ * @file formation-progress.js
+ * @description Continuous formation progress (0 = scattered, 1 = formed)
+ * @dependencies config.js, transitions.js, garlands.js, math-helpers.js
+ */
+
+import { runTransition, stopTransition } from './transitions.js';
+import { setGarlandsShown } from '../entities/garlands.js';
+import { clamp, lerp } from '../utils/math-helpers.js';
+
+// Share of the progress range used to stagger ornaments (bottom of the list moves first)
+const PROGRESS_SPREAD = 0.3;
+
+/**
+ * Smoothstep easing
+ * @param {number} t - Value in [0, 1]
+ * @returns {number} Eased value
+ */
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Position of one ornament at a given progress
+ * @param {Object} ornament - Ornament record
+ * @param {number} index - Ornament index
+ * @param {number} count - Ornament count
+ * @param {number} progress - Formation progress in [0, 1]
+ * @param {THREE.Vector3} target - Vector receiving the position
+ * @returns {THREE.Vector3} The target vector
+ */
+function ornamentPositionAt(ornament, index, count, progress, target) {
+    const start = (index / count) * PROGRESS_SPREAD;
+    const local = smoothstep(clamp((progress - start) / (1 - PROGRESS_SPREAD), 0, 1));
+    return target.lerpVectors(ornament.userData.scatterPosition, ornament.userData.formationPosition, local);
+}
+
+/**
+ * Place every element for a formation progress value
+ * @param {number} progress - 0 (scattered) to 1 (fully formed)
+ * @param {Array<Object>} ornaments - Ornament records
+ * @param {THREE.Mesh} topStar - Top star mesh
+ * @param {THREE.Group} garlands - Garlands (see garlands.js)
+ * @param {THREE.PointLight} starLight - Star light reference
+ */
+export function applyFormationProgress(progress, ornaments, topStar, garlands, starLight) {
+    ornaments.forEach((ornament, index) => {
+        ornamentPositionAt(ornament, index, ornaments.length, progress, ornament.position);
+    });
+
+    topStar.position.y = lerp(topStar.userData.scatterY, topStar.userData.formationY, smoothstep(progress));
+
+    // Garlands come in over the last part, once the shape is recognizable
+    setGarlandsShown(garlands, garlands.userData.formationVisible
+        ? smoothstep(clamp((progress - 0.6) / 0.4, 0, 1))
+        : 0);
+
+    if (starLight) {
+        starLight.color.lerpColors(starLight.userData.scatteredColor, starLight.userData.gatheredColor, progress);
+    }
+}
+
+/**
+ * Move to a formation progress value, interrupting any running transition.
+ * Ornaments that were mid-flight blend from where they are onto the
+ * progress path over a short ease instead of jumping.
+ * @param {number} progress - Target progress in [0, 1]
+ * @param {Array<Object>} ornaments - Ornament records
+ * @param {THREE.Mesh} topStar - Top star mesh
+ * @param {THREE.Group} garlands - Garlands (see garlands.js)
+ * @param {THREE.PointLight} starLight - Star light reference
+ * @param {Object} animationState - Animation state object with { animating, timeline, progress }
+ * @param {number} [duration=0.3] - Easing time in seconds
+ * @returns {Promise<boolean>} Resolves true when reached, false when interrupted
+ */
+export function scrubFormationProgress(progress, ornaments, topStar, garlands, starLight, animationState, duration = 0.3) {
+    stopTransition(animationState);
+
+    // Offsets between where ornaments are and where the progress path puts them
+    const offsets = [];
+    const onPath = new THREE.Vector3();
+    ornaments.forEach((ornament, index) => {
+        ornamentPositionAt(ornament, index, ornaments.length, animationState.progress, onPath);
+        offsets.push(ornament.position.clone().sub(onPath));
+    });
+
+    const blend = { value: 0 };
+    const timeline = gsap.timeline();
+    timeline.to(animationState, {
+        progress: clamp(progress, 0, 1),
+        duration,
+        ease: 'power1.out'
+    }, 0);
+    timeline.to(blend, {
+        value: 1,
+        duration,
+        ease: 'power1.out',
+        onUpdate: () => {
+            applyFormationProgress(animationState.progress, ornaments, topStar, garlands, starLight);
+            ornaments.forEach((ornament, index) => {
+                ornament.position.addScaledVector(offsets[index], 1 - blend.value);
+            });
+        }
+    }, 0);
+
+    return runTransition(animationState, timeline);
+}
@@ -1,66 +1,62 @@
 /**
  * @file gather.js
  * @description Gather animation - form the Christmas tree
- * @dependencies config.js
+ * @dependencies config.js, style-registry.js, garlands.js
  */
 
+import { addOrnamentTransition } from './styles/style-registry.js';
+import { addGarlandsShow } from '../entities/garlands.js';
+
 /**
- * Animate all elements to gather into tree formation
- * @param {Array<THREE.Mesh>} ornaments - Ornament meshes
+ * Animate all elements to gather into the current formation.
+ * Every tween starts from the current value, so a gather can pick up
+ * from a half-finished scatter without jumps.
+ * @param {Array<Object>} ornaments - Ornament records
  * @param {THREE.Mesh} topStar - Top star mesh
- * @param {THREE.Points} spiralRibbon - Spiral ribbon points
+ * @param {THREE.Group} garlands - Garlands (see garlands.js)
  * @param {THREE.PointLight} starLight - Star light reference
  * @param {Object} CONFIG - Configuration object
- * @returns {Promise} Resolves when animation completes
+ * @param {Object} [options] - Animation options
+ * @param {boolean} [options.stagger=true] - Stagger ornaments (off when reversing mid-flight)
+ * @param {string} [options.style] - Transition style id (defaults to CONFIG.transitionStyle.gather)
+ * @returns {gsap.core.Timeline} Timeline of the whole animation
  */
-export function gatherAll(ornaments, topStar, spiralRibbon, starLight, CONFIG) {
-    return new Promise((resolve) => {
-        // Change star light back to gold
-        if (starLight) {
-            gsap.to(starLight.color, {
-                r: 0xFF / 255,
-                g: 0xD7 / 255,
-                b: 0x00 / 255,
-                duration: 0.5
-            });
-        }
+export function gatherAll(ornaments, topStar, garlands, starLight, CONFIG, options = {}) {
+    const { stagger = true, style = CONFIG.transitionStyle.gather } = options;
+    const timeline = gsap.timeline();
+
+    // Change star light back to its gathered color (gold in the classic theme)
+    if (starLight) {
+        const { gatheredColor } = starLight.userData;
+        timeline.to(starLight.color, {
+            r: gatheredColor.r,
+            g: gatheredColor.g,
+            b: gatheredColor.b,
+            duration: 0.5
+        }, 0);
+    }
+
+    // Animate ornaments to formation positions
+    const targets = ornaments.map(ornament => ornament.userData.formationPosition);
+    addOrnamentTransition(timeline, style, ornaments, targets, 'gather', CONFIG, stagger);
 
-        // Animate ornaments to tree positions
-        ornaments.forEach((mesh, index) => {
-            const delay = index * 0.002; // Stagger effect
-            
-            gsap.to(mesh.position, {
-                x: mesh.userData.treePosition.x,
-                y: mesh.userData.treePosition.y,
-                z: mesh.userData.treePosition.z,
-                duration: CONFIG.animationDuration,
-                delay: delay,
-                ease: CONFIG.animationEase
-            });
-        });
+    // Animate top star
+    timeline.to(topStar.position, {
+        y: topStar.userData.formationY,
+        duration: CONFIG.animationDuration,
+        ease: CONFIG.animationEase
+    }, 0);
 
-        // Animate top star
-        gsap.to(topStar.position, {
-            y: topStar.userData.originalY,
-            duration: CONFIG.animationDuration,
-            ease: CONFIG.animationEase
-        });
+    timeline.to(topStar.rotation, {
+        y: Math.PI * 4,
+        duration: CONFIG.animationDuration,
+        ease: "power2.out"
+    }, 0);
 
-        gsap.to(topStar.rotation, {
-            y: Math.PI * 4,
-            duration: CONFIG.animationDuration,
-            ease: "power2.out"
-        });
+    // Show the garlands, each on its own cue (only for formations that use them)
+    if (garlands.userData.formationVisible) {
+        addGarlandsShow(timeline, garlands, CONFIG);
+    }
 
-        // Show spiral ribbon
-        setTimeout(() => {
-            spiralRibbon.visible = true;
-            spiralRibbon.material.opacity = 0;
-            gsap.to(spiralRibbon.material, {
-                opacity: 0.9,
-                duration: 0.5,
-                onComplete: resolve
-            });
-        }, CONFIG.animationDuration * 500);
-    });
+    return timeline;
 }
@@ -0,0 +1,47 @@
+/**
+ * @file morph.js
+ * @description Morph animation - move gathered ornaments from one formation to another
+ * @dependencies config.js, stagger.js, garlands.js
+ */
+
+import { getStaggerDelay } from './stagger.js';
+import { addGarlandsShow, addGarlandsHide } from '../entities/garlands.js';
+
+/**
+ * Animate gathered ornaments from their current positions to their formation targets
+ * @param {Array<Object>} ornaments - Ornament records
+ * @param {THREE.Mesh} topStar - Top star mesh
+ * @param {THREE.Group} garlands - Garlands (see garlands.js)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {gsap.core.Timeline} Timeline of the whole animation
+ */
+export function morphToFormation(ornaments, topStar, garlands, CONFIG) {
+    const timeline = gsap.timeline();
+
+    ornaments.forEach((ornament, index) => {
+        const target = ornament.userData.formationPosition;
+
+        timeline.to(ornament.position, {
+            x: target.x,
+            y: target.y,
+            z: target.z,
+            duration: CONFIG.animationDuration,
+            ease: "power2.inOut"
+        }, getStaggerDelay(index, ornaments.length, CONFIG));
+    });
+
+    timeline.to(topStar.position, {
+        y: topStar.userData.formationY,
+        duration: CONFIG.animationDuration,
+        ease: CONFIG.animationEase
+    }, 0);
+
+    // Show or hide the garlands depending on the new formation
+    if (garlands.userData.formationVisible) {
+        addGarlandsShow(timeline, garlands, CONFIG);
+    } else {
+        addGarlandsHide(timeline, garlands, 0);
+    }
+
+    return timeline;
+}
@@ -1,64 +1,59 @@
 /**
  * @file scatter.js
  * @description Scatter animation - disperse into chaos
- * @dependencies config.js, ornaments.js
+ * @dependencies config.js, ornaments.js, garlands.js, style-registry.js
  */
 
 import { calculateScatterPosition } from '../entities/ornaments.js';
+import { addGarlandsHide } from '../entities/garlands.js';
+import { addOrnamentTransition } from './styles/style-registry.js';
 
 /**
- * Animate all elements to scatter into chaos
- * @param {Array<THREE.Mesh>} ornaments - Ornament meshes
+ * Animate all elements to scatter into chaos.
+ * Every tween starts from the current value, so a scatter can pick up
+ * from a half-finished gather without jumps.
+ * @param {Array<Object>} ornaments - Ornament records
  * @param {THREE.Mesh} topStar - Top star mesh
- * @param {THREE.Points} spiralRibbon - Spiral ribbon points
+ * @param {THREE.Group} garlands - Garlands (see garlands.js)
  * @param {THREE.PointLight} starLight - Star light reference
  * @param {Object} CONFIG - Configuration object
- * @returns {Promise} Resolves when animation completes
+ * @param {Object} [options] - Animation options
+ * @param {boolean} [options.stagger=true] - Stagger ornaments (off when reversing mid-flight)
+ * @param {string} [options.style] - Transition style id (defaults to CONFIG.transitionStyle.scatter)
+ * @returns {gsap.core.Timeline} Timeline of the whole animation
  */
-export function scatterAll(ornaments, topStar, spiralRibbon, starLight, CONFIG) {
-    return new Promise((resolve) => {
-        // Change star light to ice blue
-        if (starLight) {
-            gsap.to(starLight.color, {
-                r: 0xE1 / 255,
-                g: 0xF5 / 255,
-                b: 0xFE / 255,
-                duration: 0.5
-            });
-        }
+export function scatterAll(ornaments, topStar, garlands, starLight, CONFIG, options = {}) {
+    const { stagger = true, style = CONFIG.transitionStyle.scatter } = options;
+    const timeline = gsap.timeline();
 
-        // Generate new scatter positions and animate
-        ornaments.forEach((mesh, index) => {
-            // Generate new random scatter position
-            mesh.userData.scatterPosition = calculateScatterPosition(CONFIG);
-            
-            const delay = index * 0.002;
-            
-            gsap.to(mesh.position, {
-                x: mesh.userData.scatterPosition.x,
-                y: mesh.userData.scatterPosition.y,
-                z: mesh.userData.scatterPosition.z,
-                duration: CONFIG.animationDuration,
-                delay: delay,
-                ease: CONFIG.animationEase
-            });
-        });
+    // Change star light to its scattered color (ice blue in the classic theme)
+    if (starLight) {
+        const { scatteredColor } = starLight.userData;
+        timeline.to(starLight.color, {
+            r: scatteredColor.r,
+            g: scatteredColor.g,
+            b: scatteredColor.b,
+            duration: 0.5
+        }, 0);
+    }
 
-        // Animate top star up
-        gsap.to(topStar.position, {
-            y: topStar.userData.scatterY,
-            duration: CONFIG.animationDuration,
-            ease: CONFIG.animationEase
-        });
-
-        // Hide spiral ribbon
-        gsap.to(spiralRibbon.material, {
-            opacity: 0,
-            duration: 0.3,
-            onComplete: () => {
-                spiralRibbon.visible = false;
-                resolve();
-            }
-        });
+    // Generate new scatter positions and animate
+    ornaments.forEach(ornament => {
+        // Generate new random scatter position
+        ornament.userData.scatterPosition = calculateScatterPosition(CONFIG);
     });
+    const targets = ornaments.map(ornament => ornament.userData.scatterPosition);
+    addOrnamentTransition(timeline, style, ornaments, targets, 'scatter', CONFIG, stagger);
+
+    // Animate top star up
+    timeline.to(topStar.position, {
+        y: topStar.userData.scatterY,
+        duration: CONFIG.animationDuration,
+        ease: CONFIG.animationEase
+    }, 0);
+
+    // Hide the garlands
+    addGarlandsHide(timeline, garlands, 0);
+
+    return timeline;
 }
@@ -0,0 +1,19 @@
+/**
+ * @file stagger.js
+ * @description Stagger timing shared by ornament animations
+ * @dependencies config.js
+ */
+
+/**
+ * Get the start delay of an ornament within a staggered animation.
+ * The per-ornament step shrinks for large ornament counts so the whole
+ * wave never takes longer than CONFIG.animationMaxStagger seconds.
+ * @param {number} index - Ornament index
+ * @param {number} count - Total ornament count
+ * @param {Object} CONFIG - Configuration object
+ * @returns {number} Delay in seconds
+ */
+export function getStaggerDelay(index, count, CONFIG) {
+    const step = Math.min(CONFIG.animationStagger, CONFIG.animationMaxStagger / Math.max(count, 1));
+    return index * step;
+}
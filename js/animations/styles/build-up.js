@@ -0,0 +1,56 @@
+/**
+ * @file build-up.js
+ * @description Build-up transition style - the formation grows from the ground
+ * @dependencies config.js
+ */
+
+/**
+ * Height of an ornament's formation target within the formation, 0 (bottom) to 1 (top)
+ * @param {Object} ornament - Ornament record
+ * @param {THREE.Box3} bounds - Bounds of all formation targets
+ * @returns {number} Normalized height
+ */
+function formationHeight(ornament, bounds) {
+    const span = bounds.max.y - bounds.min.y;
+    return span > 0 ? (ornament.userData.formationPosition.y - bounds.min.y) / span : 0;
+}
+
+/**
+ * Build-up style: on gather ornaments land on the ground under their target
+ * and rise into place layer by layer, lowest first. On scatter the
+ * formation is taken apart from the top down.
+ * @type {Object}
+ */
+export const buildUpStyle = {
+    id: 'build-up',
+    label: '🧱 Build up',
+    tween(timeline, ornament, target, context) {
+        const { CONFIG, formationBounds } = context;
+        const height = formationHeight(ornament, formationBounds);
+        const duration = CONFIG.animationDuration;
+
+        if (context.direction === 'gather') {
+            const delay = context.delayAt(height);
+            timeline.to(ornament.position, {
+                x: target.x,
+                y: formationBounds.min.y,
+                z: target.z,
+                duration: duration * 0.45,
+                ease: 'power2.out'
+            }, delay);
+            timeline.to(ornament.position, {
+                y: target.y,
+                duration: duration * 0.55,
+                ease: 'back.out(1.4)'
+            }, delay + duration * 0.45);
+        } else {
+            timeline.to(ornament.position, {
+                x: target.x,
+                y: target.y,
+                z: target.z,
+                duration,
+                ease: 'power2.in'
+            }, context.delayAt(1 - height));
+        }
+    }
+};
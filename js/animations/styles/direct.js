@@ -0,0 +1,25 @@
+/**
+ * @file direct.js
+ * @description Direct transition style - straight tweens in index order
+ * @dependencies config.js
+ */
+
+/**
+ * Direct style: every ornament takes the straight line to its target
+ * @type {Object}
+ */
+export const directStyle = {
+    id: 'direct',
+    label: '➡️ Direct',
+    tween(timeline, ornament, target, context) {
+        const { CONFIG, index, count } = context;
+
+        timeline.to(ornament.position, {
+            x: target.x,
+            y: target.y,
+            z: target.z,
+            duration: CONFIG.animationDuration,
+            ease: CONFIG.animationEase
+        }, context.delayAt(index / Math.max(count - 1, 1)));
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * @file explosion.js
+ * @description Explosion transition style - ornaments are blown out from the formation center
+ * @dependencies config.js, path-tween.js
+ */
+
+import { tweenAlongPath } from './path-tween.js';
+
+/**
+ * Explosion style: every ornament is thrown straight out from the formation center,
+ * falls under gravity, and settles onto its target as the flight fades out. Ornaments
+ * near the center go first, so the blast spreads outward.
+ * @type {Object}
+ */
+export const explosionStyle = {
+    id: 'explosion',
+    label: '💥 Explosion',
+    tween(timeline, ornament, target, context) {
+        const { CONFIG, formationBounds, rng } = context;
+        const { speed, gravity } = CONFIG.transitionStyleOptions.explosion;
+        const duration = CONFIG.animationDuration;
+        const center = formationBounds.getCenter(new THREE.Vector3());
+        const radius = formationBounds.getSize(new THREE.Vector3()).length() / 2;
+        const reach = radius > 0 ? Math.min(ornament.userData.formationPosition.distanceTo(center) / radius, 1) : 0;
+        const launchSpeed = speed * (0.7 + rng() * 0.6);
+        let velocity = null;
+
+        tweenAlongPath(timeline, ornament, target, {
+            duration,
+            ease: 'none'
+        }, context.delayAt(reach), (from, to, t, out) => {
+            // Launched along the line from the center through the start point (up from the center itself)
+            if (!velocity) {
+                velocity = from.clone().sub(center);
+                if (velocity.lengthSq() < 1e-6) velocity.set(0, 1, 0);
+                velocity.normalize().multiplyScalar(launchSpeed);
+            }
+
+            // Free flight in seconds since the launch
+            const time = t * duration;
+            out.copy(from).addScaledVector(velocity, time);
+            out.y -= 0.5 * gravity * time * time;
+
+            // Settle: the flight hands over to the target, arriving at rest
+            out.lerp(to, t * t * (3 - 2 * t));
+        });
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * @file path-tween.js
+ * @description Tween an ornament along a computed path instead of a straight line
+ * @dependencies None
+ */
+
+/**
+ * Add a tween that moves an ornament along a path.
+ * The start point is read when the tween starts, so staggered and
+ * interrupted transitions pick up from wherever the ornament is.
+ * @param {gsap.core.Timeline} timeline - Timeline to add to
+ * @param {Object} ornament - Ornament record
+ * @param {THREE.Vector3} target - End point
+ * @param {Object} vars - gsap vars (duration, ease)
+ * @param {number} position - Start time within the timeline
+ * @param {Function} path - (from, to, t, out) => void, writes the point at progress t into out
+ */
+export function tweenAlongPath(timeline, ornament, target, vars, position, path) {
+    const proxy = { t: 0 };
+    let from = null;
+
+    timeline.to(proxy, {
+        ...vars,
+        t: 1,
+        onUpdate: () => {
+            // First frame of the tween: remember where the ornament starts from
+            if (!from) {
+                from = ornament.position.clone();
+            }
+            path(from, target, proxy.t, ornament.position);
+        }
+    }, position);
+}
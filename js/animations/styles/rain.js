@@ -0,0 +1,51 @@
+/**
+ * @file rain.js
+ * @description Rain transition style - ornaments fall into place from above
+ * @dependencies config.js
+ */
+
+/**
+ * Rain style: on gather each ornament slips up above its target and drops
+ * onto it with a bounce, in random order like raindrops. On scatter the
+ * ornaments lift off upwards before drifting out.
+ * @type {Object}
+ */
+export const rainStyle = {
+    id: 'rain',
+    label: '🌧️ Rain',
+    tween(timeline, ornament, target, context) {
+        const { CONFIG, rng } = context;
+        const { height } = CONFIG.transitionStyleOptions.rain;
+        const lift = height * (0.6 + rng() * 0.4);
+        const delay = context.delayAt(rng());
+        const duration = CONFIG.animationDuration;
+
+        if (context.direction === 'gather') {
+            timeline.to(ornament.position, {
+                x: target.x,
+                y: target.y + lift,
+                z: target.z,
+                duration: duration * 0.4,
+                ease: 'power2.inOut'
+            }, delay);
+            timeline.to(ornament.position, {
+                y: target.y,
+                duration: duration * 0.6,
+                ease: 'bounce.out'
+            }, delay + duration * 0.4);
+        } else {
+            timeline.to(ornament.position, {
+                y: `+=${lift * 0.5}`,
+                duration: duration * 0.35,
+                ease: 'power2.out'
+            }, delay);
+            timeline.to(ornament.position, {
+                x: target.x,
+                y: target.y,
+                z: target.z,
+                duration: duration * 0.65,
+                ease: 'power1.inOut'
+            }, delay + duration * 0.35);
+        }
+    }
+};
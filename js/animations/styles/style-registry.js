@@ -0,0 +1,100 @@
+/**
+ * @file style-registry.js
+ * @description Registry of transition styles shared by the gather and scatter animations
+ * @dependencies config.js, stagger.js, random.js, direct.js, vortex.js, rain.js, build-up.js, explosion.js, wave.js
+ */
+
+import { getStaggerDelay } from '../stagger.js';
+import { random } from '../../utils/random.js';
+import { directStyle } from './direct.js';
+import { vortexStyle } from './vortex.js';
+import { rainStyle } from './rain.js';
+import { buildUpStyle } from './build-up.js';
+import { explosionStyle } from './explosion.js';
+import { waveStyle } from './wave.js';
+
+// Registered styles by id (insertion order is the UI order)
+const styles = new Map();
+
+/**
+ * Register a transition style
+ * @param {Object} style - Style definition
+ * @param {string} style.id - Unique identifier
+ * @param {string} style.label - Label shown in the UI
+ * @param {Function} style.tween - (timeline, ornament, target, context) => void, adds the
+ *     ornament's tweens to the timeline. context holds { CONFIG, direction ('gather' | 'scatter'),
+ *     index, count, stagger, formationBounds, delayAt(fraction), rng }
+ */
+export function registerTransitionStyle(style) {
+    if (!style.id || typeof style.tween !== 'function') {
+        throw new Error('Transition style needs an id and a tween() function');
+    }
+    styles.set(style.id, style);
+}
+
+/**
+ * Get a registered transition style
+ * @param {string} id - Style id
+ * @returns {Object} Style definition
+ */
+export function getTransitionStyle(id) {
+    const style = styles.get(id);
+    if (!style) {
+        throw new Error(`Unknown transition style: ${id}`);
+    }
+    return style;
+}
+
+/**
+ * Check whether a transition style is registered
+ * @param {string} id - Style id
+ * @returns {boolean} True if registered
+ */
+export function hasTransitionStyle(id) {
+    return styles.has(id);
+}
+
+/**
+ * List all registered transition styles
+ * @returns {Array<Object>} Style definitions
+ */
+export function listTransitionStyles() {
+    return Array.from(styles.values());
+}
+
+/**
+ * Add the ornament part of a gather or scatter to a timeline using a style
+ * @param {gsap.core.Timeline} timeline - Timeline to add to
+ * @param {string} id - Style id
+ * @param {Array<Object>} ornaments - Ornament records
+ * @param {Array<THREE.Vector3>} targets - Target position per ornament
+ * @param {string} direction - 'gather' or 'scatter'
+ * @param {Object} CONFIG - Configuration object
+ * @param {boolean} [stagger=true] - Spread start times (off when reversing mid-flight)
+ */
+export function addOrnamentTransition(timeline, id, ornaments, targets, direction, CONFIG, stagger = true) {
+    const style = getTransitionStyle(id);
+    const count = ornaments.length;
+
+    // Styles that order ornaments by their place in the shape need its extent
+    const formationBounds = new THREE.Box3();
+    ornaments.forEach(ornament => formationBounds.expandByPoint(ornament.userData.formationPosition));
+
+    const context = {
+        CONFIG,
+        direction,
+        count,
+        stagger,
+        formationBounds,
+        rng: random,
+        // Map a 0-1 ordering value onto the stagger wave
+        delayAt: (fraction) => (stagger ? getStaggerDelay(fraction * Math.max(count - 1, 1), count, CONFIG) : 0)
+    };
+
+    ornaments.forEach((ornament, index) => {
+        context.index = index;
+        style.tween(timeline, ornament, targets[index], context);
+    });
+}
+
+[directStyle, vortexStyle, rainStyle, buildUpStyle, explosionStyle, waveStyle].forEach(registerTransitionStyle);
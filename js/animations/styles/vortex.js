@@ -0,0 +1,39 @@
+/**
+ * @file vortex.js
+ * @description Vortex transition style - ornaments spiral around the tree axis
+ * @dependencies config.js, path-tween.js, math-helpers.js
+ */
+
+import { tweenAlongPath } from './path-tween.js';
+import { lerp } from '../../utils/math-helpers.js';
+
+/**
+ * Vortex style: interpolate in cylindrical coordinates around the Y axis and
+ * add whole turns on top, so ornaments swirl in (gather) or out (scatter)
+ * @type {Object}
+ */
+export const vortexStyle = {
+    id: 'vortex',
+    label: '🌀 Vortex',
+    tween(timeline, ornament, target, context) {
+        const { CONFIG, index, count } = context;
+        const { turns } = CONFIG.transitionStyleOptions.vortex;
+
+        // Gather swirls one way, scatter unwinds the other (whole turns so ornaments still land on target)
+        const spin = (context.direction === 'gather' ? 1 : -1) * Math.round(turns) * Math.PI * 2;
+
+        tweenAlongPath(timeline, ornament, target, {
+            duration: CONFIG.animationDuration * 1.2,
+            ease: 'power2.inOut'
+        }, context.delayAt(index / Math.max(count - 1, 1)), (from, to, t, out) => {
+            const fromAngle = Math.atan2(from.z, from.x);
+            const toAngle = Math.atan2(to.z, to.x);
+            // Shortest way round, then the extra turns
+            const delta = Math.atan2(Math.sin(toAngle - fromAngle), Math.cos(toAngle - fromAngle));
+            const angle = fromAngle + delta * t + spin * t;
+            const radius = lerp(Math.hypot(from.x, from.z), Math.hypot(to.x, to.z), t);
+
+            out.set(Math.cos(angle) * radius, lerp(from.y, to.y, t), Math.sin(angle) * radius);
+        });
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * @file wave.js
+ * @description Wave transition style - a crest sweeps across the formation
+ * @dependencies config.js, path-tween.js
+ */
+
+import { tweenAlongPath } from './path-tween.js';
+
+/**
+ * Wave style: ornaments start in a sweep from left to right across the
+ * formation and ride a crest on the way to their target
+ * @type {Object}
+ */
+export const waveStyle = {
+    id: 'wave',
+    label: '🌊 Wave',
+    tween(timeline, ornament, target, context) {
+        const { CONFIG, formationBounds } = context;
+        const { amplitude } = CONFIG.transitionStyleOptions.wave;
+        const span = formationBounds.max.x - formationBounds.min.x;
+        const sweep = span > 0 ? (ornament.userData.formationPosition.x - formationBounds.min.x) / span : 0;
+
+        tweenAlongPath(timeline, ornament, target, {
+            duration: CONFIG.animationDuration,
+            ease: 'sine.inOut'
+        }, context.delayAt(sweep), (from, to, t, out) => {
+            out.lerpVectors(from, to, t);
+            out.y += amplitude * Math.sin(Math.PI * t);
+        });
+    }
+};
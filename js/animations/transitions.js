@@ -8,36 +8,77 @@ import { gatherAll } from './gather.js';
 import { scatterAll } from './scatter.js';
 
 /**
- * Transition between gathered and scattered states
+ * Stop the running transition, leaving every element where it is
+ * @param {Object} animationState - Animation state object with { animating: boolean, timeline }
+ * @returns {boolean} True if a transition was interrupted
+ */
+export function stopTransition(animationState) {
+    if (!animationState.timeline) return false;
+
+    animationState.timeline.kill();
+    animationState.timeline = null;
+    animationState.animating = false;
+    return true;
+}
+
+/**
+ * Track a timeline as the current transition
+ * @param {Object} animationState - Animation state object with { animating: boolean, timeline }
+ * @param {gsap.core.Timeline} timeline - Transition timeline
+ * @returns {Promise<boolean>} Resolves true when it completes, false when interrupted
+ */
+export function runTransition(animationState, timeline) {
+    animationState.animating = true;
+    animationState.timeline = timeline;
+
+    return new Promise((resolve) => {
+        timeline.eventCallback('onComplete', () => {
+            if (animationState.timeline === timeline) {
+                animationState.animating = false;
+                animationState.timeline = null;
+            }
+            resolve(true);
+        });
+        timeline.eventCallback('onInterrupt', () => resolve(false));
+    });
+}
+
+/**
+ * Transition between gathered and scattered states.
+ * A transition already in flight is interrupted and the new one starts
+ * from the ornaments' current positions.
  * @param {boolean} toGathered - Target state
- * @param {Array<THREE.Mesh>} ornaments - Ornament meshes
+ * @param {Array<Object>} ornaments - Ornament records
  * @param {THREE.Mesh} topStar - Top star mesh
- * @param {THREE.Points} spiralRibbon - Spiral ribbon points
+ * @param {THREE.Group} garlands - Garlands (see garlands.js)
  * @param {THREE.PointLight} starLight - Star light reference
  * @param {Object} CONFIG - Configuration object
- * @param {Object} animationState - Animation state object with { animating: boolean }
- * @returns {Promise} Resolves when transition completes
+ * @param {Object} animationState - Animation state object with { animating: boolean, timeline, progress }
+ * @param {string} [style] - Transition style id for this transition (defaults to the one in CONFIG.transitionStyle)
+ * @returns {Promise<boolean>} Resolves true when the transition completes, false when interrupted
  */
-export async function transitionState(toGathered, ornaments, topStar, spiralRibbon, starLight, CONFIG, animationState) {
-    if (animationState.animating) return;
-    animationState.animating = true;
+export function transitionState(toGathered, ornaments, topStar, garlands, starLight, CONFIG, animationState, style) {
+    // Reversing mid-flight: skip the stagger so every ornament turns around at once
+    const interrupted = stopTransition(animationState);
+    const options = { stagger: !interrupted };
+    if (style) {
+        options.style = style;
+    }
 
-    const btn = document.getElementById('toggleBtn');
-    btn.disabled = true;
+    updateButtonState(toGathered);
 
-    if (toGathered) {
-        await gatherAll(ornaments, topStar, spiralRibbon, starLight, CONFIG);
-    } else {
-        await scatterAll(ornaments, topStar, spiralRibbon, starLight, CONFIG);
-    }
+    const timeline = toGathered
+        ? gatherAll(ornaments, topStar, garlands, starLight, CONFIG, options)
+        : scatterAll(ornaments, topStar, garlands, starLight, CONFIG, options);
+
+    // Keep the continuous formation progress in step (drives the slider)
+    timeline.to(animationState, {
+        progress: toGathered ? 1 : 0,
+        duration: CONFIG.animationDuration,
+        ease: 'none'
+    }, 0);
 
-    // Re-enable button after animation
-    setTimeout(() => {
-        animationState.animating = false;
-        btn.disabled = false;
-        btn.className = toGathered ? 'btn btn-scatter' : 'btn btn-gather';
-        btn.innerHTML = toGathered ? '💥 Scatter' : '🎄 Gather';
-    }, CONFIG.animationDuration * 1000);
+    return runTransition(animationState, timeline);
 }
 
 /**
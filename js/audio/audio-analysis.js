@@ -0,0 +1,228 @@
+/**
+ * @file audio-analysis.js
+ * @description Spectrum, band energy and beat analysis for audio-reactive mode.
+ * Pure functions with no Web Audio or DOM access, so the same analysis runs on
+ * live AnalyserNode data and offline on generated sample buffers.
+ * @dependencies config.js
+ */
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    // Butterflies
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Compute a spectrum on the same 0-1 scale as AnalyserNode.getByteFrequencyData() / 255:
+ * Blackman window, magnitude / N, converted to decibels and mapped from
+ * [minDecibels, maxDecibels] onto [0, 1]
+ * @param {Float32Array} samples - Time-domain samples in [-1, 1]
+ * @param {number} offset - Index of the first sample of the window
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Float32Array} fftSize / 2 spectrum values in [0, 1]
+ */
+export function computeSpectrum(samples, offset, CONFIG) {
+    const { fftSize, minDecibels, maxDecibels } = CONFIG.audio;
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+
+    for (let i = 0; i < fftSize; i++) {
+        const x = i / fftSize;
+        const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+        re[i] = (samples[offset + i] || 0) * window;
+    }
+    fft(re, im);
+
+    const spectrum = new Float32Array(fftSize / 2);
+    for (let k = 0; k < fftSize / 2; k++) {
+        const magnitude = Math.hypot(re[k], im[k]) / fftSize;
+        const decibels = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+        spectrum[k] = Math.min(Math.max((decibels - minDecibels) / (maxDecibels - minDecibels), 0), 1);
+    }
+    return spectrum;
+}
+
+/**
+ * Average spectrum value in each configured frequency band
+ * @param {ArrayLike<number>} spectrum - Spectrum values in [0, 1] (fftSize / 2 bins)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} bands - Band ranges in Hz, e.g. { bass: [20, 250] }
+ * @returns {Object} Energy per band name, each in [0, 1]
+ */
+export function getBandEnergies(spectrum, sampleRate, bands) {
+    const binWidth = sampleRate / 2 / spectrum.length;
+    const energies = {};
+
+    Object.keys(bands).forEach(name => {
+        const [low, high] = bands[name];
+        const first = Math.max(0, Math.floor(low / binWidth));
+        const last = Math.min(spectrum.length - 1, Math.ceil(high / binWidth));
+
+        let sum = 0;
+        for (let k = first; k <= last; k++) {
+            sum += spectrum[k];
+        }
+        energies[name] = last >= first ? sum / (last - first + 1) : 0;
+    });
+
+    return energies;
+}
+
+/**
+ * Create a beat detector.
+ * A beat is an energy value clearly above the recent average
+ * (energy > mean * sensitivity), with a cooldown between beats.
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object} Detector with update(energy, time) => boolean
+ */
+export function createBeatDetector(CONFIG) {
+    const { beatHistory, beatSensitivity, beatCooldown, beatMinEnergy } = CONFIG.audio;
+    const history = [];
+    let lastBeat = -Infinity;
+
+    return {
+        update(energy, time) {
+            const mean = history.length
+                ? history.reduce((sum, value) => sum + value, 0) / history.length
+                : Infinity;
+
+            history.push(energy);
+            if (history.length > beatHistory) {
+                history.shift();
+            }
+
+            const isBeat = energy > mean * beatSensitivity
+                && energy > beatMinEnergy
+                && time - lastBeat > beatCooldown;
+            if (isBeat) {
+                lastBeat = time;
+            }
+            return isBeat;
+        }
+    };
+}
+
+/**
+ * Create an analyzer that turns spectra into reactive levels.
+ * Band energies are smoothed and normalized against a slowly decaying
+ * peak (automatic gain), so quiet and loud tracks both use the full range;
+ * the peak never drops below CONFIG.audio.minPeak so near-silence stays dark.
+ * Beats are detected on the bass band and leave a pulse that decays over time.
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object} Analyzer with update(spectrum, sampleRate, time) => levels and reset()
+ */
+export function createAudioAnalyzer(CONFIG) {
+    const { bands, levelSmoothing, peakDecay, minPeak, pulseDecay } = CONFIG.audio;
+    let beatDetector = createBeatDetector(CONFIG);
+    let levels = null;
+    let peaks = null;
+    let lastTime = null;
+
+    return {
+        /**
+         * Analyze one spectrum frame
+         * @param {ArrayLike<number>} spectrum - Spectrum values in [0, 1]
+         * @param {number} sampleRate - Sample rate in Hz
+         * @param {number} time - Frame time in seconds
+         * @returns {Object} { bass, mid, treble, beat, pulse }, all in [0, 1] except beat (boolean)
+         */
+        update(spectrum, sampleRate, time) {
+            const dt = lastTime === null ? 0 : Math.max(time - lastTime, 0);
+            lastTime = time;
+
+            const energies = getBandEnergies(spectrum, sampleRate, bands);
+            if (!levels) {
+                levels = { pulse: 0 };
+                peaks = {};
+                Object.keys(bands).forEach(name => {
+                    levels[name] = 0;
+                    peaks[name] = minPeak;
+                });
+            }
+
+            Object.keys(bands).forEach(name => {
+                peaks[name] = Math.max(energies[name], peaks[name] * Math.pow(peakDecay, dt), minPeak);
+                const normalized = energies[name] / peaks[name];
+                levels[name] += (normalized - levels[name]) * (1 - levelSmoothing);
+            });
+
+            levels.beat = beatDetector.update(energies.bass, time);
+            levels.pulse = levels.beat ? 1 : levels.pulse * Math.pow(pulseDecay, dt);
+
+            return { ...levels };
+        },
+
+        /**
+         * Forget history (e.g. when a new track starts)
+         */
+        reset() {
+            beatDetector = createBeatDetector(CONFIG);
+            levels = null;
+            peaks = null;
+            lastTime = null;
+        }
+    };
+}
+
+/**
+ * Analyze a whole sample buffer offline, frame by frame
+ * @param {Float32Array} samples - Mono samples in [-1, 1] (e.g. AudioBuffer.getChannelData(0))
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} CONFIG - Configuration object
+ * @param {number} [hopSize] - Samples between frames (defaults to half the FFT size)
+ * @returns {Array<Object>} Levels per frame, each with its time in seconds
+ */
+export function analyzeSamples(samples, sampleRate, CONFIG, hopSize = CONFIG.audio.fftSize / 2) {
+    const analyzer = createAudioAnalyzer(CONFIG);
+    const frames = [];
+
+    for (let offset = 0; offset + CONFIG.audio.fftSize <= samples.length; offset += hopSize) {
+        const time = (offset + CONFIG.audio.fftSize) / sampleRate;
+        const spectrum = computeSpectrum(samples, offset, CONFIG);
+        frames.push({ time, ...analyzer.update(spectrum, sampleRate, time) });
+    }
+
+    return frames;
+}
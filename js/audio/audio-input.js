@@ -0,0 +1,93 @@
+/**
+ * @file audio-input.js
+ * @description Web Audio wiring for audio-reactive mode: routes an <audio> element
+ * through an AnalyserNode and reads its spectrum each frame
+ * @dependencies config.js
+ */
+
+/**
+ * Audio input state object
+ * @type {Object}
+ */
+export const audioInputState = {
+    context: null,
+    analyser: null,
+    element: null,
+    spectrum: null,
+    bytes: null
+};
+
+/**
+ * Route an <audio> element through an analyser (and on to the speakers).
+ * An element can only be connected once; later calls are no-ops.
+ * @param {HTMLAudioElement} element - Audio element to analyse
+ * @param {Object} CONFIG - Configuration object
+ */
+export function connectAudioElement(element, CONFIG) {
+    if (audioInputState.element === element) return;
+    if (audioInputState.element) {
+        throw new Error('Another audio element is already connected');
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = CONFIG.audio.fftSize;
+    analyser.minDecibels = CONFIG.audio.minDecibels;
+    analyser.maxDecibels = CONFIG.audio.maxDecibels;
+    analyser.smoothingTimeConstant = CONFIG.audio.analyserSmoothing;
+
+    const source = context.createMediaElementSource(element);
+    source.connect(analyser);
+    analyser.connect(context.destination);
+
+    // Browsers start audio contexts suspended until a user gesture
+    context.resume();
+    element.addEventListener('play', () => context.resume());
+
+    audioInputState.context = context;
+    audioInputState.analyser = analyser;
+    audioInputState.element = element;
+    audioInputState.bytes = new Uint8Array(analyser.frequencyBinCount);
+    audioInputState.spectrum = new Float32Array(analyser.frequencyBinCount);
+}
+
+/**
+ * Load a local audio file into an element, connect it and start playback
+ * @param {File} file - Audio file chosen by the user
+ * @param {HTMLAudioElement} element - Audio element to play it in
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<void>} Resolves once playback starts
+ */
+export function loadAudioFile(file, element, CONFIG) {
+    if (element.src.startsWith('blob:')) {
+        URL.revokeObjectURL(element.src);
+    }
+    element.src = URL.createObjectURL(file);
+    connectAudioElement(element, CONFIG);
+    return element.play();
+}
+
+/**
+ * Check whether connected audio is currently playing
+ * @returns {boolean} True while playing
+ */
+export function isAudioPlaying() {
+    const { element } = audioInputState;
+    return Boolean(element && !element.paused && !element.ended);
+}
+
+/**
+ * Read the current spectrum
+ * @returns {Float32Array|null} Spectrum values in [0, 1] (frequencyBinCount bins), or null without audio
+ */
+export function readSpectrum() {
+    const { analyser, bytes, spectrum } = audioInputState;
+    if (!analyser) return null;
+
+    analyser.getByteFrequencyData(bytes);
+    for (let i = 0; i < bytes.length; i++) {
+        spectrum[i] = bytes[i] / 255;
+    }
+    return spectrum;
+}
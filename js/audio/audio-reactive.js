@@ -0,0 +1,43 @@
+/**
+ * @file audio-reactive.js
+ * @description Map audio levels onto the scene: ornament glow, light pattern speed,
+ * twinkling stars and aurora brightness
+ * @dependencies config.js
+ */
+
+/**
+ * Levels that leave every element at its normal look
+ * @type {Object}
+ */
+export const NEUTRAL_LEVELS = { bass: 0, mid: 0, treble: 0, beat: false, pulse: 0 };
+
+/**
+ * Apply audio levels to the scene
+ * @param {Object} levels - { bass, mid, treble, pulse } in [0, 1] (see audio-analysis.js)
+ * @param {Object} targets - Scene elements
+ * @param {Array<Object>} targets.ornaments - Ornament records
+ * @param {THREE.Group} targets.garlands - Garlands (see garlands.js)
+ * @param {THREE.Points} targets.twinklingStars - Twinkling stars points
+ * @param {THREE.ShaderMaterial} targets.skyMaterial - Sky dome material
+ * @param {Object} CONFIG - Configuration object
+ */
+export function applyAudioLevels(levels, targets, CONFIG) {
+    const { ornaments, garlands, twinklingStars, skyMaterial } = targets;
+    const { emissiveBoost, ribbonSpeedBoost, twinkleBoost, auroraBoost } = CONFIG.audio;
+
+    // Ornaments flash on beats and glow with the bass
+    if (ornaments.length > 0) {
+        const material = ornaments[0].mesh.material;
+        const glow = Math.max(levels.pulse, levels.bass * 0.5);
+        material.emissiveIntensity = material.userData.baseEmissiveIntensity * (1 + emissiveBoost * glow);
+    }
+
+    // Light patterns on the garlands and ornaments run faster with the mids
+    garlands.userData.speedMultiplier = 1 + ribbonSpeedBoost * levels.mid;
+
+    // Stars sparkle with the treble
+    twinklingStars.material.uniforms.uIntensity.value = 1 + twinkleBoost * levels.treble;
+
+    // The aurora breathes with the bass (themes without one keep uAuroraStrength at 0)
+    skyMaterial.uniforms.uAuroraBrightness.value = 1 + auroraBoost * levels.bass;
+}
@@ -9,11 +9,16 @@
  * @type {Object}
  */
 export const CONFIG = {
+    // Festival mode (see festivals/festival-presets.js); set at startup or live
+    festival: 'christmas',
+    ornamentShapes: ['sphere', 'box'],  // Shapes drawn at random (repeat a shape to weight it)
+    ornamentShapePalette: {},           // Palette slots allowed per shape (default: any slot)
+    
     // Particle counts
     ornamentCount: 400,
     starDustCount: 1000,
     spiralDotCount: 200,
-    snowCount: 700,
+    snowCount: 6000,
     
     // Tree parameters (Cone shape)
     treeHeight: 20,
@@ -22,11 +27,147 @@ export const CONFIG = {
     // Scatter sphere radius
     scatterRadius: 50,
     
+    // Initial formation (see formations/builtin-formations.js)
+    formation: 'tree',
+    
+    // Continuous formation progress (slider, modifier + mouse wheel, hand openness)
+    formationProgress: {
+        wheelModifier: 'shiftKey', // KeyboardEvent flag that turns the wheel into a progress control
+        wheelStep: 0.0015          // Progress change per wheel delta unit
+    },
+    
+    // Text and logo formations
+    textFormation: {
+        fontFamily: "'Segoe UI', Tahoma, sans-serif",
+        fontWeight: 'bold',
+        fontSize: 160,          // Offscreen canvas font size (px)
+        maxImageSize: 512,      // Logos are downscaled to this many pixels
+        alphaThreshold: 128,    // Minimum alpha for a pixel to count as filled
+        maxWidthRatio: 2.2,     // Max width relative to treeHeight
+        depth: 1.5,             // Thickness of the lettering
+        useImageColors: true    // Color ornaments from logo pixels
+    },
+    
     // Animation
     animationDuration: 1.8,
     animationEase: "back.out(1.2)",
+    animationStagger: 0.002,    // Delay step between consecutive ornaments (seconds)
+    animationMaxStagger: 1.0,   // Upper bound for the whole stagger wave (seconds)
     
-    // Colors
+    // Transition styles (see animations/styles/style-registry.js)
+    transitionStyle: {
+        gather: 'direct',
+        scatter: 'direct'
+    },
+    transitionStyleOptions: {
+        vortex: { turns: 2 },           // Extra whole turns around the tree axis
+        rain: { height: 25 },           // Drop height above the target
+        explosion: { speed: 20, gravity: 15 }, // Launch speed out from the center (units/s) and gravity (units/s²)
+        wave: { amplitude: 6 }          // Crest height
+    },
+    
+    // Audio-reactive mode (see audio/audio-analysis.js)
+    audio: {
+        fftSize: 2048,
+        minDecibels: -100,          // Spectrum floor (maps to 0)
+        maxDecibels: -30,           // Spectrum ceiling (maps to 1)
+        analyserSmoothing: 0.6,     // AnalyserNode smoothingTimeConstant
+        bands: {                    // Frequency bands in Hz
+            bass: [20, 250],
+            mid: [250, 2000],
+            treble: [2000, 12000]
+        },
+        levelSmoothing: 0.5,        // Per-frame smoothing of band levels (0 = none)
+        peakDecay: 0.7,             // Auto-gain peak falloff per second
+        minPeak: 0.2,               // Auto-gain floor (keeps hiss from reading as loud)
+        pulseDecay: 0.02,           // Beat pulse remaining after one second
+        beatHistory: 43,            // Frames of bass energy averaged for beat detection
+        beatSensitivity: 1.3,       // Bass must exceed the average by this factor
+        beatMinEnergy: 0.15,        // Ignore beats in near-silence
+        beatCooldown: 0.25,         // Minimum seconds between beats
+        emissiveBoost: 4,           // Ornament glow at full pulse (x base)
+        ribbonSpeedBoost: 3,        // Extra light pattern speed at full mids
+        twinkleBoost: 1.5,          // Extra star brightness at full treble
+        auroraBoost: 2              // Extra aurora brightness at full bass
+    },
+    
+    // Garlands wound around the tree (see entities/garlands.js for every setting and its default)
+    // type: 'dots' (glowing points), 'tube' (solid rope light) or 'beads' (beaded string)
+    // direction: 1 or -1 (winding sense); radiusOffset: distance outside (+) or inside (-) the usual spiral
+    // color: 'accent' (follows the theme) or a hex color; dotCount: dots or beads (default spiralDotCount)
+    // show: 'fade' or 'grow' (winds on from the bottom); showDelay: fraction of animationDuration before it shows
+    // A red rope light, for example: { type: 'tube', turns: 4, thickness: 0.1, color: 0xD42426, show: 'grow' }
+    garlands: [
+        { type: 'dots', turns: 5, color: 'accent' },
+        { type: 'beads', turns: 3, direction: -1, radiusOffset: 0.4, dotCount: 90, color: 0xE0F7FA, show: 'grow', showDelay: 0.6, showDuration: 1 }
+    ],
+    
+    // Weather: wind for the snow, clouds, star dust and garlands, and how hard it snows
+    weather: {
+        mode: 'light-snow',     // Mode id (see weather/builtin-weather.js), or 'schedule'
+        direction: 30,          // Wind direction in degrees on the ground plane (0 = toward +x)
+        wander: 20,             // Degrees the wind direction drifts either way
+        transitionTime: 8,      // Seconds to blend from one mode to the next
+        garlandSway: 0.05,      // Garland lean at the top per unit of wind speed
+        cloudDrift: 0.5,        // Cloud speed per unit of wind speed
+        // Played in order, looping, when mode is 'schedule' (durations in seconds)
+        schedule: [
+            { mode: 'calm', duration: 60 },
+            { mode: 'light-snow', duration: 90 },
+            { mode: 'blizzard', duration: 30 },
+            { mode: 'light-snow', duration: 60 },
+            { mode: 'clear-night', duration: 60 }
+        ]
+    },
+    
+    // Light patterns on the garland lights and ornament glow (see lights/builtin-patterns.js)
+    lightShow: {
+        speed: 1,                   // Speed of every pattern (light speed slider)
+        interval: 20,               // Seconds per playlist entry (an entry's duration overrides it)
+        blendTime: 1,               // Seconds to fade from one pattern to the next
+        ornaments: true,            // Ornaments glow with the pattern too
+        ornamentGlow: 3,            // Extra ornament glow at full intensity (x base)
+        playlist: [                 // Entries: { pattern, duration, speed, direction: 'up'|'down', colors, ...pattern params }
+            { pattern: 'wave' },
+            { pattern: 'twinkle' },
+            { pattern: 'chase', direction: 'down' },
+            { pattern: 'rainbow' },
+            { pattern: 'alternate' },
+            { pattern: 'sparkle' },
+            { pattern: 'fade', colors: [0xFFD700, 0xD42426, 0x1B5E20] }
+        ]
+    },
+    
+    // Countdown mode (see countdown/countdown-time.js for targets)
+    countdown: {
+        enabled: false,
+        target: 'new-year',         // 'christmas-eve', 'new-year' or 'YYYY-MM-DDTHH:MM[:SS]'
+        timeZone: null,             // IANA time zone (e.g. 'Asia/Ho_Chi_Minh'); null = browser time
+        message: 'Happy Holidays!', // Shown at zero for custom dates
+        finalMinuteSeconds: 60,     // The tree gathers when this many seconds remain
+        finaleSeconds: 30,          // How long the fireworks finale lasts
+        textOffset: 4,              // Height of the countdown above the star
+        textScale: 3,               // Countdown sprite height
+        fireworks: {
+            launchInterval: 0.6,    // Average seconds between rockets
+            maxActive: 16,          // Rockets and bursts alive at once
+            particleCount: 150,     // Sparks per burst
+            burstSpeed: 12,         // Initial spark speed
+            burstHeight: [14, 28],  // Rockets burst between these heights
+            groundY: -12,           // Launch height
+            spread: 35,             // Launch radius around the tree
+            gravity: 12,
+            drag: 0.3,              // Spark speed kept after one second
+            sparkLife: 2.2,         // Seconds before sparks fade out
+            colors: [0xFFD700, 0xFF5252, 0x69F0AE, 0x40C4FF, 0xE040FB, 0xFFFFFF]
+        }
+    },
+    
+    // Color theme (see themes/theme-presets.js)
+    theme: 'classic',
+    themeCrossfade: 1.5,        // Seconds to fade between themes
+    
+    // Colors (the classic ornament palette; themes recolor ornaments by palette slot at runtime)
     colors: {
         red: 0xD42426,
         green: 0x1B5E20,
@@ -37,11 +178,122 @@ export const CONFIG = {
     
     // Hand tracking settings
     handTracking: {
+        // Where hand landmarks come from (see interactions/hand-input/input-registry.js):
+        // 'mediapipe' (webcam) or 'synthetic' (scripted demo hand); recordings use 'replay'
+        provider: 'mediapipe',
+        // MediaPipe Hands files. To run offline, copy every file of the @mediapipe/hands
+        // npm package into the project (e.g. vendor/mediapipe/hands/) and point both paths
+        // there; paths are URLs relative to index.html and end with a slash.
+        assets: {
+            scriptPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/', // hands.js
+            modelPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/'   // .wasm, .tflite, .binarypb and .data files
+        },
+        // Scripted hand for the 'synthetic' provider (see hand-input/synthetic-input.js)
+        syntheticScript: [
+            { pose: 'open', duration: 2000 },
+            { pose: 'fist', duration: 2500 },
+            { pose: 'open', duration: 1000, toX: 0.7 },      // Drift right (camera image x)...
+            { pose: 'open', duration: 300, x: 0.7, toX: 0.3 }, // ...then swipe
+            { pose: 'open', duration: 1000, x: 0.3, toX: 0.5 },
+            { pose: null, duration: 1500 }
+        ],
         gestureDebounceTime: 1000, // ms between gesture triggers
         minDetectionConfidence: 0.7,
         minTrackingConfidence: 0.5,
-        maxNumHands: 1,
-        modelComplexity: 1
+        maxNumHands: 2,         // 2 enables the two-hand camera controls (twoHands)
+        modelComplexity: 1,
+        opennessControl: false, // Hand openness drives formation progress instead of fist/open toggles
+        pinchDistance: 0.35,    // Thumb-to-index tip gap counted as touching (x palm length)
+        smoothingFrames: 5,     // Frames the gesture scores are averaged over
+        enterConfidence: 0.7,   // Smoothed confidence a gesture needs to take over
+        releaseConfidence: 0.3, // The current gesture holds until its confidence drops below this
+        switchMargin: 0.15,     // Lead another gesture needs over a still-held one to replace it
+        positionSmoothing: 0.08, // Time constant (seconds) of the palm position low-pass filter
+        swipeDistance: 0.25,    // Sideways palm travel that counts as a swipe (share of the camera image)
+        swipeTime: 400,         // ms the swipe must happen within
+        // Both hands in view steer the camera (one-hand gesture actions wait meanwhile)
+        twoHands: {
+            enabled: true,
+            zoomSpeed: 1.5,     // Spreading the hands to twice as far apart brings the camera 2^1.5 times closer
+            orbitSpeed: 2,      // Orbit per angle the hands turn (negative reverses)
+            raiseHeight: 0.3,   // Both palms above this share of the camera image (from the top) count as raised...
+            raiseTime: 400,     // ...once held this long (ms); triggers the 'hands-up' gesture
+            celebrationTime: 4  // Seconds of fireworks (countdown.fireworks settings) the celebrate action launches
+        },
+        // Overlay colors of each hand in the webcam view
+        handColors: {
+            right: { line: '#00FF00', joint: '#FF0000' },
+            left: { line: '#00BFFF', joint: '#FF00FF' }
+        },
+        // Action each gesture triggers (see interactions/builtin-gesture-actions.js); null does nothing.
+        // Actions: gather, scatter, next-formation, next-theme, burst-snow, screenshot, celebrate
+        gestures: {
+            fist: 'gather',
+            open: 'scatter',
+            pinch: 'burst-snow',
+            point: null,
+            peace: null,
+            'thumbs-up': 'screenshot',
+            ok: null,
+            'swipe-left': 'next-theme',
+            'swipe-right': 'next-formation',
+            'hands-up': 'celebrate'
+        }
+    },
+    
+    // Snow that collects on the ground, and on the tree and ornaments while gathered.
+    // Every landed flake adds snow, so heavier snowfall (snowCount) builds up faster.
+    snowCover: {
+        enabled: true,
+        groundY: -10,           // Ground height (flakes used to respawn here)
+        groundSize: 100,        // Width of the square snow field
+        groundSegments: 64,     // Height field resolution
+        depositPerFlake: 0.05,  // Snow one flake adds to the ground (in cell depth units)
+        maxDepth: 1.2,          // Deepest the ground snow gets
+        meltRate: 0.0005,       // Depth lost per second
+        settleChance: 0.5,      // Chance a flake falling onto the gathered tree stays on it
+        maxSettled: 1500,       // Most flakes resting on the tree at once
+        knockOffSpeed: 6        // Speed of the puff when the tree scatters
+    },
+    
+    // Snow motion (runs in the snow shader, so snowCount can go to 50k and beyond)
+    snowMotion: {
+        fallHeight: 80,         // Flakes fall from this high above the ground, then start over
+        minFallSpeed: 1.2,      // Units per second
+        maxFallSpeed: 4.8,
+        pushDistance: 3,        // How far the hand blows flakes aside
+        waveDistance: 10,       // How far the open-hand wave throws flakes out...
+        waveLift: 6,            // ...and up
+        waveDuration: 3,        // Seconds until a wave has settled
+        spiralSpin: 3           // Radians per second the fist spiral turns
+    },
+    
+    // Snowflake look (atlas cell, spin and tumble are picked per flake)
+    snowFlakes: {
+        spin: 1.5,              // Fastest spin, radians per second either way
+        tumble: 2,              // Fastest tumble, radians per second
+        nearFade: [2, 8],       // Flakes closer to the camera than this fade out (from, to)
+        farFade: [40, 120],     // Flakes fade toward farOpacity over this distance (from, to)
+        farOpacity: 0.35,
+        minPointSize: 1.5       // Pixels; smaller flakes are drawn this big but dimmer
+    },
+    
+    // Mouse and touch: hover pushes snow and star dust aside, click bursts, press-and-hold spins a vortex
+    pointerField: {
+        enabled: true,
+        radius: 6,              // Reach of the push around the pointer
+        vortexRadius: 10,       // Reach of the held vortex
+        holdTime: 0.35,         // Seconds held still before a press becomes a vortex (shorter presses click)
+        clickMaxMove: 6,        // Pixels a press may move and still click or hold (further drags orbit the camera)
+        fadeTime: 0.3,          // Seconds the push and vortex take to ease in and out
+        vortexSpin: 3,          // Radians per second the vortex turns the star dust
+        dustPush: 3             // How far star dust is pushed aside
+    },
+    
+    // Personal messages attached to ornaments (see persistence/message-file.js)
+    messages: {
+        enabled: true,          // Hovering and clicking ornaments shows their messages
+        highlightGlow: 5        // Glow of the hovered ornament (x base)
     },
     
     // Snow interaction
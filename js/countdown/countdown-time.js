@@ -0,0 +1,118 @@
+/**
+ * @file countdown-time.js
+ * @description Countdown target dates in a given time zone and remaining-time formatting
+ * @dependencies None
+ */
+
+/**
+ * Yearly countdown targets. Both count to midnight:
+ * Christmas Eve ends as December 25 begins, New Year as January 1 begins.
+ * @type {Object}
+ */
+export const COUNTDOWN_PRESETS = {
+    'christmas-eve': { label: '🎄 Christmas Eve', month: 12, day: 25, message: 'Merry Christmas!' },
+    'new-year': { label: '🎆 New Year', month: 1, day: 1, message: 'Happy New Year!' }
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {number} epochMs - Instant in epoch milliseconds
+ * @param {string} timeZone - IANA time zone name (e.g. 'Asia/Ho_Chi_Minh')
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+export function getZonedParts(epochMs, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+
+    const parts = {};
+    formatter.formatToParts(new Date(epochMs)).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * @param {Object} fields - { year, month, day, hour = 0, minute = 0, second = 0 }
+ * @param {string|null} timeZone - IANA time zone name, or null for the browser's local time
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedTimeToEpoch(fields, timeZone) {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = fields;
+    if (!timeZone) {
+        return new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+
+    // Guess as if the zone were UTC, then correct by the zone's offset at that
+    // instant; the second pass settles guesses that land across a DST switch
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    let epoch = wallClock;
+    for (let pass = 0; pass < 2; pass++) {
+        const p = getZonedParts(epoch, timeZone);
+        const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - epoch;
+        epoch = wallClock - offset;
+    }
+    return epoch;
+}
+
+/**
+ * Resolve a countdown target to an instant
+ * @param {string} target - Preset id ('christmas-eve', 'new-year') or a date-time 'YYYY-MM-DDTHH:MM[:SS]'
+ * @param {string|null} timeZone - IANA time zone name, or null for local time
+ * @param {number} nowMs - Current epoch milliseconds
+ * @param {number} [graceMs=0] - A yearly target this recently passed still counts (keeps the finale going)
+ * @returns {Object} { epoch, message } where message is null for custom dates
+ */
+export function resolveCountdownTarget(target, timeZone, nowMs, graceMs = 0) {
+    const preset = COUNTDOWN_PRESETS[target];
+
+    if (preset) {
+        const { year } = timeZone ? getZonedParts(nowMs, timeZone) : { year: new Date(nowMs).getFullYear() };
+        // This year's date unless it is already over, then next year's
+        for (let y = year; y <= year + 1; y++) {
+            const epoch = zonedTimeToEpoch({ year: y, month: preset.month, day: preset.day }, timeZone);
+            if (epoch > nowMs - graceMs || y === year + 1) {
+                return { epoch, message: preset.message };
+            }
+        }
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(target);
+    if (!match) {
+        throw new Error(`Unknown countdown target: ${target}`);
+    }
+    const [year, month, day, hour, minute, second] = match.slice(1).map(value => Number(value || 0));
+    return { epoch: zonedTimeToEpoch({ year, month, day, hour, minute, second }, timeZone), message: null };
+}
+
+/**
+ * Format remaining time for display: "12d 04:05:06", "04:05:06", or just the
+ * seconds in the final minute
+ * @param {number} remainingMs - Milliseconds until the target (clamped at 0)
+ * @returns {string} Display text
+ */
+export function formatRemaining(remainingMs) {
+    const totalSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+    if (totalSeconds <= 60) {
+        return String(totalSeconds);
+    }
+
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+    return days > 0 ? `${days}d ${clock}` : clock;
+}
@@ -0,0 +1,66 @@
+/**
+ * @file countdown.js
+ * @description Countdown mode state: counting → final minute → finale, then on to the next year
+ * @dependencies config.js, countdown-time.js
+ */
+
+import { resolveCountdownTarget, formatRemaining } from './countdown-time.js';
+
+/**
+ * Create a countdown
+ * @param {Object} CONFIG - Configuration object
+ * @param {Object} clock - Clock with now() => epoch milliseconds (see utils/clock.js)
+ * @returns {Object} Countdown with update() and getTarget()
+ */
+export function createCountdown(CONFIG, clock) {
+    const { target, timeZone, finalMinuteSeconds, finaleSeconds, message } = CONFIG.countdown;
+    const finaleMs = finaleSeconds * 1000;
+    let resolved = resolveCountdownTarget(target, timeZone, clock.now(), finaleMs);
+    let phase = null;
+
+    return {
+        /**
+         * Advance the countdown to the clock's current time
+         * @returns {Object} { phase, previousPhase, remainingMs, text } where phase is
+         *     'counting', 'final-minute', 'finale' or 'done' (a custom date that has passed)
+         */
+        update() {
+            const now = clock.now();
+            let remainingMs = resolved.epoch - now;
+
+            // Finale over: yearly targets roll on to next year
+            if (remainingMs <= -finaleMs) {
+                const next = resolveCountdownTarget(target, timeZone, now, 0);
+                if (next.epoch > now) {
+                    resolved = next;
+                    remainingMs = resolved.epoch - now;
+                }
+            }
+
+            const previousPhase = phase;
+            if (remainingMs > finalMinuteSeconds * 1000) {
+                phase = 'counting';
+            } else if (remainingMs > 0) {
+                phase = 'final-minute';
+            } else if (remainingMs > -finaleMs) {
+                phase = 'finale';
+            } else {
+                phase = 'done';
+            }
+
+            const text = phase === 'finale' || phase === 'done'
+                ? resolved.message || message
+                : formatRemaining(remainingMs);
+
+            return { phase, previousPhase, remainingMs, text };
+        },
+
+        /**
+         * Get the resolved target instant
+         * @returns {number} Epoch milliseconds
+         */
+        getTarget() {
+            return resolved.epoch;
+        }
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * @file countdown-text.js
+ * @description Countdown text floating above the top star
+ * @dependencies config.js
+ */
+
+/**
+ * Create the countdown text sprite (hidden until text is set)
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Object} CONFIG - Configuration object
+ * @returns {THREE.Sprite} Countdown sprite
+ */
+export function createCountdownText(scene, CONFIG) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1024;
+    canvas.height = 256;
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthWrite: false
+    });
+
+    const sprite = new THREE.Sprite(material);
+    const { textScale } = CONFIG.countdown;
+    sprite.scale.set(textScale * 4, textScale, 1);
+    sprite.visible = false;
+    sprite.userData = {
+        canvas,
+        text: ''
+    };
+    scene.add(sprite);
+
+    return sprite;
+}
+
+/**
+ * Set the countdown text; the canvas is only redrawn when the text changes
+ * @param {THREE.Sprite} sprite - Countdown sprite
+ * @param {string} text - Text to show (empty hides the sprite)
+ * @param {Object} CONFIG - Configuration object
+ */
+export function setCountdownText(sprite, text, CONFIG) {
+    sprite.visible = text !== '';
+    if (text === sprite.userData.text) return;
+    sprite.userData.text = text;
+
+    const { canvas } = sprite.userData;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Shrink the font for long messages so they fit the canvas
+    let fontSize = 160;
+    ctx.font = `${CONFIG.textFormation.fontWeight} ${fontSize}px ${CONFIG.textFormation.fontFamily}`;
+    const width = ctx.measureText(text).width;
+    if (width > canvas.width * 0.95) {
+        fontSize = Math.floor(fontSize * canvas.width * 0.95 / width);
+        ctx.font = `${CONFIG.textFormation.fontWeight} ${fontSize}px ${CONFIG.textFormation.fontFamily}`;
+    }
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(255, 215, 0, 0.8)';
+    ctx.shadowBlur = 24;
+    ctx.fillStyle = '#FFF8E1';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    sprite.material.map.needsUpdate = true;
+}
+
+/**
+ * Keep the countdown above the top star with a gentle bob
+ * @param {THREE.Sprite} sprite - Countdown sprite
+ * @param {THREE.Mesh} topStar - Top star mesh
+ * @param {number} time - Current time in seconds
+ * @param {Object} CONFIG - Configuration object
+ */
+export function updateCountdownText(sprite, topStar, time, CONFIG) {
+    if (!sprite.visible) return;
+
+    sprite.position.set(
+        topStar.position.x,
+        topStar.position.y + CONFIG.countdown.textOffset + Math.sin(time * 1.5) * 0.3,
+        topStar.position.z
+    );
+}
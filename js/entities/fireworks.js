@@ -0,0 +1,165 @@
+/**
+ * @file fireworks.js
+ * @description Fireworks particle system: rockets rise from the ground and burst in the sky
+ * @dependencies config.js, random.js
+ */
+
+import { random } from '../utils/random.js';
+
+/**
+ * Create the fireworks system
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Function} createTexture - Function to create the particle texture
+ * @returns {Object} Fireworks system with { scene, texture, rockets, bursts }
+ */
+export function createFireworks(scene, createTexture) {
+    return {
+        scene,
+        texture: createTexture(),
+        rockets: [],
+        bursts: []
+    };
+}
+
+/**
+ * Create a points object for firework particles
+ * @param {Object} fireworks - Fireworks system
+ * @param {number} count - Particle count
+ * @param {number} color - Particle color
+ * @param {number} size - Particle size
+ * @returns {THREE.Points} Points object (already added to the scene)
+ */
+function createParticles(fireworks, count, color, size) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+    const material = new THREE.PointsMaterial({
+        color,
+        size,
+        map: fireworks.texture,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false;
+    fireworks.scene.add(points);
+    return points;
+}
+
+/**
+ * Remove a points object and free its resources
+ * @param {Object} fireworks - Fireworks system
+ * @param {THREE.Points} points - Points object
+ */
+function disposeParticles(fireworks, points) {
+    fireworks.scene.remove(points);
+    points.geometry.dispose();
+    points.material.dispose();
+}
+
+/**
+ * Launch one rocket from the ground around the tree
+ * @param {Object} fireworks - Fireworks system
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
+ */
+export function launchFirework(fireworks, CONFIG, rng = random) {
+    const settings = CONFIG.countdown.fireworks;
+    if (fireworks.rockets.length + fireworks.bursts.length >= settings.maxActive) return;
+
+    const color = settings.colors[Math.floor(rng() * settings.colors.length)];
+    const points = createParticles(fireworks, 1, color, 1.2);
+
+    const angle = rng() * Math.PI * 2;
+    const distance = settings.spread * (0.3 + rng() * 0.7);
+    const position = new THREE.Vector3(Math.cos(angle) * distance, settings.groundY, Math.sin(angle) * distance);
+
+    // Launch speed that peaks at the chosen burst height: v = sqrt(2 * g * h)
+    const [minHeight, maxHeight] = settings.burstHeight;
+    const height = minHeight + rng() * (maxHeight - minHeight) - settings.groundY;
+    const velocity = new THREE.Vector3((rng() - 0.5) * 2, Math.sqrt(2 * settings.gravity * height), (rng() - 0.5) * 2);
+
+    fireworks.rockets.push({ points, position, velocity, color });
+}
+
+/**
+ * Burst a rocket into a sphere of sparks
+ * @param {Object} fireworks - Fireworks system
+ * @param {Object} rocket - Rocket that reached its peak
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} rng - Random number generator
+ */
+function burst(fireworks, rocket, CONFIG, rng) {
+    const settings = CONFIG.countdown.fireworks;
+    const count = settings.particleCount;
+    const points = createParticles(fireworks, count, rocket.color, 0.8);
+    const positions = points.geometry.attributes.position.array;
+    const velocities = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        // Uniform direction on a sphere, slightly varied speed for a fuller shell
+        const u = rng() * 2 - 1;
+        const theta = rng() * Math.PI * 2;
+        const r = Math.sqrt(1 - u * u);
+        const speed = settings.burstSpeed * (0.75 + rng() * 0.25);
+
+        velocities[i * 3] = r * Math.cos(theta) * speed;
+        velocities[i * 3 + 1] = u * speed;
+        velocities[i * 3 + 2] = r * Math.sin(theta) * speed;
+        positions[i * 3] = rocket.position.x;
+        positions[i * 3 + 1] = rocket.position.y;
+        positions[i * 3 + 2] = rocket.position.z;
+    }
+
+    fireworks.bursts.push({ points, velocities, age: 0 });
+}
+
+/**
+ * Advance rockets and sparks
+ * @param {Object} fireworks - Fireworks system
+ * @param {number} dt - Seconds since the last frame
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
+ */
+export function updateFireworks(fireworks, dt, CONFIG, rng = random) {
+    const { gravity, drag, sparkLife } = CONFIG.countdown.fireworks;
+
+    // Rockets rise until gravity stops them, then burst
+    fireworks.rockets = fireworks.rockets.filter(rocket => {
+        rocket.velocity.y -= gravity * dt;
+        rocket.position.addScaledVector(rocket.velocity, dt);
+        rocket.points.geometry.attributes.position.array.set([rocket.position.x, rocket.position.y, rocket.position.z]);
+        rocket.points.geometry.attributes.position.needsUpdate = true;
+
+        if (rocket.velocity.y > 0) return true;
+        burst(fireworks, rocket, CONFIG, rng);
+        disposeParticles(fireworks, rocket.points);
+        return false;
+    });
+
+    // Sparks slow down, fall and fade out
+    const damping = Math.pow(drag, dt);
+    fireworks.bursts = fireworks.bursts.filter(spark => {
+        spark.age += dt;
+        if (spark.age >= sparkLife) {
+            disposeParticles(fireworks, spark.points);
+            return false;
+        }
+
+        const positions = spark.points.geometry.attributes.position.array;
+        const { velocities } = spark;
+        for (let i = 0; i < velocities.length; i += 3) {
+            velocities[i] *= damping;
+            velocities[i + 1] = velocities[i + 1] * damping - gravity * 0.3 * dt;
+            velocities[i + 2] *= damping;
+            positions[i] += velocities[i] * dt;
+            positions[i + 1] += velocities[i + 1] * dt;
+            positions[i + 2] += velocities[i + 2] * dt;
+        }
+        spark.points.geometry.attributes.position.needsUpdate = true;
+        spark.points.material.opacity = 1 - spark.age / sparkLife;
+        return true;
+    });
+}
@@ -0,0 +1,374 @@
+/**
+ * @file garlands.js
+ * @description Garlands wound around the tree: point dots, solid tubes (rope lights) or beaded strings
+ * @dependencies config.js, light-show.js (drives the lights)
+ */
+
+// Brightness kept by tube and bead lights when a pattern turns them off
+const TUBE_MIN_BRIGHTNESS = 0.35;
+const BEAD_MIN_BRIGHTNESS = 0.5;
+
+// Scratch color used to write bead colors
+const scratchColor = new THREE.Color();
+
+/**
+ * Garland settings with defaults filled in
+ * @param {Object} garland - One entry of CONFIG.garlands
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object} Complete garland settings
+ */
+function resolveGarland(garland, CONFIG) {
+    return {
+        type: 'dots',
+        turns: 5,
+        direction: 1,
+        phase: 0,
+        color: 'accent',
+        radiusOffset: 0,
+        dotCount: CONFIG.spiralDotCount,
+        size: 0.5,
+        thickness: 0.12,
+        beadSize: 0.18,
+        opacity: 0.9,
+        show: 'fade',
+        showDelay: 0.5,
+        showDuration: 0.5,
+        hideDuration: 0.3,
+        ...garland
+    };
+}
+
+/**
+ * Spiral around the tree cone, slightly inside its surface
+ * @param {Object} settings - Resolved garland settings
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Function} (t, target) => THREE.Vector3 with t from 0 (bottom) to 1 (top)
+ */
+function createSpiralPath(settings, CONFIG) {
+    const H = CONFIG.treeHeight;
+    const R_base = CONFIG.treeBaseRadius;
+
+    return (t, target = new THREE.Vector3()) => {
+        const y = t * H - H / 2; // Center vertically
+        const r = Math.max(R_base * (1 - t) * 0.9 + settings.radiusOffset, 0);
+        const theta = settings.direction * t * settings.turns * Math.PI * 2 + settings.phase;
+        return target.set(r * Math.cos(theta), y, r * Math.sin(theta));
+    };
+}
+
+/**
+ * Garland of glowing point dots
+ * @param {Object} settings - Resolved garland settings
+ * @param {Function} path - Spiral path
+ * @param {THREE.Color} color - Base color
+ * @returns {THREE.Points} Dots
+ */
+function createDotGarland(settings, path, color) {
+    const count = settings.dotCount;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push(path(i / count));
+    }
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+
+    // Create size, opacity, color and position-along arrays for individual point animation
+    const sizes = new Float32Array(count);
+    const alphas = new Float32Array(count);
+    const lightColors = new Float32Array(count * 3);
+    const along = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        sizes[i] = settings.size;
+        alphas[i] = 0.5; // Visible by default
+        color.toArray(lightColors, i * 3);
+        along[i] = i / count;
+    }
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1));
+    geometry.setAttribute('lightColor', new THREE.BufferAttribute(lightColors, 3));
+    geometry.setAttribute('along', new THREE.BufferAttribute(along, 1));
+
+    // Custom shader material for per-particle opacity and color; uReveal hides the dots past it
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uOpacity: { value: 0 },
+            uReveal: { value: 1 }
+        },
+        vertexShader: `
+            attribute float size;
+            attribute float alpha;
+            attribute vec3 lightColor;
+            attribute float along;
+            varying float vAlpha;
+            varying vec3 vLightColor;
+            varying float vAlong;
+            void main() {
+                vAlpha = alpha;
+                vLightColor = lightColor;
+                vAlong = along;
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                gl_PointSize = size * (300.0 / -mvPosition.z);
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform float uOpacity;
+            uniform float uReveal;
+            varying float vAlpha;
+            varying vec3 vLightColor;
+            varying float vAlong;
+            void main() {
+                if (vAlong > uReveal) discard;
+                float dist = length(gl_PointCoord - vec2(0.5));
+                if (dist > 0.5) discard;
+                float strength = 1.0 - (dist * 2.0);
+                gl_FragColor = vec4(vLightColor, vAlpha * strength * uOpacity);
+            }
+        `,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+
+    const dots = new THREE.Points(geometry, material);
+    dots.userData.lightCount = count;
+    return dots;
+}
+
+/**
+ * Garland made of a solid glowing tube (rope light), lit ring by ring
+ * @param {Object} settings - Resolved garland settings
+ * @param {Function} path - Spiral path
+ * @returns {THREE.Mesh} Tube
+ */
+function createTubeGarland(settings, path) {
+    const curve = new THREE.Curve();
+    curve.getPoint = (t, target) => path(t, target);
+
+    const tubularSegments = Math.max(Math.round(settings.turns * 48), 16);
+    const radialSegments = 6;
+    const geometry = new THREE.TubeGeometry(curve, tubularSegments, settings.thickness, radialSegments, false);
+
+    const colors = new Float32Array(geometry.attributes.position.count * 3);
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+    const material = new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: 0
+    });
+
+    const tube = new THREE.Mesh(geometry, material);
+    tube.userData.lightCount = tubularSegments + 1; // One light per ring of vertices
+    tube.userData.ringSize = radialSegments + 1;
+    tube.userData.indicesPerSegment = radialSegments * 6;
+    tube.userData.segments = tubularSegments;
+    return tube;
+}
+
+/**
+ * Garland of beads on a string
+ * @param {Object} settings - Resolved garland settings
+ * @param {Function} path - Spiral path
+ * @returns {THREE.InstancedMesh} Beads
+ */
+function createBeadGarland(settings, path) {
+    const count = settings.dotCount;
+    const geometry = new THREE.SphereGeometry(settings.beadSize, 10, 8);
+    const material = new THREE.MeshStandardMaterial({
+        metalness: 0.4,
+        roughness: 0.3,
+        transparent: true,
+        opacity: 0
+    });
+
+    const beads = new THREE.InstancedMesh(geometry, material, count);
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        beads.setMatrixAt(i, matrix.makeTranslation(...path(i / count, position).toArray()));
+        beads.setColorAt(i, new THREE.Color(0xFFFFFF));
+    }
+    beads.userData.lightCount = count;
+    return beads;
+}
+
+/**
+ * Create every garland in CONFIG.garlands
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Object} CONFIG - Configuration object
+ * @returns {THREE.Group} Garlands group (one child per garland)
+ */
+export function createGarlands(scene, CONFIG) {
+    const garlands = new THREE.Group();
+    garlands.userData = {
+        formationVisible: true,
+        speedMultiplier: 1 // Raised by audio-reactive mode
+    };
+
+    CONFIG.garlands.forEach(entry => {
+        const settings = resolveGarland(entry, CONFIG);
+        const path = createSpiralPath(settings, CONFIG);
+        // 'accent' follows the theme; anything else is a fixed color
+        const color = new THREE.Color(settings.color === 'accent' ? CONFIG.colors.gold : settings.color);
+
+        let garland;
+        if (settings.type === 'tube') {
+            garland = createTubeGarland(settings, path);
+        } else if (settings.type === 'beads') {
+            garland = createBeadGarland(settings, path);
+        } else {
+            garland = createDotGarland(settings, path, color);
+        }
+
+        garland.userData.settings = settings;
+        garland.userData.color = color;
+        garland.userData.shown = 0; // 0 hidden → 1 fully shown
+        garland.userData.intensities = new Float32Array(garland.userData.lightCount);
+        garland.userData.lightColors = new Float32Array(garland.userData.lightCount * 3);
+        garland.frustumCulled = false;
+        applyGarlandShown(garland);
+        garlands.add(garland);
+    });
+
+    scene.add(garlands);
+    return garlands;
+}
+
+/**
+ * Show a garland according to its show amount and style:
+ * 'fade' fades the whole garland, 'grow' winds it on from the bottom up
+ * @param {THREE.Object3D} garland - One garland
+ */
+function applyGarlandShown(garland) {
+    const { settings, shown } = garland.userData;
+    const opacity = settings.show === 'grow' ? settings.opacity : settings.opacity * shown;
+    const reveal = settings.show === 'grow' ? shown : 1;
+
+    if (settings.type === 'tube') {
+        garland.material.opacity = opacity;
+        const segments = Math.round(garland.userData.segments * reveal);
+        garland.geometry.setDrawRange(0, segments * garland.userData.indicesPerSegment);
+    } else if (settings.type === 'beads') {
+        garland.material.opacity = opacity;
+        garland.count = Math.round(garland.userData.lightCount * reveal);
+    } else {
+        garland.material.uniforms.uOpacity.value = opacity;
+        garland.material.uniforms.uReveal.value = reveal;
+    }
+    garland.visible = shown > 0;
+}
+
+/**
+ * Add each garland's show animation to a gather or morph timeline
+ * (garlands still fading out turn around from where they are)
+ * @param {gsap.core.Timeline} timeline - Timeline to add to
+ * @param {THREE.Group} garlands - Garlands group
+ * @param {Object} CONFIG - Configuration object
+ */
+export function addGarlandsShow(timeline, garlands, CONFIG) {
+    garlands.children.forEach(garland => {
+        const { settings } = garland.userData;
+        timeline.to(garland.userData, {
+            shown: 1,
+            duration: settings.showDuration,
+            ease: settings.show === 'grow' ? 'power1.inOut' : 'none',
+            onUpdate: () => applyGarlandShown(garland)
+        }, CONFIG.animationDuration * settings.showDelay);
+    });
+}
+
+/**
+ * Add each garland's hide animation to a timeline
+ * @param {gsap.core.Timeline} timeline - Timeline to add to
+ * @param {THREE.Group} garlands - Garlands group
+ * @param {number} [position=0] - Timeline position
+ */
+export function addGarlandsHide(timeline, garlands, position = 0) {
+    garlands.children.forEach(garland => {
+        timeline.to(garland.userData, {
+            shown: 0,
+            duration: garland.userData.settings.hideDuration,
+            onUpdate: () => applyGarlandShown(garland)
+        }, position);
+    });
+}
+
+/**
+ * Set how far every garland is shown, without animation
+ * @param {THREE.Group} garlands - Garlands group
+ * @param {number} shown - 0 (hidden) to 1 (fully shown)
+ */
+export function setGarlandsShown(garlands, shown) {
+    garlands.children.forEach(garland => {
+        garland.userData.shown = shown;
+        applyGarlandShown(garland);
+    });
+}
+
+/**
+ * Lean the garlands with the wind: every point moves downwind in proportion to its
+ * height above the tree base, so the base stays put and the top sways most
+ * @param {THREE.Group} garlands - Garlands group
+ * @param {THREE.Vector2} wind - Wind velocity on the ground plane (x, z)
+ * @param {Object} CONFIG - Configuration object
+ */
+export function swayGarlands(garlands, wind, CONFIG) {
+    const H = CONFIG.treeHeight;
+    const leanX = wind.x * CONFIG.weather.garlandSway;
+    const leanZ = wind.y * CONFIG.weather.garlandSway;
+
+    garlands.matrixAutoUpdate = false;
+    garlands.matrix.set(
+        1, leanX / H, 0, leanX / 2,
+        0, 1, 0, 0,
+        0, leanZ / H, 1, leanZ / 2,
+        0, 0, 0, 1
+    );
+    garlands.matrixWorldNeedsUpdate = true;
+}
+
+/**
+ * Show light levels on a garland's lights (see lights/light-show.js)
+ * @param {THREE.Object3D} garland - One garland
+ * @param {Float32Array} intensities - Brightness per light in [0, 1]
+ * @param {Float32Array} colors - RGB per light
+ */
+export function updateGarlandLights(garland, intensities, colors) {
+    if (!garland.visible) return;
+
+    const { settings } = garland.userData;
+
+    if (settings.type === 'tube') {
+        const vertexColors = garland.geometry.attributes.color;
+        const ringSize = garland.userData.ringSize;
+        for (let ring = 0; ring < intensities.length; ring++) {
+            const brightness = TUBE_MIN_BRIGHTNESS + (1 - TUBE_MIN_BRIGHTNESS) * intensities[ring];
+            const r = colors[ring * 3] * brightness;
+            const g = colors[ring * 3 + 1] * brightness;
+            const b = colors[ring * 3 + 2] * brightness;
+            for (let v = ring * ringSize; v < (ring + 1) * ringSize; v++) {
+                vertexColors.setXYZ(v, r, g, b);
+            }
+        }
+        vertexColors.needsUpdate = true;
+    } else if (settings.type === 'beads') {
+        for (let i = 0; i < intensities.length; i++) {
+            const brightness = BEAD_MIN_BRIGHTNESS + (1 - BEAD_MIN_BRIGHTNESS) * intensities[i];
+            garland.setColorAt(i, scratchColor.fromArray(colors, i * 3).multiplyScalar(brightness));
+        }
+        garland.instanceColor.needsUpdate = true;
+    } else {
+        const geometry = garland.geometry;
+        const sizes = geometry.attributes.size.array;
+        const alphas = geometry.attributes.alpha.array;
+        for (let i = 0; i < intensities.length; i++) {
+            // Set size and opacity based on intensity
+            sizes[i] = settings.size + intensities[i] * 2.5; // 0.5 to 3.0 at the default size
+            alphas[i] = 0.5 + intensities[i] * 0.5; // 0.5 to 1.0
+        }
+        geometry.attributes.lightColor.array.set(colors);
+        geometry.attributes.size.needsUpdate = true;
+        geometry.attributes.alpha.needsUpdate = true;
+        geometry.attributes.lightColor.needsUpdate = true;
+    }
+}
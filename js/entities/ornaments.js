@@ -1,17 +1,20 @@
 /**
  * @file ornaments.js
  * @description Ornament creation and update logic
- * @dependencies config.js, geometry-helpers.js
+ * @dependencies config.js, random.js
  */
 
+import { random } from '../utils/random.js';
+
 /**
  * Calculate position on tree cone
  * @param {number} index - Ornament index
  * @param {number} total - Total ornament count
  * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
  * @returns {THREE.Vector3} Position on tree
  */
-export function calculateTreePosition(index, total, CONFIG) {
+export function calculateTreePosition(index, total, CONFIG, rng = random) {
     const H = CONFIG.treeHeight;
     const R_base = CONFIG.treeBaseRadius;
     
@@ -32,19 +35,19 @@ export function calculateTreePosition(index, total, CONFIG) {
     const r_at_y = R_base * (1 - y_local / H);
     
     // Random angle for this particle
-    const theta = Math.random() * Math.PI * 2;
+    const theta = rng() * Math.PI * 2;
     
     // Adjust randomness based on height for better distribution
     let r_random;
     if (y < -5) {
         // Bottom: wider spread for fuller look
-        r_random = r_at_y * (0.7 + Math.random() * 0.5);
+        r_random = r_at_y * (0.7 + rng() * 0.5);
     } else if (y > 5) {
         // Top: tighter for elegant look
-        r_random = r_at_y * (0.85 + Math.random() * 0.3);
+        r_random = r_at_y * (0.85 + rng() * 0.3);
     } else {
         // Middle: standard spread
-        r_random = r_at_y * (0.8 + Math.random() * 0.4);
+        r_random = r_at_y * (0.8 + rng() * 0.4);
     }
     
     // Convert to Cartesian coordinates
@@ -57,165 +60,364 @@ export function calculateTreePosition(index, total, CONFIG) {
 /**
  * Calculate scatter position in sphere
  * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
  * @returns {THREE.Vector3} Random position in sphere
  */
-export function calculateScatterPosition(CONFIG) {
+export function calculateScatterPosition(CONFIG, rng = random) {
     const radius = CONFIG.scatterRadius;
     
     // Random point in sphere using rejection sampling for uniform distribution
     let x, y, z;
     do {
-        x = (Math.random() - 0.5) * 2 * radius;
-        y = (Math.random() - 0.5) * 2 * radius;
-        z = (Math.random() - 0.5) * 2 * radius;
+        x = (rng() - 0.5) * 2 * radius;
+        y = (rng() - 0.5) * 2 * radius;
+        z = (rng() - 0.5) * 2 * radius;
     } while (x*x + y*y + z*z > radius * radius);
     
     return new THREE.Vector3(x, y, z);
 }
 
 /**
- * Create ornaments and add to scene
- * @param {THREE.Scene} scene - Three.js scene
+ * Shared unit geometries for each ornament shape.
+ * Instances are scaled to their individual size through the instance matrix.
+ * @type {Object<string, Function>}
+ */
+const ORNAMENT_GEOMETRIES = {
+    box: () => new THREE.BoxGeometry(1, 1, 1),
+    sphere: () => new THREE.SphereGeometry(0.5, 16, 16),
+    lantern: createLanternGeometry,
+    envelope: () => new THREE.BoxGeometry(0.7, 1, 0.08),
+    blossom: createBlossomGeometry
+};
+
+/**
+ * Round paper lantern: a lathed oval body with flat caps, about one unit tall
+ * @returns {THREE.LatheGeometry} Lantern geometry
+ */
+function createLanternGeometry() {
+    const profile = [
+        new THREE.Vector2(0, -0.5),
+        new THREE.Vector2(0.2, -0.5),
+        new THREE.Vector2(0.42, -0.25),
+        new THREE.Vector2(0.5, 0),
+        new THREE.Vector2(0.42, 0.25),
+        new THREE.Vector2(0.2, 0.5),
+        new THREE.Vector2(0, 0.5)
+    ];
+    return new THREE.LatheGeometry(profile, 12);
+}
+
+/**
+ * Five-petal blossom (apricot / peach flower), about one unit across
+ * @returns {THREE.ExtrudeGeometry} Blossom geometry
+ */
+function createBlossomGeometry() {
+    const shape = new THREE.Shape();
+    const petals = 5;
+    const steps = 60;
+
+    // Rose curve r = |cos(5θ/2)| gives five rounded petals
+    for (let i = 0; i <= steps; i++) {
+        const theta = (i / steps) * Math.PI * 2;
+        const r = 0.2 + 0.3 * Math.abs(Math.cos((petals / 2) * theta));
+        const x = Math.cos(theta) * r;
+        const y = Math.sin(theta) * r;
+        if (i === 0) {
+            shape.moveTo(x, y);
+        } else {
+            shape.lineTo(x, y);
+        }
+    }
+
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: 0.12, bevelEnabled: false });
+    geometry.translate(0, 0, -0.06);
+    return geometry;
+}
+
+/**
+ * Get the names of all supported ornament shapes
+ * @returns {Array<string>} Shape names
+ */
+export function getOrnamentShapes() {
+    return Object.keys(ORNAMENT_GEOMETRIES);
+}
+
+// Scratch object used to compose instance matrices
+const dummy = new THREE.Object3D();
+
+/**
+ * Generate the ornament layout on the tree (shape, size, color and position)
  * @param {Object} CONFIG - Configuration object
- * @returns {Array<THREE.Mesh>} Array of ornament meshes
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<Object>} Ornament descriptors
  */
-export function createOrnaments(scene, CONFIG) {
-    const ornaments = [];
+export function generateOrnamentLayout(CONFIG, rng = random) {
+    const layout = [];
     const colorArray = [
         CONFIG.colors.red,
         CONFIG.colors.green,
         CONFIG.colors.gold,
         CONFIG.colors.brown
     ];
+    const shapes = CONFIG.ornamentShapes;
+
+    // Palette slot for a shape: some shapes only come in a few colors (e.g. red lanterns)
+    const pickPaletteIndex = (shape) => {
+        const slots = CONFIG.ornamentShapePalette[shape];
+        return slots
+            ? slots[Math.floor(rng() * slots.length)]
+            : Math.floor(rng() * colorArray.length);
+    };
 
     const H = CONFIG.treeHeight;
     const R_base = CONFIG.treeBaseRadius;
 
     for (let i = 0; i < CONFIG.ornamentCount; i++) {
         // Pre-calculate tree position to check if we should skip
-        const treePos = calculateTreePosition(i, CONFIG.ornamentCount, CONFIG);
+        const treePos = calculateTreePosition(i, CONFIG.ornamentCount, CONFIG, rng);
         const y = treePos.y;
         const y_normalized = (y + H / 2) / H; // 0 to 1
         
         // Skip 30% of ornaments in top quarter for sparse elegant look
-        if (y_normalized > 0.75 && Math.random() < 0.3) {
+        if (y_normalized > 0.75 && rng() < 0.3) {
             continue;
         }
 
         // Adjust size based on height - smaller at bottom to avoid clutter
         const sizeMultiplier = y < -5 ? 0.8 : 1.0;
-        const baseSize = 0.3 + Math.random() * 0.4;
-        const size = baseSize * sizeMultiplier;
-        
-        // Alternate between box and sphere
-        const isBox = Math.random() > 0.5;
-        
-        let geometry;
-        if (isBox) {
-            geometry = new THREE.BoxGeometry(size, size, size);
-        } else {
-            geometry = new THREE.SphereGeometry(size * 0.5, 16, 16);
-        }
+        const baseSize = 0.3 + rng() * 0.4;
 
-        // Random color from palette
-        const color = colorArray[Math.floor(Math.random() * colorArray.length)];
-        
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
-            metalness: 0.3,
-            roughness: 0.4,
-            emissive: color,
-            emissiveIntensity: 0.2
+        const shape = shapes[Math.floor(rng() * shapes.length)]; // Random shape from the festival's set
+        const paletteIndex = pickPaletteIndex(shape); // Random color from palette
+        layout.push({
+            shape,
+            size: baseSize * sizeMultiplier,
+            color: colorArray[paletteIndex],
+            paletteIndex,
+            treePosition: treePos
         });
-
-        const mesh = new THREE.Mesh(geometry, material);
-        
-        // Store rotation speed for animation
-        mesh.userData = {
-            rotationSpeed: {
-                x: (Math.random() - 0.5) * 0.02,
-                y: (Math.random() - 0.5) * 0.02,
-                z: (Math.random() - 0.5) * 0.02
-            },
-            index: i,
-            // Use pre-calculated tree position
-            treePosition: treePos,
-            // Pre-calculate scatter position
-            scatterPosition: calculateScatterPosition(CONFIG)
-        };
-
-        // Start at scatter position
-        mesh.position.copy(mesh.userData.scatterPosition);
-        
-        ornaments.push(mesh);
-        scene.add(mesh);
     }
 
     // Add extra 100 ornaments at bottom third for denser look
     for (let i = 0; i < 100; i++) {
         // Force y in bottom third range
-        const y = -H / 2 + Math.random() * (H / 3);
+        const y = -H / 2 + rng() * (H / 3);
         const y_local = y + H / 2;
         
         // Calculate corresponding radius at this height
         const r_at_y = R_base * (1 - y_local / H);
-        const theta = Math.random() * Math.PI * 2;
-        const r_random = r_at_y * (0.7 + Math.random() * 0.5);
+        const theta = rng() * Math.PI * 2;
+        const r_random = r_at_y * (0.7 + rng() * 0.5);
         
         const x = r_random * Math.cos(theta);
         const z = r_random * Math.sin(theta);
-        
-        // Smaller size for bottom density ornaments
-        const size = (0.25 + Math.random() * 0.3) * 0.8;
-        const isBox = Math.random() > 0.5;
-        
-        let geometry;
-        if (isBox) {
-            geometry = new THREE.BoxGeometry(size, size, size);
-        } else {
-            geometry = new THREE.SphereGeometry(size * 0.5, 16, 16);
-        }
 
-        const color = colorArray[Math.floor(Math.random() * colorArray.length)];
-        
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
-            metalness: 0.3,
-            roughness: 0.4,
-            emissive: color,
-            emissiveIntensity: 0.2
+        const shape = shapes[Math.floor(rng() * shapes.length)];
+        const size = (0.25 + rng() * 0.3) * 0.8; // Smaller size for bottom density ornaments
+        const paletteIndex = pickPaletteIndex(shape);
+        layout.push({
+            shape,
+            size,
+            color: colorArray[paletteIndex],
+            paletteIndex,
+            treePosition: new THREE.Vector3(x, y, z)
         });
+    }
 
-        const mesh = new THREE.Mesh(geometry, material);
-        
-        mesh.userData = {
-            rotationSpeed: {
-                x: (Math.random() - 0.5) * 0.02,
-                y: (Math.random() - 0.5) * 0.02,
-                z: (Math.random() - 0.5) * 0.02
-            },
-            index: CONFIG.ornamentCount + i,
-            treePosition: new THREE.Vector3(x, y, z),
-            scatterPosition: calculateScatterPosition(CONFIG)
-        };
+    return layout;
+}
 
-        mesh.position.copy(mesh.userData.scatterPosition);
-        
-        ornaments.push(mesh);
+/**
+ * Create the shared ornament material.
+ * Emissive glow is tinted by the per-instance color so every ornament
+ * still glows in its own color while sharing a single material.
+ * @returns {THREE.MeshStandardMaterial} Ornament material
+ */
+function createOrnamentMaterial() {
+    const material = new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF,
+        metalness: 0.3,
+        roughness: 0.4,
+        emissive: 0xFFFFFF,
+        emissiveIntensity: 0.2
+    });
+    material.userData.baseEmissiveIntensity = material.emissiveIntensity;
+
+    // Per-instance glow multiplier (instanceGlow attribute) set by light patterns.
+    // The fragment stage sees instance colors as USE_COLOR (USE_INSTANCING_COLOR is vertex-only).
+    material.onBeforeCompile = (shader) => {
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+            attribute float instanceGlow;
+            varying float vGlow;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+            vGlow = instanceGlow;`);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+            varying float vGlow;`)
+            .replace(
+                '#include <emissivemap_fragment>',
+                `#include <emissivemap_fragment>
+                #ifdef USE_COLOR
+                    totalEmissiveRadiance *= vColor;
+                #endif
+                totalEmissiveRadiance *= vGlow;`
+            );
+    };
+
+    return material;
+}
+
+/**
+ * Create ornaments and add to scene.
+ * Ornaments are rendered with one InstancedMesh per shape; each returned
+ * ornament is a lightweight record whose position/rotation can be tweened
+ * individually and is written back to its instance by updateOrnaments.
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
+ * @param {Array<Object>} [layout] - Ornament descriptors (defaults to a generated tree layout)
+ * @returns {Array<Object>} Array of ornament records
+ */
+export function createOrnaments(scene, CONFIG, rng = random, layout = generateOrnamentLayout(CONFIG, rng)) {
+    const ornaments = [];
+    const material = createOrnamentMaterial();
+
+    // One instanced mesh per shape, sized to the number of ornaments using it
+    const meshes = {};
+    Object.keys(ORNAMENT_GEOMETRIES).forEach(shape => {
+        const count = layout.filter(item => item.shape === shape).length;
+        if (count === 0) return;
+
+        const mesh = new THREE.InstancedMesh(ORNAMENT_GEOMETRIES[shape](), material, count);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        const glow = new THREE.InstancedBufferAttribute(new Float32Array(count).fill(1), 1);
+        glow.setUsage(THREE.DynamicDrawUsage);
+        mesh.geometry.setAttribute('instanceGlow', glow);
+        mesh.frustumCulled = false; // Instances move far outside the base bounding sphere
+        mesh.userData = { shape, nextInstanceId: 0 };
+        meshes[shape] = mesh;
         scene.add(mesh);
-    }
+    });
+
+    layout.forEach((item, i) => {
+        const mesh = meshes[item.shape];
+        const instanceId = mesh.userData.nextInstanceId++;
+
+        const ornament = {
+            mesh,
+            instanceId,
+            position: new THREE.Vector3(),
+            rotation: new THREE.Euler(),
+            scale: new THREE.Vector3(item.size, item.size, item.size),
+            // Store rotation speed for animation
+            userData: {
+                rotationSpeed: {
+                    x: (rng() - 0.5) * 0.02,
+                    y: (rng() - 0.5) * 0.02,
+                    z: (rng() - 0.5) * 0.02
+                },
+                index: i,
+                shape: item.shape,
+                size: item.size,
+                color: item.color,
+                // Palette color to restore after formations that recolor ornaments
+                paletteColor: item.color,
+                // Slot in the theme palette (null for colors that are not from a palette)
+                paletteIndex: item.paletteIndex ?? null,
+                treePosition: item.treePosition.clone(),
+                // Target of the active formation (the tree until another is applied)
+                formationPosition: item.treePosition.clone(),
+                // Pre-calculate scatter position
+                scatterPosition: calculateScatterPosition(CONFIG, rng)
+            }
+        };
+
+        // Start at scatter position
+        ornament.position.copy(ornament.userData.scatterPosition);
+
+        mesh.setColorAt(instanceId, new THREE.Color(item.color));
+        ornaments.push(ornament);
+    });
+
+    Object.values(meshes).forEach(mesh => {
+        mesh.instanceColor.needsUpdate = true;
+    });
+
+    writeOrnamentMatrices(ornaments);
     
     return ornaments;
 }
 
 /**
- * Update ornament rotations
- * @param {Array<THREE.Mesh>} ornaments - Array of ornament meshes
+ * Change the color of a single ornament
+ * @param {Object} ornament - Ornament record
+ * @param {THREE.Color|number} color - New color
+ */
+export function setOrnamentColor(ornament, color) {
+    const value = color instanceof THREE.Color ? color : new THREE.Color(color);
+    ornament.userData.color = value.getHex();
+    ornament.mesh.setColorAt(ornament.instanceId, value);
+    ornament.mesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Set how strongly a single ornament glows (light patterns)
+ * @param {Object} ornament - Ornament record
+ * @param {number} glow - Multiplier on the material's emissive intensity (1 = normal)
+ */
+export function setOrnamentGlow(ornament, glow) {
+    const attribute = ornament.mesh.geometry.attributes.instanceGlow;
+    attribute.array[ornament.instanceId] = glow;
+    attribute.needsUpdate = true;
+}
+
+/**
+ * Remove ornaments from the scene and free their GPU resources
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Array<Object>} ornaments - Array of ornament records
+ */
+export function removeOrnaments(scene, ornaments) {
+    const meshes = new Set(ornaments.map(ornament => ornament.mesh));
+    meshes.forEach(mesh => {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+    });
+    // The meshes share one material
+    new Set([...meshes].map(mesh => mesh.material)).forEach(material => material.dispose());
+}
+
+/**
+ * Update ornament rotations and write transforms to their instances
+ * @param {Array<Object>} ornaments - Array of ornament records
  */
 export function updateOrnaments(ornaments) {
-    ornaments.forEach(mesh => {
-        mesh.rotation.x += mesh.userData.rotationSpeed.x;
-        mesh.rotation.y += mesh.userData.rotationSpeed.y;
-        mesh.rotation.z += mesh.userData.rotationSpeed.z;
+    ornaments.forEach(ornament => {
+        ornament.rotation.x += ornament.userData.rotationSpeed.x;
+        ornament.rotation.y += ornament.userData.rotationSpeed.y;
+        ornament.rotation.z += ornament.userData.rotationSpeed.z;
+    });
+
+    writeOrnamentMatrices(ornaments);
+}
+
+/**
+ * Write ornament transforms to their instances
+ * @param {Array<Object>} ornaments - Array of ornament records
+ */
+function writeOrnamentMatrices(ornaments) {
+    let lastMesh = null;
+
+    ornaments.forEach(ornament => {
+        dummy.position.copy(ornament.position);
+        dummy.rotation.copy(ornament.rotation);
+        dummy.scale.copy(ornament.scale);
+        dummy.updateMatrix();
+        ornament.mesh.setMatrixAt(ornament.instanceId, dummy.matrix);
+
+        if (ornament.mesh !== lastMesh) {
+            ornament.mesh.instanceMatrix.needsUpdate = true;
+            lastMesh = ornament.mesh;
+        }
     });
 }
@@ -0,0 +1,344 @@
+/**
+ * @file snow-cover.js
+ * @description Snow that stays: a ground height field that builds up under the snowfall,
+ * flakes settling on the tree and its ornaments while gathered, and the puff that
+ * knocks them off when the tree scatters
+ * @dependencies config.js, random.js
+ */
+
+import { random } from '../utils/random.js';
+
+// Gravity on knocked-off snow (units per second squared)
+const GRAVITY = 9.8;
+
+// Ornaments are bucketed in vertical columns of this width to find the ones a flake falls onto
+const ORNAMENT_CELL = 1;
+
+/**
+ * Numeric key of the grid column containing a point
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @returns {number} Column key
+ */
+function cellKey(x, z) {
+    const ix = Math.floor(x / ORNAMENT_CELL) + 512;
+    const iz = Math.floor(z / ORNAMENT_CELL) + 512;
+    return ix * 1024 + iz;
+}
+
+/**
+ * Create the snow cover
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} createSnowTexture - Function to create the settled snow texture
+ * @returns {Object} Snow cover with { ground, heights, settled, records, surfaces }
+ */
+export function createSnowCover(scene, CONFIG, createSnowTexture) {
+    const { groundY, groundSize, groundSegments, maxSettled } = CONFIG.snowCover;
+
+    // Ground: a flat grid whose vertices rise with the snow depth; bare ground is transparent
+    const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize, groundSegments, groundSegments);
+    groundGeometry.rotateX(-Math.PI / 2);
+    const vertexCount = groundGeometry.attributes.position.count;
+    groundGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 4).fill(1), 4));
+
+    const ground = new THREE.Mesh(groundGeometry, new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF,
+        roughness: 0.9,
+        vertexColors: true,
+        transparent: true,
+        depthWrite: false
+    }));
+    ground.position.y = groundY;
+    scene.add(ground);
+
+    // Settled flakes: one point each, packed at the front of the buffer
+    const settledGeometry = new THREE.BufferGeometry();
+    settledGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxSettled * 3), 3));
+    settledGeometry.setDrawRange(0, 0);
+    const settled = new THREE.Points(settledGeometry, new THREE.PointsMaterial({
+        color: 0xFFFFFF,
+        size: 0.35,
+        map: createSnowTexture(),
+        transparent: true,
+        depthWrite: false
+    }));
+    settled.frustumCulled = false;
+    scene.add(settled);
+
+    const snowCover = {
+        ground,
+        heights: new Float32Array(vertexCount),
+        groundDirty: true,
+        groundTimer: 0,
+        settled,
+        // One record per settled point: { ornament, offset, velocity } (ornament null on the cone)
+        records: [],
+        // What flakes can land on this frame (set by updateSnowCover)
+        surfaces: { gathered: false, cone: false, ornamentGrid: new Map() }
+    };
+    applyGroundHeights(snowCover);
+    return snowCover;
+}
+
+/**
+ * Snow depth on the ground under a point
+ * @param {Object} snowCover - Snow cover
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @param {Object} CONFIG - Configuration object
+ * @returns {number} Depth (0 outside the snow field)
+ */
+function groundDepthAt(snowCover, x, z, CONFIG) {
+    const { groundSize, groundSegments } = CONFIG.snowCover;
+    const ix = Math.round((x / groundSize + 0.5) * groundSegments);
+    const iz = Math.round((z / groundSize + 0.5) * groundSegments);
+    if (ix < 0 || iz < 0 || ix > groundSegments || iz > groundSegments) return 0;
+    return snowCover.heights[iz * (groundSegments + 1) + ix];
+}
+
+/**
+ * Add snow to the ground around a point, spread over nearby cells
+ * @param {Object} snowCover - Snow cover
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} volume - Snow volume (cell depth units)
+ * @param {Object} CONFIG - Configuration object
+ */
+function depositGroundSnow(snowCover, x, z, volume, CONFIG) {
+    const { groundSize, groundSegments, maxDepth } = CONFIG.snowCover;
+    const cx = (x / groundSize + 0.5) * groundSegments;
+    const cz = (z / groundSize + 0.5) * groundSegments;
+    const radius = 2;
+
+    // Gaussian splat, weights normalized so the whole volume lands
+    const weights = [];
+    let total = 0;
+    for (let dz = -radius; dz <= radius; dz++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const ix = Math.round(cx) + dx;
+            const iz = Math.round(cz) + dz;
+            if (ix < 0 || iz < 0 || ix > groundSegments || iz > groundSegments) continue;
+            const weight = Math.exp(-((ix - cx) ** 2 + (iz - cz) ** 2) / 2);
+            weights.push([iz * (groundSegments + 1) + ix, weight]);
+            total += weight;
+        }
+    }
+    weights.forEach(([index, weight]) => {
+        snowCover.heights[index] = Math.min(snowCover.heights[index] + volume * weight / total, maxDepth);
+    });
+    snowCover.groundDirty = true;
+}
+
+/**
+ * Add a settled flake
+ * @param {Object} snowCover - Snow cover
+ * @param {THREE.Vector3} position - World position
+ * @param {Object|null} ornament - Ornament it sits on (null for the cone)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {boolean} False when the settled pool is full
+ */
+function addSettledFlake(snowCover, position, ornament, CONFIG) {
+    const { records } = snowCover;
+    if (records.length >= CONFIG.snowCover.maxSettled) return false;
+
+    records.push({
+        ornament,
+        offset: ornament ? position.clone().sub(ornament.position) : position.clone(),
+        velocity: null
+    });
+    return true;
+}
+
+/**
+ * Highest point of the gathered tree (ornament tops and the cone) above a column
+ * @param {Object} snowCover - Snow cover
+ * @param {number} x - Column X
+ * @param {number} z - Column Z
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object|null} { position, ornament } (ornament null on the cone), or null if the column misses
+ */
+function findTreeSurface(snowCover, x, z, CONFIG) {
+    const { surfaces } = snowCover;
+    let best = null;
+
+    // Ornaments in this column: a flake comes to rest on top of the highest one it hits
+    const candidates = surfaces.ornamentGrid.get(cellKey(x, z)) || [];
+    candidates.forEach(ornament => {
+        const radius = ornament.userData.size * 0.6;
+        const dx = x - ornament.position.x;
+        const dz = z - ornament.position.z;
+        const inside = radius * radius - dx * dx - dz * dz;
+        if (inside <= 0) return;
+
+        const y = ornament.position.y + Math.sqrt(inside);
+        if (!best || y > best.position.y) {
+            best = { position: new THREE.Vector3(x, y, z), ornament };
+        }
+    });
+
+    if (surfaces.cone) {
+        const H = CONFIG.treeHeight;
+        const r = Math.hypot(x, z);
+        const y = -H / 2 + H * (1 - r / CONFIG.treeBaseRadius);
+        if (r < CONFIG.treeBaseRadius && (!best || y > best.position.y)) {
+            best = { position: new THREE.Vector3(x, y, z), ornament: null };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Land one falling flake: on the gathered tree (with CONFIG.snowCover.settleChance) or on the ground
+ * @param {Object} snowCover - Snow cover
+ * @param {number} x - Column X the flake fell down
+ * @param {number} z - Column Z the flake fell down
+ * @param {number} weight - How many flakes this one stands for (ground snow scales with it)
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
+ */
+export function landSnowflake(snowCover, x, z, weight, CONFIG, rng = random) {
+    const { depositPerFlake, settleChance } = CONFIG.snowCover;
+
+    if (snowCover.surfaces.gathered && rng() < settleChance) {
+        const surface = findTreeSurface(snowCover, x, z, CONFIG);
+        if (surface && addSettledFlake(snowCover, surface.position, surface.ornament, CONFIG)) return;
+    }
+
+    depositGroundSnow(snowCover, x, z, depositPerFlake * weight, CONFIG);
+}
+
+/**
+ * Knock every settled flake off in a puff; they fall and join the ground snow
+ * @param {Object} snowCover - Snow cover
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
+ */
+export function knockOffSettledSnow(snowCover, CONFIG, rng = random) {
+    const speed = CONFIG.snowCover.knockOffSpeed;
+
+    snowCover.records.forEach(record => {
+        if (record.velocity) return;
+
+        // Take the flake's world position and fly outward from the tree axis, a little up
+        if (record.ornament) {
+            record.offset.add(record.ornament.position);
+            record.ornament = null;
+        }
+        const outward = new THREE.Vector3(record.offset.x, 0, record.offset.z);
+        if (outward.lengthSq() < 1e-6) {
+            outward.set(rng() - 0.5, 0, rng() - 0.5);
+        }
+        outward.normalize().multiplyScalar(speed * (0.5 + rng()));
+        outward.y = speed * (0.3 + rng() * 0.7);
+        record.velocity = outward;
+    });
+}
+
+/**
+ * Write the height field into the ground mesh (depth lifts vertices and fades them in)
+ * @param {Object} snowCover - Snow cover
+ */
+function applyGroundHeights(snowCover) {
+    const geometry = snowCover.ground.geometry;
+    const positions = geometry.attributes.position;
+    const colors = geometry.attributes.color;
+
+    for (let i = 0; i < positions.count; i++) {
+        const depth = snowCover.heights[i];
+        positions.setY(i, depth);
+        colors.setW(i, Math.min(depth / 0.1, 1)); // Bare ground invisible, a light dusting see-through
+    }
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    geometry.computeVertexNormals();
+    snowCover.groundDirty = false;
+}
+
+/**
+ * Update the snow cover: melting, settled flakes following their ornaments,
+ * the knock-off puff and the ground mesh
+ * @param {Object} snowCover - Snow cover
+ * @param {number} dt - Seconds since the last frame
+ * @param {Object} state - Scene state
+ * @param {Array<Object>} state.ornaments - Ornament records
+ * @param {boolean} state.gathered - Whether the ornaments are fully gathered and still
+ * @param {boolean} state.cone - Whether the formation is the tree cone
+ * @param {Object} CONFIG - Configuration object
+ */
+export function updateSnowCover(snowCover, dt, state, CONFIG) {
+    const { groundY, meltRate } = CONFIG.snowCover;
+    const { surfaces } = snowCover;
+
+    // Leaving the gathered tree (or its cone) shakes the snow off
+    if (surfaces.gathered && (!state.gathered || (surfaces.cone && !state.cone))) {
+        knockOffSettledSnow(snowCover, CONFIG);
+    }
+    surfaces.gathered = state.gathered;
+    surfaces.cone = state.cone;
+
+    surfaces.ornamentGrid.clear();
+    if (state.gathered) {
+        // Each ornament goes in every column its top can catch flakes in
+        state.ornaments.forEach(ornament => {
+            const { x, z } = ornament.position;
+            const radius = ornament.userData.size * 0.6;
+            for (let cx = Math.floor((x - radius) / ORNAMENT_CELL); cx <= Math.floor((x + radius) / ORNAMENT_CELL); cx++) {
+                for (let cz = Math.floor((z - radius) / ORNAMENT_CELL); cz <= Math.floor((z + radius) / ORNAMENT_CELL); cz++) {
+                    const key = cellKey(cx * ORNAMENT_CELL, cz * ORNAMENT_CELL);
+                    if (!surfaces.ornamentGrid.has(key)) surfaces.ornamentGrid.set(key, []);
+                    surfaces.ornamentGrid.get(key).push(ornament);
+                }
+            }
+        });
+    }
+
+    // Settled flakes follow their ornaments; knocked-off flakes fall into the ground snow
+    const positions = snowCover.settled.geometry.attributes.position.array;
+    const kept = [];
+    snowCover.records.forEach(record => {
+        if (record.velocity) {
+            record.velocity.y -= GRAVITY * dt;
+            record.offset.addScaledVector(record.velocity, dt);
+            const { x, y, z } = record.offset;
+            if (y < groundY + groundDepthAt(snowCover, x, z, CONFIG)) {
+                depositGroundSnow(snowCover, x, z, CONFIG.snowCover.depositPerFlake, CONFIG);
+                return;
+            }
+        }
+
+        const i3 = kept.length * 3;
+        if (record.ornament) {
+            positions[i3] = record.ornament.position.x + record.offset.x;
+            positions[i3 + 1] = record.ornament.position.y + record.offset.y;
+            positions[i3 + 2] = record.ornament.position.z + record.offset.z;
+        } else {
+            positions[i3] = record.offset.x;
+            positions[i3 + 1] = record.offset.y;
+            positions[i3 + 2] = record.offset.z;
+        }
+        kept.push(record);
+    });
+    snowCover.records = kept;
+    snowCover.settled.geometry.setDrawRange(0, kept.length);
+    snowCover.settled.geometry.attributes.position.needsUpdate = true;
+
+    // Slow melt
+    if (meltRate > 0) {
+        const { heights } = snowCover;
+        for (let i = 0; i < heights.length; i++) {
+            if (heights[i] > 0) {
+                heights[i] = Math.max(heights[i] - meltRate * dt, 0);
+                snowCover.groundDirty = true;
+            }
+        }
+    }
+
+    // Rebuilding the ground mesh is the costly part, so only a few times per second
+    snowCover.groundTimer += dt;
+    if (snowCover.groundDirty && snowCover.groundTimer >= 0.2) {
+        snowCover.groundTimer = 0;
+        applyGroundHeights(snowCover);
+    }
+}
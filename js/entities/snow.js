@@ -1,46 +1,81 @@
 /**
  * @file snow.js
- * @description Snow particle system with hand interaction
- * @dependencies config.js, geometry-helpers.js
+ * @description Snow particle system with hand interaction (also falls as petals in festival modes).
+ * Flakes move entirely in the vertex shader: each one falls on a loop from its own seed,
+ * and a few uniform force fields (hand push, wave, spiral) bend the snowfall around them.
+ * Each flake also spins and tumbles, shows its own cell of the texture atlas and fades with depth.
+ * The weather (see weather/weather.js) drifts the flakes with the wind, sets how many fall and how fast.
+ * @dependencies config.js, geometry-helpers.js, snow-cover.js, random.js
  */
 
+import { random } from '../utils/random.js';
+import { landSnowflake } from './snow-cover.js';
+
+// Force fields the shader evaluates per flake (unused slots have level 0)
+const MAX_SNOW_FORCES = 6;
+
+// Force type codes shared with the shader
+const FORCE_TYPES = { push: 1, wave: 2, spiral: 3 };
+
+// Seconds a held force (push, spiral) takes to ease in and out
+const FORCE_FADE_TIME = 0.4;
+
+// Seconds a held force stays on after its last refresh
+const FORCE_HOLD_TIME = 0.25;
+
+// Width of the square area the flakes fall over (they wrap around its edges in the wind)
+const SNOW_FIELD_SIZE = 100;
+
+// Samples of the wind's travelled distance kept for the shader (packed two to a vec4 uniform),
+// enough to look back over the slowest flake's whole fall
+const WIND_HISTORY = 64;
+
+// Landings sampled per frame for the snow cover (heavier snowfall scales their weight instead)
+const MAX_LANDINGS_PER_FRAME = 64;
+
 /**
  * Create snow particle system
  * @param {THREE.Scene} scene - Three.js scene
  * @param {Object} CONFIG - Configuration object
  * @param {Function} createSnowTexture - Function to create snow texture
- * @returns {Object} Object containing snow particles and velocities
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Object} Object containing the snow particles
  */
-export function createSnowSystem(scene, CONFIG, createSnowTexture) {
+export function createSnowSystem(scene, CONFIG, createSnowTexture, rng = random) {
     const snowCount = CONFIG.snowCount;
+    const { fallHeight, minFallSpeed, maxFallSpeed } = CONFIG.snowMotion;
+    const { spin, tumble } = CONFIG.snowFlakes;
     const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(snowCount * 3);
-    const sizes = new Float32Array(snowCount);
-    const snowVelocities = [];
-    const snowSizes = [];
+    const flakes = new Float32Array(snowCount * 4);
+    const looks = new Float32Array(snowCount * 4);
+    const scales = new Float32Array(snowCount);
+    let fallRate = 0;
 
     for (let i = 0; i < snowCount; i++) {
-        const i3 = i * 3;
-        
-        // Random position in a large area
-        positions[i3] = (Math.random() - 0.5) * 100;     // x
-        positions[i3 + 1] = Math.random() * 80 - 10;      // y (high up)
-        positions[i3 + 2] = (Math.random() - 0.5) * 100;  // z
-
-        // Random size
-        sizes[i] = Math.random() * 0.6 + 0.2; // 0.2 to 0.8
-        snowSizes.push(sizes[i]);
-
-        // Random velocity
-        snowVelocities.push({
-            y: -(Math.random() * 0.06 + 0.02), // -0.02 to -0.08 (falling speed)
-            x: 0,
-            z: 0
-        });
+        const i4 = i * 4;
+
+        // Column in a large area, fall speed (units per second) and where in its fall it starts
+        flakes[i4] = (rng() - 0.5) * SNOW_FIELD_SIZE;     // x
+        flakes[i4 + 1] = (rng() - 0.5) * SNOW_FIELD_SIZE; // z
+        flakes[i4 + 2] = minFallSpeed + rng() * (maxFallSpeed - minFallSpeed);
+        flakes[i4 + 3] = rng() * fallHeight;
+        fallRate += flakes[i4 + 2];
+
+        // Random size around the material size
+        scales[i] = rng() * 0.8 + 0.6; // 0.6 to 1.4
+
+        // Atlas cell pick, starting angle, spin and tumble rates
+        looks[i4] = rng();
+        looks[i4 + 1] = rng() * Math.PI * 2;
+        looks[i4 + 2] = (rng() * 2 - 1) * spin;
+        looks[i4 + 3] = rng() * tumble;
     }
 
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    // Positions are computed in the shader; the attribute only has to exist
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(snowCount * 3), 3));
+    geometry.setAttribute('flake', new THREE.BufferAttribute(flakes, 4));
+    geometry.setAttribute('flakeLook', new THREE.BufferAttribute(looks, 4));
+    geometry.setAttribute('flakeScale', new THREE.BufferAttribute(scales, 1));
 
     const material = new THREE.PointsMaterial({
         color: 0xFFFFFF,
@@ -53,133 +88,465 @@ export function createSnowSystem(scene, CONFIG, createSnowTexture) {
         depthWrite: false
     });
 
+    const { nearFade, farFade, farOpacity, minPointSize } = CONFIG.snowFlakes;
+    const uniforms = {
+        uTime: { value: 0 },
+        uFallTime: { value: 0 }, // Runs faster or slower with the weather's fall speed
+        uSway: { value: 0 },
+        uWindOffset: { value: new THREE.Vector2() },
+        uWindHistory: { value: Array.from({ length: WIND_HISTORY / 2 }, () => new THREE.Vector4()) },
+        uWindSampleAge: { value: 0 },
+        uWindSampleInterval: { value: fallHeight / minFallSpeed / (WIND_HISTORY - 2) },
+        uTurbulence: { value: 0 },
+        uSnowfall: { value: 1 },
+        uFieldSize: { value: SNOW_FIELD_SIZE },
+        uGroundY: { value: CONFIG.snowCover.groundY },
+        uFallHeight: { value: fallHeight },
+        uForcePosition: { value: Array.from({ length: MAX_SNOW_FORCES }, () => new THREE.Vector4()) },
+        uForceParams: { value: Array.from({ length: MAX_SNOW_FORCES }, () => new THREE.Vector4()) },
+        uForceShape: { value: new THREE.Vector3() },
+        uAtlasColumns: { value: atlasColumnsOf(material.map) },
+        uNearFade: { value: new THREE.Vector2(nearFade[0], nearFade[1]) },
+        uFarFade: { value: new THREE.Vector2(farFade[0], farFade[1]) },
+        uFarOpacity: { value: farOpacity },
+        uMinPointSize: { value: minPointSize }
+    };
+    addSnowMotion(material, uniforms);
+
     const snowParticles = new THREE.Points(geometry, material);
+    snowParticles.frustumCulled = false; // The geometry has no real positions to bound
+    snowParticles.userData = {
+        uniforms,
+        forces: [],
+        // Distance the wind has carried things so far, and its value at every history sample (newest first)
+        windOffset: new THREE.Vector2(),
+        windHistory: new Float32Array(WIND_HISTORY * 2),
+        fallSpeed: 1,
+        // Flakes reaching the ground per second, summed over every flake
+        landingRate: fallRate / fallHeight
+    };
     scene.add(snowParticles);
-    
+
     return {
-        snowParticles,
-        snowVelocities,
-        snowSizes
+        snowParticles
+    };
+}
+
+/**
+ * Grid size of a particle texture atlas (plain textures are a 1 x 1 atlas)
+ * @param {THREE.Texture} texture - Particle texture
+ * @returns {number} Cells per row and column
+ */
+function atlasColumnsOf(texture) {
+    return (texture.userData && texture.userData.atlasColumns) || 1;
+}
+
+/**
+ * Move the points material's flakes in its vertex shader (the loop fall, the sway and the
+ * force fields) and draw each one spinning, tumbling and faded by depth in its fragment shader
+ * @param {THREE.PointsMaterial} material - Snow material
+ * @param {Object} uniforms - Snow uniforms (shared, so updates reach every recompiled program)
+ */
+function addSnowMotion(material, uniforms) {
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+            attribute vec4 flake; // Column x, column z, fall speed, start offset
+            attribute vec4 flakeLook; // Atlas cell pick, starting angle, spin rate, tumble rate
+            attribute float flakeScale;
+            uniform float uTime;
+            uniform float uFallTime;
+            uniform vec2 uWindOffset;
+            uniform vec4 uWindHistory[${WIND_HISTORY / 2}];
+            uniform float uWindSampleAge;
+            uniform float uWindSampleInterval;
+            uniform float uTurbulence;
+            uniform float uSnowfall;
+            uniform float uFieldSize;
+            uniform float uAtlasColumns;
+            uniform vec2 uNearFade;
+            uniform vec2 uFarFade;
+            uniform float uFarOpacity;
+            uniform float uMinPointSize;
+            varying float vCell;
+            varying float vAngle;
+            varying float vTumble;
+            varying float vFade;
+            uniform float uSway;
+            uniform float uGroundY;
+            uniform float uFallHeight;
+            uniform vec4 uForcePosition[${MAX_SNOW_FORCES}]; // Center, radius
+            uniform vec4 uForceParams[${MAX_SNOW_FORCES}];   // Type, level, spiral angle, unused
+            uniform vec3 uForceShape;                        // Push distance, wave distance, wave lift
+
+            vec2 windHistoryAt(int i) {
+                vec4 pair = uWindHistory[i / 2];
+                return i - (i / 2) * 2 == 0 ? pair.xy : pair.zw;
+            }
+
+            // How far the wind has carried a flake that started falling lookback (fall time) ago
+            vec2 windDrift(float lookback) {
+                if (lookback <= uWindSampleAge) {
+                    return (uWindOffset - windHistoryAt(0)) * lookback / max(uWindSampleAge, 0.0001);
+                }
+                float k = min((lookback - uWindSampleAge) / uWindSampleInterval, ${WIND_HISTORY - 2}.0);
+                int i = int(floor(k));
+                return uWindOffset - mix(windHistoryAt(i), windHistoryAt(i + 1), k - floor(k));
+            }
+
+            vec3 applySnowForces(vec3 point) {
+                vec3 moved = point;
+                for (int i = 0; i < ${MAX_SNOW_FORCES}; i++) {
+                    vec4 params = uForceParams[i];
+                    if (params.y <= 0.0) continue;
+
+                    vec3 offset = point - uForcePosition[i].xyz;
+                    float falloff = 1.0 - smoothstep(0.0, uForcePosition[i].w, length(offset));
+                    if (falloff <= 0.0) continue;
+
+                    vec2 away = length(offset.xz) > 0.001 ? normalize(offset.xz) : vec2(0.0);
+                    float strength = params.y * falloff;
+                    if (params.x < 1.5) {
+                        // Push: blown aside
+                        moved.xz += away * strength * uForceShape.x;
+                    } else if (params.x < 2.5) {
+                        // Wave: thrown outward and up
+                        moved.xz += away * strength * uForceShape.y;
+                        moved.y += strength * uForceShape.z;
+                    } else {
+                        // Spiral: swirled around the center, bobbing up and down
+                        float angle = params.z * falloff;
+                        vec2 swirled = vec2(
+                            cos(angle) * offset.x - sin(angle) * offset.z,
+                            sin(angle) * offset.x + cos(angle) * offset.z
+                        );
+                        moved.xz += (swirled - offset.xz) * params.y;
+                        moved.y += sin(uTime * 3.0 + flake.w) * strength * 0.8;
+                    }
+                }
+                return moved;
+            }`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+            float fallen = mod(uFallTime * flake.z + flake.w, uFallHeight);
+
+            // Carried by the wind for as long as it has been falling, wrapping around the field
+            vec2 column = mod(flake.xy + windDrift(fallen / flake.z) + uFieldSize * 0.5, uFieldSize) - uFieldSize * 0.5;
+            vec2 flutter = vec2(
+                sin(uTime * 2.3 + flake.w * 3.1) * cos(uTime * 0.7 + flake.w),
+                cos(uTime * 1.9 + flake.w * 2.3) * sin(uTime * 0.9 + flake.w * 0.5)
+            ) * uTurbulence;
+            transformed = vec3(
+                column.x + flutter.x + sin(uTime * 1.5 + flake.w) * uSway,
+                uGroundY + uFallHeight - fallen,
+                column.y + flutter.y + cos(uTime * 1.1 + flake.w * 0.7) * uSway
+            );
+            transformed = applySnowForces(transformed);
+
+            // Lighter snowfall hides a share of the flakes, fading them at the edge of the share
+            float snowShown = 1.0 - smoothstep(uSnowfall - 0.05, uSnowfall, fract(flake.w * 13.37) * 0.95);
+
+            vCell = floor(flakeLook.x * uAtlasColumns * uAtlasColumns);
+            vAngle = flakeLook.y + uTime * flakeLook.z;
+            vTumble = max(abs(cos(uTime * flakeLook.w + flakeLook.y)), 0.15); // Edge-on width`)
+            .replace('gl_PointSize = size;', 'gl_PointSize = size * flakeScale;')
+            .replace('#include <logdepthbuf_vertex>', `
+            // Fade flakes right at the camera and far away; tiny flakes are drawn bigger but dimmer
+            float depth = -mvPosition.z;
+            vFade = snowShown * smoothstep(uNearFade.x, uNearFade.y, depth) *
+                mix(1.0, uFarOpacity, smoothstep(uFarFade.x, uFarFade.y, depth));
+            if (gl_PointSize < uMinPointSize) {
+                vFade *= gl_PointSize / uMinPointSize;
+                gl_PointSize = uMinPointSize;
+            }
+            #include <logdepthbuf_vertex>`);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+            uniform float uAtlasColumns;
+            varying float vCell;
+            varying float vAngle;
+            varying float vTumble;
+            varying float vFade;`)
+            .replace('#include <map_particle_fragment>', `
+            #ifdef USE_MAP
+                // Spin and tumble the flake inside its point, then read its atlas cell
+                vec2 point = gl_PointCoord - 0.5;
+                point = mat2(cos(vAngle), sin(vAngle), -sin(vAngle), cos(vAngle)) * point;
+                point.x /= vTumble;
+                if (abs(point.x) > 0.5 || abs(point.y) > 0.5) discard;
+                vec2 cell = vec2(mod(vCell, uAtlasColumns), floor(vCell / uAtlasColumns));
+                vec2 uv = vec2(cell.x + point.x + 0.5, uAtlasColumns - cell.y - point.y - 0.5) / uAtlasColumns;
+                vec4 mapTexel = texture2D(map, uv);
+                diffuseColor *= mapTexelToLinear(mapTexel);
+            #endif
+            diffuseColor.a *= vFade;`);
     };
 }
 
 /**
- * Update snow system animation
+ * Change what the particles look like (e.g. snowflakes or blossom petals).
+ * The particle system itself is kept so existing references stay valid.
  * @param {THREE.Points} snowParticles - Snow particles object
- * @param {Array} snowVelocities - Velocity array
- * @param {number} snowCount - Number of snow particles
- * @param {boolean} handDetected - Whether hand is detected
- * @param {THREE.Vector3} handPosition - Hand position in 3D space
+ * @param {Object} style - Particle style
+ * @param {string} style.texture - Texture key in textures
+ * @param {number} style.size - Point size
+ * @param {number} style.sway - Side-to-side drift while falling (units either way)
+ * @param {boolean} style.additive - Additive blending (glowing flakes) or normal blending (solid petals)
+ * @param {Object<string, Function>} textures - Texture factories by key
+ */
+export function setSnowStyle(snowParticles, style, textures) {
+    const material = snowParticles.material;
+    if (material.userData.texture !== style.texture) {
+        material.map.dispose();
+        material.map = textures[style.texture]();
+        material.userData.texture = style.texture;
+    }
+    material.size = style.size;
+    snowParticles.userData.uniforms.uAtlasColumns.value = atlasColumnsOf(material.map);
+    material.blending = style.additive ? THREE.AdditiveBlending : THREE.NormalBlending;
+    material.needsUpdate = true;
+    snowParticles.userData.uniforms.uSway.value = style.sway;
+}
+
+/**
+ * Start or refresh a force field on the snow. Held forces (push, spiral) stay on while
+ * they keep being refreshed and ease out after; a wave plays once over CONFIG.snowMotion.waveDuration.
+ * With every slot taken, the oldest force makes room.
+ * @param {THREE.Points} snowParticles - Snow particles object
+ * @param {string|null} key - Slot name refreshed by later calls, or null for a new one-off force
+ * @param {Object} force - Force settings
+ * @param {string} force.type - 'push', 'wave' or 'spiral'
+ * @param {THREE.Vector3} force.position - Center
+ * @param {number} force.radius - Reach
+ */
+export function setSnowForce(snowParticles, key, force) {
+    const { forces, uniforms } = snowParticles.userData;
+    const time = uniforms.uTime.value;
+
+    let entry = key === null ? null : forces.find(item => item.key === key);
+    if (!entry) {
+        if (forces.length >= MAX_SNOW_FORCES) {
+            forces.shift();
+        }
+        entry = { key, level: 0, age: 0, angle: 0, heldUntil: 0, position: new THREE.Vector3() };
+        forces.push(entry);
+    }
+    entry.type = force.type;
+    entry.radius = force.radius;
+    entry.position.copy(force.position);
+    entry.heldUntil = time + FORCE_HOLD_TIME;
+}
+
+/**
+ * Advance the force fields and write them into the shader uniforms
+ * @param {THREE.Points} snowParticles - Snow particles object
+ * @param {number} dt - Seconds since the last frame
  * @param {Object} CONFIG - Configuration object
  */
-export function updateSnowSystem(snowParticles, snowVelocities, snowCount, handDetected, handPosition, CONFIG) {
-    if (!snowParticles) return;
+function updateSnowForces(snowParticles, dt, CONFIG) {
+    const { forces, uniforms } = snowParticles.userData;
+    const { pushDistance, waveDistance, waveLift, waveDuration, spiralSpin } = CONFIG.snowMotion;
+    const time = uniforms.uTime.value;
 
-    const positions = snowParticles.geometry.attributes.position.array;
+    snowParticles.userData.forces = forces.filter(force => {
+        if (force.type === 'wave') {
+            // Quick swell, slow settle
+            force.age += dt;
+            const t = force.age / waveDuration;
+            force.level = t < 1 ? Math.sin(Math.min(t * 4, 1) * Math.PI / 2) * (1 - t) * (1 - t) : 0;
+            return t < 1;
+        }
 
-    for (let i = 0; i < snowCount; i++) {
-        const i3 = i * 3;
-        const velocity = snowVelocities[i];
-
-        // Apply velocity
-        positions[i3] += velocity.x;
-        positions[i3 + 1] += velocity.y;
-        positions[i3 + 2] += velocity.z;
-
-        // Hand interaction - blow away snow
-        if (handDetected) {
-            const dx = positions[i3] - handPosition.x;
-            const dy = positions[i3 + 1] - handPosition.y;
-            const dz = positions[i3 + 2] - handPosition.z;
-            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-            if (distance < CONFIG.snowInteractionRadius) {
-                const force = (CONFIG.snowInteractionRadius - distance) / CONFIG.snowInteractionRadius;
-                velocity.x += (dx / distance) * force * 0.2;
-                velocity.z += (dz / distance) * force * 0.2;
-            }
+        const held = time < force.heldUntil;
+        force.level = Math.min(Math.max(force.level + (held ? dt : -dt) / FORCE_FADE_TIME, 0), 1);
+        force.angle = force.level > 0 ? force.angle + spiralSpin * force.level * dt : 0;
+        return held || force.level > 0;
+    });
+
+    const positions = uniforms.uForcePosition.value;
+    const params = uniforms.uForceParams.value;
+    for (let i = 0; i < MAX_SNOW_FORCES; i++) {
+        const force = snowParticles.userData.forces[i];
+        if (force) {
+            positions[i].set(force.position.x, force.position.y, force.position.z, force.radius);
+            params[i].set(FORCE_TYPES[force.type], force.level, force.angle, 0);
+        } else {
+            params[i].set(0, 0, 0, 0);
         }
+    }
+    uniforms.uForceShape.value.set(pushDistance, waveDistance, waveLift);
+}
+
+/**
+ * How far the wind has carried a flake that started falling lookback (fall time) ago;
+ * the same lookup as windDrift() in the shader
+ * @param {THREE.Points} snowParticles - Snow particles object
+ * @param {number} lookback - Fall time since the flake started
+ * @param {THREE.Vector2} target - Vector to write the drift into
+ * @returns {THREE.Vector2} target
+ */
+function windDriftAt(snowParticles, lookback, target) {
+    const { uniforms, windOffset, windHistory } = snowParticles.userData;
+    const age = uniforms.uWindSampleAge.value;
 
-        // Decay horizontal velocity
-        velocity.x *= 0.98;
-        velocity.z *= 0.98;
-
-        // Reset if fallen below ground
-        if (positions[i3 + 1] < -10) {
-            positions[i3] = (Math.random() - 0.5) * 100;
-            positions[i3 + 1] = Math.random() * 30 + 50; // High up
-            positions[i3 + 2] = (Math.random() - 0.5) * 100;
-            velocity.x = 0;
-            velocity.z = 0;
-            velocity.y = -(Math.random() * 0.06 + 0.02);
+    if (lookback <= age) {
+        const share = lookback / Math.max(age, 0.0001);
+        return target.set(windOffset.x - windHistory[0], windOffset.y - windHistory[1]).multiplyScalar(share);
+    }
+    const k = Math.min((lookback - age) / uniforms.uWindSampleInterval.value, WIND_HISTORY - 2);
+    const i = Math.floor(k);
+    const f = k - i;
+    return target.set(
+        windOffset.x - (windHistory[i * 2] * (1 - f) + windHistory[i * 2 + 2] * f),
+        windOffset.y - (windHistory[i * 2 + 1] * (1 - f) + windHistory[i * 2 + 3] * f)
+    );
+}
+
+/**
+ * Apply the weather: advance fall time and the wind's travelled distance, keep the wind
+ * history the shader looks back into, and set turbulence and snowfall
+ * @param {THREE.Points} snowParticles - Snow particles object
+ * @param {number} dt - Seconds since the last frame
+ * @param {Object|null} weather - Weather state (see weather.js), or null for still air
+ */
+function updateSnowWeather(snowParticles, dt, weather) {
+    const { uniforms, windOffset, windHistory } = snowParticles.userData;
+    const fallSpeed = weather ? weather.fallSpeed : 1;
+
+    uniforms.uFallTime.value += dt * fallSpeed;
+    if (weather) {
+        windOffset.addScaledVector(weather.wind, dt);
+    }
+
+    // A new history sample every interval of fall time (newest first)
+    uniforms.uWindSampleAge.value += dt * fallSpeed;
+    if (uniforms.uWindSampleAge.value >= uniforms.uWindSampleInterval.value) {
+        uniforms.uWindSampleAge.value %= uniforms.uWindSampleInterval.value;
+        windHistory.copyWithin(2, 0, windHistory.length - 2);
+        windHistory[0] = windOffset.x;
+        windHistory[1] = windOffset.y;
+
+        // Only differences matter, so keep the numbers small for the shader's float precision
+        if (windOffset.lengthSq() > 1e8) {
+            for (let i = 0; i < windHistory.length; i += 2) {
+                windHistory[i] -= windOffset.x;
+                windHistory[i + 1] -= windOffset.y;
+            }
+            windOffset.set(0, 0);
         }
     }
 
-    snowParticles.geometry.attributes.position.needsUpdate = true;
+    uniforms.uWindOffset.value.copy(windOffset);
+    uniforms.uWindHistory.value.forEach((pair, i) => pair.fromArray(windHistory, i * 4));
+    uniforms.uTurbulence.value = weather ? weather.turbulence : 0;
+    uniforms.uSnowfall.value = weather ? weather.snowfall : 1;
+    snowParticles.userData.fallSpeed = fallSpeed;
 }
 
 /**
- * Create snow wave effect (Open Hand gesture)
+ * Estimate which flakes reached the ground this frame and hand them to the snow cover.
+ * The flakes themselves only exist on the GPU, so landings are drawn from the known
+ * landing rate and placed at random flakes' columns (force fields and turbulence are ignored).
  * @param {THREE.Points} snowParticles - Snow particles object
- * @param {Array} snowVelocities - Velocity array
- * @param {number} snowCount - Number of snow particles
- * @param {THREE.Vector3} position - Hand position
+ * @param {number} dt - Seconds since the last frame
+ * @param {Object} snowCover - Snow cover (see snow-cover.js)
  * @param {Object} CONFIG - Configuration object
  */
-export function createSnowWave(snowParticles, snowVelocities, snowCount, position, CONFIG) {
+function landSnowflakes(snowParticles, dt, snowCover, CONFIG) {
+    const { uniforms, landingRate, fallSpeed } = snowParticles.userData;
+    const flakes = snowParticles.geometry.attributes.flake.array;
+    const flakeCount = flakes.length / 4;
+    const time = uniforms.uTime.value;
+    const sway = uniforms.uSway.value;
+    const half = SNOW_FIELD_SIZE / 2;
+    const wrap = value => ((value + half) % SNOW_FIELD_SIZE + SNOW_FIELD_SIZE) % SNOW_FIELD_SIZE - half;
+    const drift = new THREE.Vector2();
+
+    const expected = landingRate * uniforms.uSnowfall.value * fallSpeed * dt;
+    const landings = Math.floor(expected + random());
+    const sampled = Math.min(landings, MAX_LANDINGS_PER_FRAME);
+    const weight = sampled > 0 ? landings / sampled : 0;
+
+    for (let n = 0; n < sampled; n++) {
+        const i4 = Math.floor(random() * flakeCount) * 4;
+        const phase = flakes[i4 + 3];
+        windDriftAt(snowParticles, CONFIG.snowMotion.fallHeight / flakes[i4 + 2], drift);
+        const x = wrap(flakes[i4] + drift.x) + Math.sin(time * 1.5 + phase) * sway;
+        const z = wrap(flakes[i4 + 1] + drift.y) + Math.cos(time * 1.1 + phase * 0.7) * sway;
+        landSnowflake(snowCover, x, z, weight, CONFIG);
+    }
+}
+
+/**
+ * Update snow system animation (only uniforms change; the flakes move in the shader)
+ * @param {THREE.Points} snowParticles - Snow particles object
+ * @param {number} dt - Seconds since the last frame
+ * @param {boolean} handDetected - Whether hand is detected
+ * @param {THREE.Vector3} handPosition - Hand position in 3D space
+ * @param {Object} CONFIG - Configuration object
+ * @param {Object} [snowCover] - Snow cover that collects landing flakes (see snow-cover.js)
+ * @param {Object} [weather] - Weather state (see weather.js); still air and full snowfall without it
+ * @param {Object} [pointer] - Pointer state (see pointer.js): pushes snow aside, or spins it while held
+ */
+export function updateSnowSystem(snowParticles, dt, handDetected, handPosition, CONFIG, snowCover = null, weather = null, pointer = null) {
     if (!snowParticles) return;
 
-    const positions = snowParticles.geometry.attributes.position.array;
+    const { uniforms } = snowParticles.userData;
+    uniforms.uTime.value += dt;
+    uniforms.uGroundY.value = CONFIG.snowCover.groundY;
+    updateSnowWeather(snowParticles, dt, weather);
 
-    for (let i = 0; i < Math.min(200, snowCount); i++) {
-        const randomIndex = Math.floor(Math.random() * snowCount);
-        const i3 = randomIndex * 3;
+    // Hand interaction - blow away snow
+    if (handDetected) {
+        setSnowForce(snowParticles, 'hand', {
+            type: 'push',
+            position: handPosition,
+            radius: CONFIG.snowInteractionRadius
+        });
+    }
 
-        // Calculate direction from hand
-        const dx = positions[i3] - position.x;
-        const dy = positions[i3 + 1] - position.y;
-        const dz = positions[i3 + 2] - position.z;
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    // Pointer interaction - push while hovering, vortex while held
+    if (pointer && pointer.push > 0) {
+        setSnowForce(snowParticles, 'pointer', {
+            type: 'push',
+            position: pointer.position,
+            radius: CONFIG.pointerField.radius
+        });
+    }
+    if (pointer && pointer.swirl > 0) {
+        setSnowForce(snowParticles, 'pointer-vortex', {
+            type: 'spiral',
+            position: pointer.position,
+            radius: CONFIG.pointerField.vortexRadius
+        });
+    }
+    updateSnowForces(snowParticles, dt, CONFIG);
 
-        if (distance < CONFIG.snowWaveRadius) {
-            const velocity = snowVelocities[randomIndex];
-            const force = 0.5;
-            velocity.x += (dx / distance) * force;
-            velocity.y += 0.3; // Upward boost
-            velocity.z += (dz / distance) * force;
-        }
+    if (snowCover !== null) {
+        landSnowflakes(snowParticles, dt, snowCover, CONFIG);
     }
 }
 
 /**
- * Create snow spiral effect (Fist gesture)
+ * Create snow wave effect (Open Hand gesture)
  * @param {THREE.Points} snowParticles - Snow particles object
- * @param {Array} snowVelocities - Velocity array
- * @param {number} snowCount - Number of snow particles
  * @param {THREE.Vector3} position - Hand position
  * @param {Object} CONFIG - Configuration object
  */
-export function createSnowSpiral(snowParticles, snowVelocities, snowCount, position, CONFIG) {
+export function createSnowWave(snowParticles, position, CONFIG) {
     if (!snowParticles) return;
 
-    const positions = snowParticles.geometry.attributes.position.array;
-    const time = Date.now() * 0.003;
+    setSnowForce(snowParticles, null, { type: 'wave', position, radius: CONFIG.snowWaveRadius });
+}
 
-    for (let i = 0; i < snowCount; i++) {
-        const i3 = i * 3;
-        const dx = positions[i3] - position.x;
-        const dy = positions[i3 + 1] - position.y;
-        const dz = positions[i3 + 2] - position.z;
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-        if (distance < CONFIG.snowSpiralRadius) {
-            const velocity = snowVelocities[i];
-            const angle = Math.atan2(dz, dx) + 0.1; // Spiral angle
-            const force = (CONFIG.snowSpiralRadius - distance) / CONFIG.snowSpiralRadius * 0.1;
-            
-            velocity.x += Math.cos(angle) * force;
-            velocity.z += Math.sin(angle) * force;
-            velocity.y += Math.sin(time + i * 0.1) * 0.05; // Oscillate vertically
-        }
-    }
+/**
+ * Create snow spiral effect (Fist gesture); keeps swirling while called every frame
+ * @param {THREE.Points} snowParticles - Snow particles object
+ * @param {THREE.Vector3} position - Hand position
+ * @param {Object} CONFIG - Configuration object
+ */
+export function createSnowSpiral(snowParticles, position, CONFIG) {
+    if (!snowParticles) return;
+
+    setSnowForce(snowParticles, 'spiral', { type: 'spiral', position, radius: CONFIG.snowSpiralRadius });
 }
@@ -1,9 +1,11 @@
 /**
  * @file star.js
  * @description Top star creation and animation
- * @dependencies config.js
+ * @dependencies config.js, random.js
  */
 
+import { random } from '../utils/random.js';
+
 /**
  * Create a 5-pointed star geometry
  * @param {number} outerRadius - Outer radius of star
@@ -62,6 +64,7 @@ export function createTopStar(scene, CONFIG) {
     topStar.position.set(0, CONFIG.treeHeight / 2 + 2, 0);
     topStar.userData = {
         originalY: CONFIG.treeHeight / 2 + 2,
+        formationY: CONFIG.treeHeight / 2 + 2,
         scatterY: 60
     };
     
@@ -97,9 +100,10 @@ export function updateStar(topStar, time) {
  * Create star dust particles
  * @param {THREE.Scene} scene - Three.js scene
  * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
  * @returns {THREE.Points} Star dust points object
  */
-export function createStarDust(scene, CONFIG) {
+export function createStarDust(scene, CONFIG, rng = random) {
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(CONFIG.starDustCount * 3);
     const colors = new Float32Array(CONFIG.starDustCount * 3);
@@ -109,21 +113,21 @@ export function createStarDust(scene, CONFIG) {
         const i3 = i * 3;
         
         // Random position in a large sphere around tree area
-        const radius = 30 + Math.random() * 40;
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI;
+        const radius = 30 + rng() * 40;
+        const theta = rng() * Math.PI * 2;
+        const phi = rng() * Math.PI;
         
         positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
         positions[i3 + 1] = radius * Math.cos(phi);
         positions[i3 + 2] = radius * Math.sin(phi) * Math.sin(theta);
 
         // Yellow to white colors
-        const brightness = 0.8 + Math.random() * 0.2;
+        const brightness = 0.8 + rng() * 0.2;
         colors[i3] = brightness;
         colors[i3 + 1] = brightness;
         colors[i3 + 2] = brightness * 0.8;
 
-        sizes[i] = Math.random() * 2 + 0.5;
+        sizes[i] = rng() * 2 + 0.5;
     }
 
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -146,21 +150,62 @@ export function createStarDust(scene, CONFIG) {
     return starDust;
 }
 
+/**
+ * Move one dust mote away from the pointer, or around it while a vortex is held
+ * @param {Float32Array} positions - Star dust positions
+ * @param {number} i - Index of the mote's x coordinate
+ * @param {Object} pointer - Pointer state (see pointer.js)
+ * @param {Object} settings - CONFIG.pointerField
+ */
+function pushFromPointer(positions, i, pointer, settings) {
+    const dx = positions[i] - pointer.position.x;
+    const dy = positions[i + 1] - pointer.position.y;
+    const dz = positions[i + 2] - pointer.position.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    if (pointer.push > 0 && distance < settings.radius && distance > 1e-6) {
+        const force = (1 - distance / settings.radius) * settings.dustPush * pointer.push;
+        positions[i] += (dx / distance) * force;
+        positions[i + 1] += (dy / distance) * force;
+        positions[i + 2] += (dz / distance) * force;
+    }
+    if (pointer.swirl > 0 && distance < settings.vortexRadius) {
+        // Turn around the vertical axis through the pointer, most near the middle
+        const angle = pointer.swirlAngle * (1 - distance / settings.vortexRadius);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        positions[i] += (cos * dx - sin * dz - dx) * pointer.swirl;
+        positions[i + 2] += (sin * dx + cos * dz - dz) * pointer.swirl;
+    }
+}
+
 /**
  * Update star dust animation
  * @param {THREE.Points} starDust - Star dust points object
  * @param {number} time - Current time in seconds
+ * @param {Object} [weather] - Weather state (see weather.js): the wind blows the dust downwind
+ *     and turbulence stirs it harder
+ * @param {Object} [pointer] - Pointer state (see pointer.js): pushes the dust aside, or swirls it while held
+ * @param {Object} [CONFIG] - Configuration object (pointer field reach and strength; needed with pointer)
  */
-export function updateStarDust(starDust, time) {
+export function updateStarDust(starDust, time, weather = null, pointer = null, CONFIG = null) {
     if (!starDust) return;
     
     const positions = starDust.geometry.attributes.position.array;
     const original = starDust.userData.originalPositions;
+    const stir = 0.5 + (weather ? weather.turbulence * 0.5 : 0);
+    const windX = weather ? weather.wind.x * 0.1 : 0;
+    const windZ = weather ? weather.wind.y * 0.1 : 0;
     
     for (let i = 0; i < positions.length; i += 3) {
-        positions[i] = original[i] + Math.sin(time + i) * 0.5;
-        positions[i + 1] = original[i + 1] + Math.cos(time + i) * 0.5;
-        positions[i + 2] = original[i + 2] + Math.sin(time + i * 0.5) * 0.5;
+        const blown = 1 + Math.sin(time * 0.5 + i); // Each mote catches the wind differently
+        positions[i] = original[i] + Math.sin(time + i) * stir + windX * blown;
+        positions[i + 1] = original[i + 1] + Math.cos(time + i) * stir;
+        positions[i + 2] = original[i + 2] + Math.sin(time + i * 0.5) * stir + windZ * blown;
+
+        if (pointer && (pointer.push > 0 || pointer.swirl > 0)) {
+            pushFromPointer(positions, i, pointer, CONFIG.pointerField);
+        }
     }
     starDust.geometry.attributes.position.needsUpdate = true;
 }
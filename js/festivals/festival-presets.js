@@ -0,0 +1,76 @@
+/**
+ * @file festival-presets.js
+ * @description Festival modes: which formation, theme, ornament shapes and falling particles go together
+ * @dependencies None
+ */
+
+/**
+ * Built-in festivals. Every festival sets:
+ * - formation / theme: ids applied when the festival is picked
+ * - ornamentShapes: shapes drawn at random for new ornaments (repeat a shape to weight it)
+ * - shapePalette: palette slots allowed per shape (shapes left out use any slot)
+ * - particles: look of the falling particles (see setSnowStyle in snow.js)
+ * @type {Array<Object>}
+ */
+export const FESTIVALS = [
+    {
+        id: 'christmas',
+        label: '🎄 Christmas',
+        formation: 'tree',
+        theme: 'classic',
+        ornamentShapes: ['sphere', 'box'],
+        shapePalette: {},
+        particles: { texture: 'snow', size: 0.5, sway: 0, additive: true }
+    },
+    {
+        id: 'tet',
+        label: '🧧 Lunar New Year (Tết)',
+        formation: 'blossom-tree',
+        theme: 'tet',
+        ornamentShapes: ['blossom', 'blossom', 'blossom', 'lantern', 'envelope'],
+        shapePalette: { blossom: [2, 3], lantern: [0], envelope: [0] },
+        particles: { texture: 'petal', size: 0.9, sway: 0.8, additive: false }
+    }
+];
+
+/**
+ * Get a festival by id
+ * @param {string} id - Festival id
+ * @returns {Object} Festival definition
+ */
+export function getFestival(id) {
+    const festival = FESTIVALS.find(item => item.id === id);
+    if (!festival) {
+        throw new Error(`Unknown festival: ${id}`);
+    }
+    return festival;
+}
+
+/**
+ * Check whether a festival exists
+ * @param {string} id - Festival id
+ * @returns {boolean} True if defined
+ */
+export function hasFestival(id) {
+    return FESTIVALS.some(item => item.id === id);
+}
+
+/**
+ * List festivals in UI order
+ * @returns {Array<Object>} Festival definitions
+ */
+export function listFestivals() {
+    return FESTIVALS.slice();
+}
+
+/**
+ * Copy a festival's ornament settings into CONFIG (formation and theme are
+ * left to the caller, since saved scenes and share links may override them)
+ * @param {Object} festival - Festival definition
+ * @param {Object} CONFIG - Configuration object
+ */
+export function applyFestivalConfig(festival, CONFIG) {
+    CONFIG.festival = festival.id;
+    CONFIG.ornamentShapes = festival.ornamentShapes.slice();
+    CONFIG.ornamentShapePalette = { ...festival.shapePalette };
+}
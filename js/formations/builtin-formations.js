@@ -0,0 +1,355 @@
+/**
+ * @file builtin-formations.js
+ * @description Built-in ornament formations (tree, heart, snowman, star, galaxy, digits, blossom tree)
+ * @dependencies config.js, ornaments.js, random.js
+ */
+
+import { calculateTreePosition } from '../entities/ornaments.js';
+import { random } from '../utils/random.js';
+
+/**
+ * Seven-segment layout for each digit: segments a-g as [x1, y1, x2, y2]
+ * in a unit cell where x is 0..1 (left to right) and y is 0..2 (bottom to top)
+ * @type {Object<string, Array<number>>}
+ */
+const SEGMENTS = {
+    a: [0, 2, 1, 2],
+    b: [1, 2, 1, 1],
+    c: [1, 1, 1, 0],
+    d: [0, 0, 1, 0],
+    e: [0, 1, 0, 0],
+    f: [0, 2, 0, 1],
+    g: [0, 1, 1, 1]
+};
+
+const DIGIT_SEGMENTS = {
+    '0': 'abcdef',
+    '1': 'bc',
+    '2': 'abged',
+    '3': 'abgcd',
+    '4': 'fgbc',
+    '5': 'afgcd',
+    '6': 'afgedc',
+    '7': 'abc',
+    '8': 'abcdefg',
+    '9': 'abcdfg'
+};
+
+/**
+ * Cone tree - reuses each ornament's own tree position
+ * @param {number} count - Number of positions
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<Object>} [ornaments] - Ornament records
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<THREE.Vector3>} Target positions
+ */
+function generateTree(count, CONFIG, ornaments, rng = random) {
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        positions.push(ornaments && ornaments[i]
+            ? ornaments[i].userData.treePosition.clone()
+            : calculateTreePosition(i, count, CONFIG, rng));
+    }
+    return positions;
+}
+
+/**
+ * Filled 3D heart (classic parametric heart curve, thicker in the middle)
+ * @param {number} count - Number of positions
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<Object>} [ornaments] - Ornament records (unused)
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<THREE.Vector3>} Target positions
+ */
+function generateHeart(count, CONFIG, ornaments, rng = random) {
+    const scale = CONFIG.treeHeight / 34; // Curve spans roughly 34 units tall
+    const depth = CONFIG.treeBaseRadius * 0.4;
+    const positions = [];
+
+    for (let i = 0; i < count; i++) {
+        const t = rng() * Math.PI * 2;
+        const fill = Math.sqrt(rng()); // Uniform area fill
+
+        const hx = 16 * Math.pow(Math.sin(t), 3);
+        const hy = 13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t);
+
+        const x = hx * fill * scale;
+        const y = (hy + 3) * fill * scale; // Shift so the heart is vertically centered
+        const z = (rng() - 0.5) * 2 * depth * (1 - fill * 0.8);
+
+        positions.push(new THREE.Vector3(x, y, z));
+    }
+    return positions;
+}
+
+/**
+ * Snowman made of three stacked spheres
+ * @param {number} count - Number of positions
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<Object>} [ornaments] - Ornament records (unused)
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<THREE.Vector3>} Target positions
+ */
+function generateSnowman(count, CONFIG, ornaments, rng = random) {
+    const H = CONFIG.treeHeight;
+    const radii = [H * 0.22, H * 0.16, H * 0.11];
+    const bottom = -H / 2;
+
+    // Stack spheres with a small overlap
+    const centers = [];
+    let y = bottom;
+    radii.forEach(r => {
+        centers.push(y + r);
+        y += r * 1.8;
+    });
+
+    // Distribute ornaments proportionally to sphere surface area
+    const areas = radii.map(r => r * r);
+    const totalArea = areas.reduce((sum, a) => sum + a, 0);
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        let pick = rng() * totalArea;
+        let s = 0;
+        while (s < radii.length - 1 && pick > areas[s]) {
+            pick -= areas[s];
+            s++;
+        }
+
+        const theta = rng() * Math.PI * 2;
+        const phi = Math.acos(2 * rng() - 1);
+        const r = radii[s];
+
+        positions.push(new THREE.Vector3(
+            r * Math.sin(phi) * Math.cos(theta),
+            centers[s] + r * Math.cos(phi),
+            r * Math.sin(phi) * Math.sin(theta)
+        ));
+    }
+    return positions;
+}
+
+/**
+ * Check whether a 2D point lies inside a polygon (ray casting)
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {Array<Array<number>>} polygon - Polygon vertices as [x, y]
+ * @returns {boolean} True if inside
+ */
+function isInsidePolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Filled five-pointed star with some depth
+ * @param {number} count - Number of positions
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<Object>} [ornaments] - Ornament records (unused)
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<THREE.Vector3>} Target positions
+ */
+function generateStar(count, CONFIG, ornaments, rng = random) {
+    const outer = CONFIG.treeHeight * 0.55;
+    const inner = outer * 0.45;
+    const depth = CONFIG.treeBaseRadius * 0.25;
+
+    const polygon = [];
+    for (let i = 0; i < 10; i++) {
+        // Start at the top point
+        const angle = Math.PI / 2 + (i / 10) * Math.PI * 2;
+        const radius = i % 2 === 0 ? outer : inner;
+        polygon.push([Math.cos(angle) * radius, Math.sin(angle) * radius]);
+    }
+
+    const positions = [];
+    while (positions.length < count) {
+        const x = (rng() - 0.5) * 2 * outer;
+        const y = (rng() - 0.5) * 2 * outer;
+        if (!isInsidePolygon(x, y, polygon)) continue;
+
+        const z = (rng() - 0.5) * 2 * depth;
+        positions.push(new THREE.Vector3(x, y, z));
+    }
+    return positions;
+}
+
+/**
+ * Spiral galaxy disc, tilted towards the camera
+ * @param {number} count - Number of positions
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<Object>} [ornaments] - Ornament records (unused)
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<THREE.Vector3>} Target positions
+ */
+function generateGalaxy(count, CONFIG, ornaments, rng = random) {
+    const radius = CONFIG.treeHeight * 0.75;
+    const arms = 3;
+    const twist = 2.5; // Radians of winding from core to rim
+    const tilt = new THREE.Euler(Math.PI * 0.35, 0, 0);
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        const arm = i % arms;
+        const r = Math.pow(rng(), 0.7) * radius;
+        const spread = (rng() - 0.5) * 0.6 * (1 - r / radius * 0.5);
+        const angle = (arm / arms) * Math.PI * 2 + (r / radius) * twist + spread;
+
+        // Thicker bulge at the core, thin disc at the rim
+        const thickness = (1 - r / radius) * 2 + 0.3;
+        const position = new THREE.Vector3(
+            r * Math.cos(angle),
+            (rng() - 0.5) * thickness,
+            r * Math.sin(angle)
+        );
+        position.applyEuler(tilt);
+        positions.push(position);
+    }
+    return positions;
+}
+
+// Ornament shapes that hang below branches instead of clustering on them
+const HANGING_SHAPES = ['lantern', 'envelope'];
+
+/**
+ * Blossoming apricot / peach tree for Tết: a short curved trunk, main branches
+ * fanning up and out with a twig each, blossoms clustered towards the branch
+ * tips and lanterns / red envelopes hanging below the branches
+ * @param {number} count - Number of positions
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<Object>} [ornaments] - Ornament records (their shapes decide where they go)
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<THREE.Vector3>} Target positions
+ */
+function generateBlossomTree(count, CONFIG, ornaments, rng = random) {
+    const H = CONFIG.treeHeight;
+    const spread = CONFIG.treeBaseRadius * 1.2;
+    const baseY = -H / 2;
+
+    // Quadratic Bézier branch from start through control to end
+    const branch = (start, control, end) => (t, target = new THREE.Vector3()) => {
+        const u = 1 - t;
+        return target.set(
+            u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+            u * u * start.y + 2 * u * t * control.y + t * t * end.y,
+            u * u * start.z + 2 * u * t * control.z + t * t * end.z
+        );
+    };
+
+    const trunkTop = new THREE.Vector3(0.8, baseY + H * 0.45, 0);
+    const trunk = branch(new THREE.Vector3(0, baseY, 0), new THREE.Vector3(-1, baseY + H * 0.25, 0), trunkTop);
+
+    const branches = [];
+    const mainCount = 7;
+    for (let b = 0; b < mainCount; b++) {
+        const angle = (b / mainCount) * Math.PI * 2 + (rng() - 0.5) * 0.5;
+        const reach = spread * (0.6 + rng() * 0.4);
+        const start = trunk(0.85 + rng() * 0.15);
+        const end = new THREE.Vector3(
+            Math.cos(angle) * reach,
+            baseY + H * (0.7 + rng() * 0.3),
+            Math.sin(angle) * reach
+        );
+        const control = new THREE.Vector3(end.x * 0.3, start.y + (end.y - start.y) * 0.8, end.z * 0.3);
+        const main = branch(start, control, end);
+        branches.push(main);
+
+        // One twig off the middle of each main branch
+        const twigStart = main(0.5);
+        const twigAngle = angle + (rng() < 0.5 ? -0.7 : 0.7);
+        const twigEnd = new THREE.Vector3(
+            twigStart.x + Math.cos(twigAngle) * reach * 0.45,
+            twigStart.y + H * 0.15,
+            twigStart.z + Math.sin(twigAngle) * reach * 0.45
+        );
+        branches.push(branch(twigStart, twigStart.clone().lerp(twigEnd, 0.5).setY(twigEnd.y), twigEnd));
+    }
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        const shape = ornaments && ornaments[i] ? ornaments[i].userData.shape : null;
+        const along = branches[Math.floor(rng() * branches.length)];
+
+        if (HANGING_SHAPES.includes(shape)) {
+            // Hang on a short string below the outer half of a branch
+            const position = along(0.4 + rng() * 0.6);
+            position.y -= 0.8 + rng() * 0.8;
+            positions.push(position);
+        } else if (rng() < 0.15) {
+            // Bark: along the trunk or a branch
+            positions.push(rng() < 0.3 ? trunk(rng()) : along(rng()));
+        } else {
+            // Blossom clusters, denser towards the tips
+            const position = along(0.5 + Math.sqrt(rng()) * 0.5);
+            const r = 1.2 * Math.cbrt(rng());
+            const theta = rng() * Math.PI * 2;
+            const phi = Math.acos(2 * rng() - 1);
+            position.x += r * Math.sin(phi) * Math.cos(theta);
+            position.y += r * Math.cos(phi);
+            position.z += r * Math.sin(phi) * Math.sin(theta);
+            positions.push(position);
+        }
+    }
+    return positions;
+}
+
+/**
+ * Build a formation generator that renders digits with seven-segment strokes
+ * @param {string} text - Digits to display
+ * @returns {Function} Formation generator
+ */
+function createDigitsGenerator(text) {
+    return (count, CONFIG, ornaments, rng = random) => {
+        const digitHeight = CONFIG.treeHeight * 0.6;
+        const digitWidth = digitHeight * 0.5;
+        const gap = digitWidth * 0.5;
+        const thickness = digitHeight * 0.05;
+        const totalWidth = text.length * digitWidth + (text.length - 1) * gap;
+
+        // Collect every segment as a world-space line
+        const lines = [];
+        text.split('').forEach((char, d) => {
+            const offsetX = -totalWidth / 2 + d * (digitWidth + gap);
+            (DIGIT_SEGMENTS[char] || '').split('').forEach(name => {
+                const [x1, y1, x2, y2] = SEGMENTS[name];
+                lines.push([
+                    offsetX + x1 * digitWidth, (y1 / 2 - 0.5) * digitHeight,
+                    offsetX + x2 * digitWidth, (y2 / 2 - 0.5) * digitHeight
+                ]);
+            });
+        });
+
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const [x1, y1, x2, y2] = lines[i % lines.length];
+            const t = rng();
+            positions.push(new THREE.Vector3(
+                x1 + (x2 - x1) * t + (rng() - 0.5) * thickness,
+                y1 + (y2 - y1) * t + (rng() - 0.5) * thickness,
+                (rng() - 0.5) * thickness
+            ));
+        }
+        return positions;
+    };
+}
+
+/**
+ * Built-in formations
+ * @type {Array<Object>}
+ */
+export const BUILTIN_FORMATIONS = [
+    { id: 'tree', label: '🎄 Tree', showGarlands: true, generate: generateTree },
+    { id: 'heart', label: '❤️ Heart', showGarlands: false, generate: generateHeart },
+    { id: 'snowman', label: '⛄ Snowman', showGarlands: false, generate: generateSnowman },
+    { id: 'star', label: '⭐ Star', showGarlands: false, generate: generateStar },
+    { id: 'galaxy', label: '🌌 Galaxy', showGarlands: false, generate: generateGalaxy },
+    { id: 'digits-2026', label: '🎆 2026', showGarlands: false, generate: createDigitsGenerator('2026') },
+    { id: 'blossom-tree', label: '🌸 Blossom tree', showGarlands: false, generate: generateBlossomTree }
+];
@@ -0,0 +1,109 @@
+/**
+ * @file formation-registry.js
+ * @description Registry of ornament formations (target layouts for gathered state)
+ * @dependencies builtin-formations.js, ornaments.js, assignment.js, random.js
+ */
+
+import { BUILTIN_FORMATIONS } from './builtin-formations.js';
+import { setOrnamentColor } from '../entities/ornaments.js';
+import { assignNearest } from '../utils/assignment.js';
+import { randomStream } from '../utils/random.js';
+
+// Registered formations by id (insertion order is the UI order)
+const formations = new Map();
+
+/**
+ * Register a formation
+ * @param {Object} formation - Formation definition
+ * @param {string} formation.id - Unique identifier
+ * @param {string} formation.label - Label shown in the UI
+ * @param {boolean} [formation.showGarlands=false] - Whether the garlands belong to this formation
+ * @param {boolean} [formation.matchNearest=false] - Assign targets to ornaments by shortest travel instead of by index
+ * @param {boolean} [formation.useColors=false] - Recolor ornaments with the colors returned by generate()
+ * @param {Function} formation.generate - (count, CONFIG, ornaments, rng) => Array<THREE.Vector3>
+ *     or { positions: Array<THREE.Vector3>, colors: Array<number> }
+ */
+export function registerFormation(formation) {
+    if (!formation.id || typeof formation.generate !== 'function') {
+        throw new Error('Formation needs an id and a generate() function');
+    }
+    formations.set(formation.id, { showGarlands: false, matchNearest: false, useColors: false, ...formation });
+}
+
+/**
+ * Get a registered formation
+ * @param {string} id - Formation id
+ * @returns {Object} Formation definition
+ */
+export function getFormation(id) {
+    const formation = formations.get(id);
+    if (!formation) {
+        throw new Error(`Unknown formation: ${id}`);
+    }
+    return formation;
+}
+
+/**
+ * Check whether a formation is registered
+ * @param {string} id - Formation id
+ * @returns {boolean} True if registered
+ */
+export function hasFormation(id) {
+    return formations.has(id);
+}
+
+/**
+ * List all registered formations
+ * @returns {Array<Object>} Formation definitions
+ */
+export function listFormations() {
+    return Array.from(formations.values());
+}
+
+/**
+ * Assign a formation's target positions to the ornaments.
+ * Only sets targets; the gather/morph animations move the ornaments there.
+ * @param {string} id - Formation id
+ * @param {Array<Object>} ornaments - Ornament records
+ * @param {THREE.Mesh} topStar - Top star mesh
+ * @param {THREE.Group} garlands - Garlands (see garlands.js)
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng] - Random number generator (defaults to a seeded stream per formation)
+ * @returns {Object} The applied formation
+ */
+export function applyFormation(id, ornaments, topStar, garlands, CONFIG, rng = randomStream(`formation:${id}`)) {
+    const formation = getFormation(id);
+    const result = formation.generate(ornaments.length, CONFIG, ornaments, rng);
+    const positions = Array.isArray(result) ? result : result.positions;
+    const colors = Array.isArray(result) ? null : result.colors;
+
+    // Optionally pair each ornament with the closest free target
+    const order = formation.matchNearest
+        ? assignNearest(ornaments.map(ornament => ornament.position), positions, 2, rng)
+        : null;
+
+    let maxY = -Infinity;
+    ornaments.forEach((ornament, i) => {
+        const target = order ? order[i] : i;
+        ornament.userData.formationPosition = positions[target];
+        maxY = Math.max(maxY, positions[target].y);
+
+        // Source colors for image formations, palette colors otherwise
+        const color = formation.useColors && colors
+            ? colors[target]
+            : ornament.userData.paletteColor;
+        if (color !== ornament.userData.color) {
+            setOrnamentColor(ornament, color);
+        }
+    });
+
+    // The star crowns the tree at its usual spot and floats above any other shape
+    topStar.userData.formationY = formation.id === 'tree'
+        ? topStar.userData.originalY
+        : maxY + 2;
+    garlands.userData.formationVisible = formation.showGarlands;
+
+    return formation;
+}
+
+BUILTIN_FORMATIONS.forEach(registerFormation);
@@ -0,0 +1,149 @@
+/**
+ * @file image-sampler.js
+ * @description Turn text or a silhouette image into 3D target points
+ * @dependencies config.js, random.js
+ */
+
+import { random } from '../utils/random.js';
+
+/**
+ * Render text to an offscreen canvas
+ * @param {string} text - Text to render (use \n for multiple lines)
+ * @param {Object} options - Text options from CONFIG.textFormation
+ * @returns {HTMLCanvasElement} Canvas with white text on transparent background
+ */
+export function renderTextCanvas(text, options) {
+    const lines = text.split('\n');
+    const fontSize = options.fontSize;
+    const font = `${options.fontWeight} ${fontSize}px ${options.fontFamily}`;
+    const padding = fontSize * 0.2;
+
+    // Measure first to size the canvas tightly
+    const measure = document.createElement('canvas').getContext('2d');
+    measure.font = font;
+    const width = Math.max(...lines.map(line => measure.measureText(line).width), 1);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width + padding * 2);
+    canvas.height = Math.ceil(lines.length * fontSize * 1.1 + padding * 2);
+
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, canvas.width / 2, padding + (i + 0.5) * fontSize * 1.1);
+    });
+
+    return canvas;
+}
+
+/**
+ * Render an image (e.g. a PNG logo) to an offscreen canvas, limited in size
+ * @param {CanvasImageSource} image - Loaded image
+ * @param {number} maxSize - Maximum canvas width/height in pixels
+ * @returns {HTMLCanvasElement} Canvas containing the image
+ */
+export function renderImageCanvas(image, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Sample 3D points from the filled pixels of a canvas.
+ * A pixel is part of the shape when its alpha passes the threshold; fully
+ * opaque images fall back to "differs from the top-left background color".
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @param {number} count - Number of points to sample
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {{positions: Array<THREE.Vector3>, colors: Array<number>}} Points with their pixel colors
+ */
+export function sampleCanvasPoints(canvas, count, CONFIG, rng = random) {
+    const options = CONFIG.textFormation;
+    const { width, height } = canvas;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    let filled = collectPixels(data, width, height, (r, g, b, a) => a >= options.alphaThreshold);
+
+    // Opaque image without transparency: use distance from the background color
+    if (filled.length === width * height) {
+        const [br, bg, bb] = [data[0], data[1], data[2]];
+        filled = collectPixels(data, width, height, (r, g, b) =>
+            Math.abs(r - br) + Math.abs(g - bg) + Math.abs(b - bb) > 96);
+    }
+
+    if (filled.length === 0) {
+        throw new Error('Nothing to sample: the text or image is empty');
+    }
+
+    // Fit inside the formation area, keeping aspect ratio
+    const maxWidth = CONFIG.treeHeight * options.maxWidthRatio;
+    const maxHeight = CONFIG.treeHeight;
+    const scale = Math.min(maxWidth / width, maxHeight / height);
+
+    const positions = [];
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        const pixel = filled[Math.floor(rng() * filled.length)];
+        const px = pixel % width;
+        const py = Math.floor(pixel / width);
+
+        // Jitter inside the pixel so repeated samples do not stack exactly
+        positions.push(new THREE.Vector3(
+            (px + rng() - width / 2) * scale,
+            (height / 2 - py - rng()) * scale,
+            (rng() - 0.5) * options.depth
+        ));
+
+        const offset = pixel * 4;
+        colors.push((data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2]);
+    }
+
+    return { positions, colors };
+}
+
+/**
+ * Collect indices of pixels matching a predicate
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} predicate - (r, g, b, a) => boolean
+ * @returns {Array<number>} Pixel indices
+ */
+function collectPixels(data, width, height, predicate) {
+    const pixels = [];
+    for (let i = 0; i < width * height; i++) {
+        const offset = i * 4;
+        if (predicate(data[offset], data[offset + 1], data[offset + 2], data[offset + 3])) {
+            pixels.push(i);
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Load an image file (e.g. from a file input) into an HTMLImageElement
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+export function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not load image: ${file.name}`));
+        };
+        image.src = url;
+    });
+}
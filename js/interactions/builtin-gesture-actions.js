@@ -0,0 +1,89 @@
+/**
+ * @file builtin-gesture-actions.js
+ * @description Built-in gesture actions (gather, scatter, next formation, next theme, snow burst, screenshot, celebration)
+ * @dependencies snow.js, transitions.js
+ */
+
+import { createSnowWave } from '../entities/snow.js';
+import { transitionState } from '../animations/transitions.js';
+
+/**
+ * Built-in actions. Each run receives the hand tracking dependencies (see main.js
+ * getDependencies) and the hand state ({ position } in scene units).
+ * @type {Array<Object>}
+ */
+export const BUILTIN_GESTURE_ACTIONS = [
+    {
+        id: 'gather',
+        label: 'GATHER',
+        color: '#4ADE80',
+        run({ CONFIG, isGathered, animationState, ornaments, topStar, garlands, starLight, commandQueue }) {
+            if (isGathered.value) return false;
+            isGathered.value = true;
+            // Queued so a gesture during an animation runs after it instead of being dropped
+            commandQueue.enqueue('transition', () =>
+                transitionState(true, ornaments, topStar, garlands, starLight, CONFIG, animationState));
+            return true;
+        }
+    },
+    {
+        id: 'scatter',
+        label: 'SCATTER',
+        color: '#F87171',
+        run({ CONFIG, isGathered, animationState, ornaments, topStar, garlands, starLight, snowParticles, commandQueue }, hand) {
+            // The snow wave plays even when already scattered
+            createSnowWave(snowParticles, hand.position, CONFIG);
+            if (isGathered.value) {
+                isGathered.value = false;
+                commandQueue.enqueue('transition', () =>
+                    transitionState(false, ornaments, topStar, garlands, starLight, CONFIG, animationState));
+            }
+            return true;
+        }
+    },
+    {
+        id: 'next-formation',
+        label: 'NEXT SHAPE',
+        color: '#FFD700',
+        run({ nextFormation }) {
+            nextFormation();
+            return true;
+        }
+    },
+    {
+        id: 'next-theme',
+        label: 'NEXT THEME',
+        color: '#C084FC',
+        run({ nextTheme }) {
+            nextTheme();
+            return true;
+        }
+    },
+    {
+        id: 'burst-snow',
+        label: 'SNOW BURST',
+        color: '#88CCFF',
+        run({ CONFIG, snowParticles }, hand) {
+            createSnowWave(snowParticles, hand.position, CONFIG);
+            return true;
+        }
+    },
+    {
+        id: 'screenshot',
+        label: 'SCREENSHOT',
+        color: '#FFFFFF',
+        run({ takeScreenshot }) {
+            takeScreenshot();
+            return true;
+        }
+    },
+    {
+        id: 'celebrate',
+        label: 'CELEBRATE',
+        color: '#FF69B4',
+        run({ celebrate }) {
+            celebrate();
+            return true;
+        }
+    }
+];
@@ -0,0 +1,70 @@
+/**
+ * @file gesture-actions.js
+ * @description Registry of actions a hand gesture can trigger (gather, scatter,
+ * next formation, next theme, snow burst, screenshot, celebration), mapped to gestures in
+ * CONFIG.handTracking.gestures
+ * @dependencies builtin-gesture-actions.js
+ */
+
+import { BUILTIN_GESTURE_ACTIONS } from './builtin-gesture-actions.js';
+
+// Registered actions by id
+const actions = new Map();
+
+/**
+ * Register a gesture action
+ * @param {Object} action - Action definition
+ * @param {string} action.id - Unique identifier (used in CONFIG.handTracking.gestures)
+ * @param {string} action.label - Label shown in the gesture display
+ * @param {string} [action.color] - Gesture display text color
+ * @param {Function} action.run - (dependencies, hand) => boolean; returns false when there was nothing to do
+ */
+export function registerGestureAction(action) {
+    if (!action.id || typeof action.run !== 'function') {
+        throw new Error('Gesture action needs an id and a run function');
+    }
+    actions.set(action.id, action);
+}
+
+/**
+ * Get a registered gesture action
+ * @param {string} id - Action id
+ * @returns {Object} Action definition
+ */
+export function getGestureAction(id) {
+    const action = actions.get(id);
+    if (!action) {
+        throw new Error(`Unknown gesture action: ${id}`);
+    }
+    return action;
+}
+
+/**
+ * Check whether a gesture action is registered
+ * @param {string} id - Action id
+ * @returns {boolean} True if registered
+ */
+export function hasGestureAction(id) {
+    return actions.has(id);
+}
+
+/**
+ * List all registered gesture actions
+ * @returns {Array<Object>} Action definitions
+ */
+export function listGestureActions() {
+    return Array.from(actions.values());
+}
+
+/**
+ * Find the action a gesture is mapped to
+ * @param {string} gesture - Gesture id
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object|null} Action definition, or null when the gesture does nothing
+ */
+export function getActionForGesture(gesture, CONFIG) {
+    const id = CONFIG.handTracking.gestures[gesture];
+    return id && hasGestureAction(id) ? getGestureAction(id) : null;
+}
+
+BUILTIN_GESTURE_ACTIONS.forEach(registerGestureAction);
@@ -0,0 +1,277 @@
+/**
+ * @file gestures.js
+ * @description Hand gesture vocabulary: hand poses read from MediaPipe landmarks
+ * (fist, open hand, pinch, point, peace sign, thumbs up, OK sign) scored from
+ * joint angles and smoothed over frames, swipes read from the palm's movement, and
+ * both hands raised (see two-hand-controls.js)
+ * @dependencies math-helpers.js
+ */
+
+import { clamp } from '../utils/math-helpers.js';
+
+/**
+ * Recognized gestures with their icon and label (insertion order is the UI order)
+ * @type {Object<string, {icon: string, label: string}>}
+ */
+export const GESTURES = {
+    fist: { icon: '✊', label: 'Nắm tay (Fist)' },
+    open: { icon: '🖐️', label: 'Mở tay (Open)' },
+    pinch: { icon: '🤏', label: 'Pinch' },
+    point: { icon: '☝️', label: 'Point' },
+    peace: { icon: '✌️', label: 'Peace sign' },
+    'thumbs-up': { icon: '👍', label: 'Thumbs up' },
+    ok: { icon: '👌', label: 'OK sign' },
+    'swipe-left': { icon: '👈', label: 'Swipe left' },
+    'swipe-right': { icon: '👉', label: 'Swipe right' },
+    'hands-up': { icon: '🙌', label: 'Both hands up' }
+};
+
+// Landmark chains from the wrist (0) to each fingertip: thumb, index, middle, ring, pinky
+const WRIST = 0;
+const FINGER_CHAINS = [
+    [0, 1, 2, 3, 4],
+    [0, 5, 6, 7, 8],
+    [0, 9, 10, 11, 12],
+    [0, 13, 14, 15, 16],
+    [0, 17, 18, 19, 20]
+];
+
+// Total joint bend (radians) of a straight and of a curled finger
+const STRAIGHT_BEND = 0.35;
+const CURLED_BEND = 2.6;
+const THUMB_STRAIGHT_BEND = 0.3;
+const THUMB_CURLED_BEND = 1.8;
+
+// Scratch vectors
+const a = new THREE.Vector3();
+const b = new THREE.Vector3();
+const c = new THREE.Vector3();
+
+/**
+ * Read a landmark as a point with equal units on every axis
+ * (landmark x and y are normalized to the image width and height)
+ * @param {Array} landmarks - Hand landmarks
+ * @param {number} index - Landmark index
+ * @param {number} aspect - Image width / height
+ * @param {THREE.Vector3} target - Vector to write to
+ * @returns {THREE.Vector3} target
+ */
+function readPoint(landmarks, index, aspect, target) {
+    const landmark = landmarks[index];
+    return target.set(landmark.x * aspect, landmark.y, (landmark.z || 0) * aspect);
+}
+
+/**
+ * Distance between two landmarks
+ * @param {Array} landmarks - Hand landmarks
+ * @param {number} i - First landmark index
+ * @param {number} j - Second landmark index
+ * @param {number} aspect - Image width / height
+ * @returns {number} Distance (image height units)
+ */
+function landmarkDistance(landmarks, i, j, aspect) {
+    return readPoint(landmarks, i, aspect, a).distanceTo(readPoint(landmarks, j, aspect, b));
+}
+
+/**
+ * How far a chain of landmarks bends, summed over its joints. Angles do not
+ * change as the hand turns, tilts or moves, unlike image-space thresholds.
+ * @param {Array} landmarks - Hand landmarks
+ * @param {Array<number>} chain - Landmark indices along the finger
+ * @param {number} aspect - Image width / height
+ * @returns {number} Total bend in radians (0 for a straight finger)
+ */
+function measureBend(landmarks, chain, aspect) {
+    let bend = 0;
+    for (let i = 1; i < chain.length - 1; i++) {
+        readPoint(landmarks, chain[i], aspect, a).sub(readPoint(landmarks, chain[i - 1], aspect, b));
+        readPoint(landmarks, chain[i + 1], aspect, b).sub(readPoint(landmarks, chain[i], aspect, c));
+        if (a.lengthSq() > 0 && b.lengthSq() > 0) {
+            bend += a.angleTo(b);
+        }
+    }
+    return bend;
+}
+
+/**
+ * Measure how far each finger is extended, from its joint angles
+ * @param {Array} landmarks - Hand landmarks
+ * @param {number} [aspect=4/3] - Camera image width / height
+ * @returns {Array<number>} Extension of thumb, index, middle, ring and pinky (0 curled to 1 straight)
+ */
+export function measureFingers(landmarks, aspect = 4 / 3) {
+    const palm = Math.max(landmarkDistance(landmarks, WRIST, 9, aspect), 1e-6);
+
+    const fingers = FINGER_CHAINS.slice(1).map(chain =>
+        1 - clamp((measureBend(landmarks, chain, aspect) - STRAIGHT_BEND) / (CURLED_BEND - STRAIGHT_BEND), 0, 1));
+
+    // The thumb bends less; a tucked thumb also lies across the palm, close to the index knuckle
+    const thumbStraight = 1 - clamp((measureBend(landmarks, FINGER_CHAINS[0].slice(1), aspect) - THUMB_STRAIGHT_BEND) /
+        (THUMB_CURLED_BEND - THUMB_STRAIGHT_BEND), 0, 1);
+    const thumbReach = clamp((landmarkDistance(landmarks, 4, 5, aspect) / palm - 0.2) / 0.2, 0, 1);
+
+    return [Math.min(thumbStraight, thumbReach), ...fingers];
+}
+
+/**
+ * Score how well the hand matches each pose
+ * @param {Array} landmarks - Hand landmarks
+ * @param {Object} settings - Hand tracking settings (CONFIG.handTracking)
+ * @param {number} [aspect=4/3] - Camera image width / height
+ * @returns {Object<string, number>} Confidence (0 to 1) by gesture id, swipes excluded
+ */
+export function scoreGestures(landmarks, settings, aspect = 4 / 3) {
+    const [thumb, index, middle, ring, pinky] = measureFingers(landmarks, aspect);
+    const palm = Math.max(landmarkDistance(landmarks, WRIST, 9, aspect), 1e-6);
+
+    // Thumb and index tips touching (fully at half the pinch distance, not at all beyond it)
+    const gap = landmarkDistance(landmarks, 4, 8, aspect) / palm;
+    const touch = 1 - clamp((gap - settings.pinchDistance / 2) / (settings.pinchDistance / 2), 0, 1);
+    // A fist brings the tips close too, but with the index curled into the palm
+    const indexReach = clamp((landmarkDistance(landmarks, 8, WRIST, aspect) / palm - 0.9) / 0.4, 0, 1);
+    // Thumb pointing up in the image (thumbs up is the one pose that is about direction)
+    readPoint(landmarks, 4, aspect, a).sub(readPoint(landmarks, 2, aspect, b)).normalize();
+    const thumbUp = clamp((-a.y - 0.5) / 0.4, 0, 1);
+
+    const curled = Math.min(1 - index, 1 - middle, 1 - ring, 1 - pinky);
+    const othersUp = Math.min(middle, ring, pinky);
+    const thumbsUp = Math.min(thumb, thumbUp, curled);
+
+    return {
+        fist: Math.min(curled, 1 - thumbsUp),
+        open: Math.min(index, middle, ring, pinky, 1 - touch),
+        pinch: Math.min(touch, indexReach, 1 - othersUp),
+        point: Math.min(index, 1 - middle, 1 - ring, 1 - pinky, 1 - touch),
+        peace: Math.min(index, middle, 1 - ring, 1 - pinky),
+        'thumbs-up': thumbsUp,
+        ok: Math.min(touch, indexReach, othersUp)
+    };
+}
+
+/**
+ * Pick the best-scoring gesture
+ * @param {Object<string, number>} scores - Confidence by gesture id
+ * @returns {{gesture: string, confidence: number}} Best gesture and its confidence
+ */
+function bestGesture(scores) {
+    let gesture = 'partial';
+    let confidence = 0;
+    Object.keys(scores).forEach(id => {
+        if (scores[id] > confidence) {
+            gesture = id;
+            confidence = scores[id];
+        }
+    });
+    return { gesture, confidence };
+}
+
+/**
+ * Detect the hand pose from a single frame
+ * @param {Array} landmarks - Hand landmarks
+ * @param {Object} settings - Hand tracking settings (CONFIG.handTracking)
+ * @param {number} [aspect=4/3] - Camera image width / height
+ * @returns {string} Gesture id (see GESTURES), or 'partial' when no pose is confident enough
+ */
+export function detectGesture(landmarks, settings, aspect = 4 / 3) {
+    const { gesture, confidence } = bestGesture(scoreGestures(landmarks, settings, aspect));
+    return confidence >= settings.enterConfidence ? gesture : 'partial';
+}
+
+/**
+ * Create a gesture filter that smooths pose scores over recent frames and only
+ * changes gesture with hysteresis: a new pose must reach enterConfidence, and
+ * the current one holds until it drops below releaseConfidence
+ * @param {Object} settings - Hand tracking settings (CONFIG.handTracking)
+ * @returns {Object} Filter with update() and reset()
+ */
+export function createGestureFilter(settings) {
+    let frames = [];
+    let current = 'partial';
+
+    return {
+        /**
+         * Add a frame's scores and read the settled gesture
+         * @param {Object<string, number>} scores - Confidence by gesture id (see scoreGestures)
+         * @returns {{gesture: string, confidence: number, scores: Object<string, number>}} Settled gesture,
+         * its smoothed confidence and all smoothed scores
+         */
+        update(scores) {
+            frames.push(scores);
+            if (frames.length > settings.smoothingFrames) {
+                frames.shift();
+            }
+
+            const smoothed = {};
+            Object.keys(scores).forEach(id => {
+                smoothed[id] = frames.reduce((sum, frame) => sum + frame[id], 0) / frames.length;
+            });
+
+            const best = bestGesture(smoothed);
+            const holding = current !== 'partial' && smoothed[current] >= settings.releaseConfidence;
+            if (!holding || (best.gesture !== current && best.confidence >= settings.enterConfidence &&
+                    best.confidence > smoothed[current] + settings.switchMargin)) {
+                current = best.confidence >= settings.enterConfidence ? best.gesture : 'partial';
+            }
+
+            return { gesture: current, confidence: current === 'partial' ? 0 : smoothed[current], scores: smoothed };
+        },
+
+        /**
+         * Forget recent frames (when the hand is lost or changes)
+         */
+        reset() {
+            frames = [];
+            current = 'partial';
+        }
+    };
+}
+
+/**
+ * Tell which hand MediaPipe found. MediaPipe labels hands as if the image were
+ * mirrored like a selfie; the webcam frames it gets are not, so the label is swapped.
+ * @param {Object} [classification] - Entry of results.multiHandedness ({ label, score })
+ * @returns {string} 'left', 'right' or 'unknown'
+ */
+export function readHandedness(classification) {
+    if (!classification) return 'unknown';
+    if (classification.label === 'Left') return 'right';
+    if (classification.label === 'Right') return 'left';
+    return 'unknown';
+}
+
+/**
+ * Create a swipe detector that watches the palm move sideways
+ * @param {Object} settings - Hand tracking settings (CONFIG.handTracking)
+ * @returns {Object} Detector with update() and reset()
+ */
+export function createSwipeDetector(settings) {
+    let samples = []; // { x, time } of recent palm positions
+
+    return {
+        /**
+         * Add a palm position and check for a swipe
+         * @param {number} x - Palm x in normalized image coordinates (0 left to 1 right of the camera image)
+         * @param {number} time - Time in ms
+         * @returns {string|null} 'swipe-left', 'swipe-right' or null
+         */
+        update(x, time) {
+            samples.push({ x, time });
+            samples = samples.filter(sample => time - sample.time <= settings.swipeTime);
+
+            const travel = x - samples[0].x;
+            if (Math.abs(travel) < settings.swipeDistance) return null;
+
+            // Start over so one movement makes one swipe. The camera image is mirrored
+            // on screen, so moving toward the user's right lowers x.
+            samples = [];
+            return travel < 0 ? 'swipe-right' : 'swipe-left';
+        },
+
+        /**
+         * Forget the palm's path (when the hand is lost)
+         */
+        reset() {
+            samples = [];
+        }
+    };
+}
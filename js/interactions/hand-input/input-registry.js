@@ -0,0 +1,76 @@
+/**
+ * @file input-registry.js
+ * @description Registry of hand input providers: where hand landmarks come from
+ * (MediaPipe on the webcam, a recorded session, a scripted hand, or any other model)
+ * @dependencies mediapipe-input.js, replay-input.js, synthetic-input.js
+ */
+
+import { mediapipeInput } from './mediapipe-input.js';
+import { replayInput } from './replay-input.js';
+import { syntheticInput } from './synthetic-input.js';
+
+// Registered providers by id (insertion order is the UI order)
+const inputs = new Map();
+
+/**
+ * Register a hand input provider. A provider yields MediaPipe-style results:
+ * { multiHandLandmarks: [[21 × { x, y, z }]], multiHandedness: [{ label, score }] },
+ * with x and y normalized to the camera image (0 to 1) and the 21 landmarks in
+ * MediaPipe Hands order, so another hand model only has to convert its output.
+ * @param {Object} input - Provider definition
+ * @param {string} input.id - Unique identifier (used in CONFIG.handTracking.provider)
+ * @param {string} input.label - Label shown in the UI
+ * @param {boolean} [input.needsRecording] - Only starts with a recording to play
+ * @param {Function} input.create - (options) => { start(onResults): Promise, stop() }; options
+ *     hold { CONFIG, video, onError } plus anything the caller adds. onResults is called with
+ *     (results, time in ms) for every frame; start rejects when the input cannot start, and
+ *     an input that fails later stops and calls onError(error).
+ */
+export function registerHandInput(input) {
+    if (!input.id || typeof input.create !== 'function') {
+        throw new Error('Hand input needs an id and a create() function');
+    }
+    inputs.set(input.id, input);
+}
+
+/**
+ * Get a registered hand input provider
+ * @param {string} id - Provider id
+ * @returns {Object} Provider definition
+ */
+export function getHandInput(id) {
+    const input = inputs.get(id);
+    if (!input) {
+        throw new Error(`Unknown hand input: ${id}`);
+    }
+    return input;
+}
+
+/**
+ * Check whether a hand input provider is registered
+ * @param {string} id - Provider id
+ * @returns {boolean} True if registered
+ */
+export function hasHandInput(id) {
+    return inputs.has(id);
+}
+
+/**
+ * List all registered hand input providers
+ * @returns {Array<Object>} Provider definitions
+ */
+export function listHandInputs() {
+    return Array.from(inputs.values());
+}
+
+/**
+ * Create a hand input from a registered provider
+ * @param {string} id - Provider id
+ * @param {Object} options - Provider options ({ CONFIG, video, onError, ... })
+ * @returns {Object} Input with start(onResults) and stop()
+ */
+export function createHandInput(id, options) {
+    return getHandInput(id).create(options);
+}
+
+[mediapipeInput, replayInput, syntheticInput].forEach(registerHandInput);
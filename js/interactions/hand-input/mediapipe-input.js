@@ -0,0 +1,113 @@
+/**
+ * @file mediapipe-input.js
+ * @description MediaPipe Hands on the live webcam, with the script and model files
+ * loaded from CONFIG.handTracking.assets (the CDN, or a copy served with the app)
+ * @dependencies config.js
+ */
+
+// Camera frame size handed to the detector
+const VIDEO_WIDTH = 320;
+const VIDEO_HEIGHT = 240;
+
+/**
+ * Load a classic script once
+ * @param {string} url - Script URL
+ * @param {string} globalName - Global the script defines (skips loading when it exists)
+ * @returns {Promise<void>} Resolves when the global is available
+ */
+function loadScript(url, globalName) {
+    if (window[globalName]) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.crossOrigin = 'anonymous';
+        script.onload = () => resolve();
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Could not load ${url}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * MediaPipe input provider. Options:
+ * - CONFIG: configuration object (detector settings and asset paths from CONFIG.handTracking)
+ * - video: video element the webcam plays in
+ * - onError: called when the detector fails after starting (the input has stopped)
+ * @type {Object}
+ */
+export const mediapipeInput = {
+    id: 'mediapipe',
+    label: '📷 Camera (MediaPipe)',
+
+    create({ CONFIG, video, onError = null }) {
+        const settings = CONFIG.handTracking;
+        let hands = null;
+        let stream = null;
+        let frame = null;
+
+        const stop = () => {
+            cancelAnimationFrame(frame);
+            frame = null;
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+                stream = null;
+            }
+            video.srcObject = null;
+            if (hands) {
+                hands.close();
+                hands = null;
+            }
+        };
+
+        return {
+            async start(onResults) {
+                const { scriptPath, modelPath } = settings.assets;
+                await loadScript(`${scriptPath}hands.js`, 'Hands');
+
+                hands = new window.Hands({ locateFile: (file) => `${modelPath}${file}` });
+                hands.setOptions({
+                    maxNumHands: settings.maxNumHands,
+                    modelComplexity: settings.modelComplexity,
+                    minDetectionConfidence: settings.minDetectionConfidence,
+                    minTrackingConfidence: settings.minTrackingConfidence
+                });
+                hands.onResults((results) => onResults(results, Date.now()));
+
+                try {
+                    stream = await navigator.mediaDevices.getUserMedia({
+                        video: { width: VIDEO_WIDTH, height: VIDEO_HEIGHT },
+                        audio: false
+                    });
+                    video.srcObject = stream;
+                    await video.play();
+                } catch (error) {
+                    stop();
+                    throw error;
+                }
+
+                // One frame in flight at a time: the next is sent once the detector is done
+                const sendFrame = async () => {
+                    if (!hands) return;
+                    try {
+                        if (video.readyState >= 2) {
+                            await hands.send({ image: video });
+                        }
+                    } catch (error) {
+                        stop();
+                        if (onError) onError(error);
+                        return;
+                    }
+                    if (hands) {
+                        frame = requestAnimationFrame(sendFrame);
+                    }
+                };
+                frame = requestAnimationFrame(sendFrame);
+            },
+
+            stop
+        };
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * @file replay-input.js
+ * @description Replay input: a recorded hand session played in real time in place of the camera
+ * @dependencies hand-recording.js
+ */
+
+import { createReplaySource } from '../hand-recording.js';
+
+/**
+ * Replay input provider. Options:
+ * - recording: valid hand recording (see hand-recording.js)
+ * - loop: start over at the end (default false)
+ * - speed: playback speed (default 1)
+ * - onEnd: called when a non-looping replay finishes
+ * @type {Object}
+ */
+export const replayInput = {
+    id: 'replay',
+    label: '🎞️ Recorded session',
+    needsRecording: true,
+
+    create({ recording, loop = false, speed = 1, onEnd = null }) {
+        let source = null;
+
+        return {
+            async start(onResults) {
+                source = createReplaySource(recording, onResults, { loop, speed, onEnd });
+                source.start();
+            },
+
+            stop() {
+                if (source) {
+                    source.stop();
+                    source = null;
+                }
+            }
+        };
+    }
+};
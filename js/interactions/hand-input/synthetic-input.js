@@ -0,0 +1,174 @@
+/**
+ * @file synthetic-input.js
+ * @description Synthetic hand input: a scripted hand built from a simple hand model,
+ * for demos and for trying gestures without a camera
+ * @dependencies config.js
+ */
+
+// Hand model in palm lengths (wrist to middle knuckle), wrist at the origin and the
+// fingers pointing up the image (-y). Index, middle, ring and pinky: knuckle position
+// and the lengths of the three bones.
+const FINGERS = [
+    { knuckle: [-0.32, -0.94], bones: [0.45, 0.27, 0.22] },
+    { knuckle: [0, -1], bones: [0.5, 0.3, 0.23] },
+    { knuckle: [0.28, -0.94], bones: [0.47, 0.28, 0.22] },
+    { knuckle: [0.52, -0.83], bones: [0.37, 0.21, 0.2] }
+];
+const THUMB_BASE = [-0.22, -0.22];
+const THUMB_BONES = [0.36, 0.32, 0.27];
+
+// How far each joint bends (radians) when a finger curls fully: knuckle, middle joint, end joint
+const CURL_BENDS = [1.5, 1.7, 1.1];
+
+// Finger curl (0 straight to 1 curled) for thumb, index, middle, ring and pinky, per pose
+const POSES = {
+    open: [0, 0, 0, 0, 0],
+    fist: [1, 1, 1, 1, 1],
+    point: [1, 0, 1, 1, 1],
+    peace: [1, 0, 0, 1, 1],
+    'thumbs-up': [0, 1, 1, 1, 1],
+    pinch: [0, 0.3, 0.8, 0.9, 0.9],
+    ok: [0, 0.35, 0, 0, 0]
+};
+
+// Poses with the thumb tip resting on the index tip
+const TOUCHING_POSES = ['pinch', 'ok'];
+
+/**
+ * Lay out a bent finger chain. Bending turns the finger toward the camera, the way
+ * a hand facing the camera curls.
+ * @param {Array<number>} start - First joint [x, y, z]
+ * @param {Array<number>} direction - Unbent direction [x, y] (unit length)
+ * @param {Array<number>} bones - Bone lengths
+ * @param {Array<number>} bends - Bend at the start of each bone (radians)
+ * @returns {Array<Array<number>>} Joint positions after start, one per bone
+ */
+function layOutFinger(start, direction, bones, bends) {
+    const points = [];
+    let [x, y, z] = start;
+    let angle = 0;
+    bones.forEach((length, i) => {
+        angle += bends[i];
+        const along = Math.cos(angle) * length;
+        x += direction[0] * along;
+        y += direction[1] * along;
+        z -= Math.sin(angle) * length;
+        points.push([x, y, z]);
+    });
+    return points;
+}
+
+/**
+ * Build the 21 MediaPipe landmarks of a hand in a pose
+ * @param {string} pose - Pose id (open, fist, point, peace, thumbs-up, pinch, ok)
+ * @param {Object} [placement] - Where the hand is in the camera image
+ * @param {number} [placement.x=0.5] - Palm center x (0 to 1)
+ * @param {number} [placement.y=0.55] - Palm center y (0 to 1)
+ * @param {number} [placement.size=0.2] - Palm length (share of the image height)
+ * @param {number} [placement.angle=0] - Tilt of the hand (radians, clockwise on screen)
+ * @param {number} [placement.aspect=4/3] - Camera image width / height
+ * @returns {Array<{x: number, y: number, z: number}>} Landmarks
+ */
+export function createSyntheticLandmarks(pose, { x = 0.5, y = 0.55, size = 0.2, angle = 0, aspect = 4 / 3 } = {}) {
+    const curls = POSES[pose] || POSES.open;
+    const points = [[0, 0, 0]];
+
+    // Thumb: curls across the palm; held straight up for a thumbs up
+    const thumbDirection = pose === 'thumbs-up' ? [-0.45, -0.89] : [-0.6, -0.8];
+    const thumbBends = [0.5, 0.7, 0.6].map(bend => bend * curls[0]);
+    const thumb = layOutFinger([...THUMB_BASE, 0], thumbDirection, THUMB_BONES, thumbBends);
+    thumb.forEach(point => {
+        point[0] += curls[0] * 0.35; // A curled thumb tucks over toward the pinky
+    });
+    points.push([...THUMB_BASE, 0], ...thumb);
+
+    FINGERS.forEach(({ knuckle, bones }, i) => {
+        const length = Math.hypot(knuckle[0], knuckle[1]);
+        const direction = [knuckle[0] / length, knuckle[1] / length];
+        const bends = CURL_BENDS.map(bend => bend * curls[i + 1]);
+        points.push([...knuckle, 0], ...layOutFinger([...knuckle, 0], direction, bones, bends));
+    });
+
+    // Pinch and OK: the thumb tip meets the index tip, its middle joint halfway there
+    // and bowed outward
+    if (TOUCHING_POSES.includes(pose)) {
+        const [ix, iy, iz] = points[8];
+        points[4] = [ix - 0.04, iy + 0.04, iz];
+        points[3] = [(points[2][0] + points[4][0]) / 2 - 0.08, (points[2][1] + points[4][1]) / 2, (points[2][2] + points[4][2]) / 2];
+    }
+
+    // Place the hand: palm center (middle knuckle halfway) at x, y, scaled and tilted
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return points.map(([px, py, pz]) => {
+        const cy = py + 0.5;
+        return {
+            x: x + (px * cos - cy * sin) * size / aspect,
+            y: y + (px * sin + cy * cos) * size,
+            z: pz * size
+        };
+    });
+}
+
+/**
+ * Synthetic hand input provider. Options:
+ * - script: steps { pose, duration (ms), x, y, toX, toY, angle }; pose null hides the hand,
+ *   and the hand moves from (x, y) to (toX, toY) over the step
+ *   (default CONFIG.handTracking.syntheticScript)
+ * - loop: start the script over at the end (default true)
+ * - frameRate: frames per second (default 30)
+ * - handedness: MediaPipe label to report (default 'Left', the user's right hand)
+ * @type {Object}
+ */
+export const syntheticInput = {
+    id: 'synthetic',
+    label: '🤖 Scripted hand',
+
+    create({ CONFIG, script = CONFIG.handTracking.syntheticScript, loop = true, frameRate = 30, handedness = 'Left' }) {
+        const total = script.reduce((sum, step) => sum + step.duration, 0);
+        let timer = null;
+        let startTime = 0;
+
+        const frameAt = (elapsed) => {
+            let time = loop ? elapsed % total : Math.min(elapsed, total);
+            let index = 0;
+            while (index < script.length - 1 && time >= script[index].duration) {
+                time -= script[index].duration;
+                index++;
+            }
+            const step = script[index];
+            if (!step.pose) {
+                return { multiHandLandmarks: [], multiHandedness: [] };
+            }
+
+            const t = Math.min(time / step.duration, 1);
+            const x = step.x ?? 0.5;
+            const y = step.y ?? 0.55;
+            const landmarks = createSyntheticLandmarks(step.pose, {
+                x: x + ((step.toX ?? x) - x) * t,
+                y: y + ((step.toY ?? y) - y) * t,
+                angle: step.angle || 0
+            });
+            return { multiHandLandmarks: [landmarks], multiHandedness: [{ label: handedness, score: 1 }] };
+        };
+
+        return {
+            async start(onResults) {
+                startTime = Date.now();
+                timer = setInterval(() => {
+                    const elapsed = Date.now() - startTime;
+                    if (!loop && elapsed > total) {
+                        clearInterval(timer);
+                        return;
+                    }
+                    onResults(frameAt(elapsed), Date.now());
+                }, 1000 / frameRate);
+            },
+
+            stop() {
+                clearInterval(timer);
+                timer = null;
+            }
+        };
+    }
+};
@@ -0,0 +1,256 @@
+/**
+ * @file hand-recording.js
+ * @description Record MediaPipe hand landmark streams with timestamps, save them as
+ * JSON, and replay them into the hand tracking pipeline (live, or all at once for
+ * headless tests)
+ * @dependencies download.js
+ */
+
+import { downloadJson } from '../utils/download.js';
+
+/** Identifier stored in every hand recording */
+export const HAND_RECORDING_FORMAT = 'magic-christmas-tree-hands';
+
+/** Current hand recording version */
+export const HAND_RECORDING_VERSION = 1;
+
+// Landmarks per hand in MediaPipe Hands
+const LANDMARK_COUNT = 21;
+
+/**
+ * Error raised for invalid or unsupported hand recordings
+ */
+export class HandRecordingError extends Error {
+    /**
+     * @param {string} message - Summary message
+     * @param {Array<string>} [errors=[]] - Individual problems found
+     */
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}\n- ${errors.join('\n- ')}` : message);
+        this.name = 'HandRecordingError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Round a landmark coordinate to keep files compact
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Create a recorder for MediaPipe results
+ * @returns {Object} Recorder with recording, start(), record() and stop()
+ */
+export function createHandRecorder() {
+    let frames = [];
+    let startTime = 0;
+
+    const recorder = {
+        recording: false,
+
+        /**
+         * Start a new recording
+         * @param {number} [time=Date.now()] - Start time in ms
+         */
+        start(time = Date.now()) {
+            frames = [];
+            startTime = time;
+            recorder.recording = true;
+        },
+
+        /**
+         * Add a frame of results (ignored unless recording)
+         * @param {Object} results - MediaPipe results
+         * @param {number} [time=Date.now()] - Frame time in ms
+         */
+        record(results, time = Date.now()) {
+            if (!recorder.recording) return;
+            const hands = results.multiHandLandmarks || [];
+            frames.push({
+                t: time - startTime,
+                hands: hands.map(landmarks => landmarks.map(({ x, y, z }) => [round(x), round(y), round(z || 0)])),
+                handedness: (results.multiHandedness || []).slice(0, hands.length)
+                    .map(({ label, score }) => ({ label, score: round(score) }))
+            });
+        },
+
+        /**
+         * Stop recording
+         * @returns {Object} Hand recording document
+         */
+        stop() {
+            recorder.recording = false;
+            return {
+                format: HAND_RECORDING_FORMAT,
+                version: HAND_RECORDING_VERSION,
+                recordedAt: new Date().toISOString(),
+                frames
+            };
+        }
+    };
+    return recorder;
+}
+
+/**
+ * Check a hand recording
+ * @param {Object} doc - Parsed document
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateHandRecording(doc) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    if (!Array.isArray(doc.frames) || doc.frames.length === 0) {
+        errors.push('frames must be a non-empty list');
+        return errors;
+    }
+
+    let lastTime = -Infinity;
+    doc.frames.forEach((frame, i) => {
+        if (frame === null || typeof frame !== 'object') {
+            errors.push(`frames[${i}] must be an object`);
+            return;
+        }
+        if (!isNumber(frame.t) || frame.t < lastTime) {
+            errors.push(`frames[${i}].t must be a time in ms, not before the previous frame`);
+        } else {
+            lastTime = frame.t;
+        }
+        if (!Array.isArray(frame.hands) || !frame.hands.every(hand => Array.isArray(hand) &&
+                hand.length === LANDMARK_COUNT &&
+                hand.every(point => Array.isArray(point) && point.length === 3 && point.every(isNumber)))) {
+            errors.push(`frames[${i}].hands must be a list of hands of ${LANDMARK_COUNT} [x, y, z] landmarks`);
+        }
+        if (frame.handedness !== undefined && !Array.isArray(frame.handedness)) {
+            errors.push(`frames[${i}].handedness must be a list`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Parse and validate hand recording text
+ * @param {string} text - File contents
+ * @returns {Object} Valid hand recording
+ * @throws {HandRecordingError} When the file is not a usable recording
+ */
+export function parseHandRecording(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (error) {
+        throw new HandRecordingError(`Hand recording is not valid JSON (${error.message})`);
+    }
+
+    if (doc === null || typeof doc !== 'object' || doc.format !== HAND_RECORDING_FORMAT) {
+        throw new HandRecordingError('This is not a Magic Christmas Tree hand recording');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new HandRecordingError('Hand recording has no valid version number');
+    }
+    if (doc.version > HAND_RECORDING_VERSION) {
+        throw new HandRecordingError(`Hand recording version ${doc.version} was saved by a newer version of the app (this one reads up to ${HAND_RECORDING_VERSION})`);
+    }
+
+    const errors = validateHandRecording(doc);
+    if (errors.length > 0) {
+        throw new HandRecordingError('Hand recording is invalid:', errors);
+    }
+    return doc;
+}
+
+/**
+ * Turn a recorded frame back into MediaPipe-style results
+ * @param {Object} frame - Recorded frame
+ * @returns {Object} Results with multiHandLandmarks and multiHandedness
+ */
+export function toHandResults(frame) {
+    return {
+        multiHandLandmarks: frame.hands.map(hand => hand.map(([x, y, z]) => ({ x, y, z }))),
+        multiHandedness: (frame.handedness || []).map(entry => ({ ...entry }))
+    };
+}
+
+/**
+ * Download a hand recording as a .json file
+ * @param {Object} doc - Hand recording document
+ * @param {string} [filename] - File name
+ */
+export function downloadHandRecording(doc, filename = 'hand-recording.json') {
+    downloadJson(doc, filename);
+}
+
+/**
+ * Feed a whole recording at once, each frame with its recorded time. Nothing waits
+ * on real time, so this runs headless (tests, tools) as fast as the pipeline allows.
+ * @param {Object} recording - Valid hand recording
+ * @param {Function} onResults - Called with (results, time in ms) for every frame
+ * @param {number} [startTime=0] - Time of the first frame in ms
+ */
+export function replayRecording(recording, onResults, startTime = 0) {
+    recording.frames.forEach(frame => {
+        onResults(toHandResults(frame), startTime + frame.t);
+    });
+}
+
+/**
+ * Create a replay source that plays a recording in real time, like a camera would
+ * @param {Object} recording - Valid hand recording
+ * @param {Function} onResults - Called with (results, time in ms) for every frame
+ * @param {Object} [options] - Replay options
+ * @param {boolean} [options.loop=false] - Start over at the end
+ * @param {number} [options.speed=1] - Playback speed
+ * @param {Function} [options.onEnd] - Called when a non-looping replay finishes
+ * @returns {Object} Source with start() and stop()
+ */
+export function createReplaySource(recording, onResults, { loop = false, speed = 1, onEnd = null } = {}) {
+    const { frames } = recording;
+    let timer = null;
+    let index = 0;
+    let startTime = 0;
+
+    const playNext = () => {
+        const now = Date.now();
+        // Every frame that is due plays now (a slow tab catches up instead of drifting)
+        while (index < frames.length && frames[index].t / speed <= now - startTime) {
+            onResults(toHandResults(frames[index]), now);
+            index++;
+        }
+
+        if (index >= frames.length) {
+            if (!loop) {
+                timer = null;
+                if (onEnd) onEnd();
+                return;
+            }
+            index = 0;
+            startTime = now - frames[0].t / speed;
+        }
+        timer = setTimeout(playNext, Math.max(frames[index].t / speed - (Date.now() - startTime), 0));
+    };
+
+    return {
+        /**
+         * Play from the first frame, on the next tick: nothing plays (or ends)
+         * before start() has returned
+         */
+        start() {
+            clearTimeout(timer);
+            index = 0;
+            startTime = Date.now() - frames[0].t / speed;
+            timer = setTimeout(playNext, 0);
+        },
+
+        /**
+         * Stop playing
+         */
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
@@ -1,18 +1,39 @@
 /**
  * @file hand-tracking.js
- * @description Hand tracking system using MediaPipe
- * @dependencies config.js, snow.js, transitions.js
+ * @description Hand tracking system: landmarks from a hand input provider (MediaPipe on
+ * the webcam, a recorded session, a scripted hand) turned into gestures and effects
+ * @dependencies config.js, snow.js, gestures.js, gesture-actions.js, two-hand-controls.js, hand-recording.js, input-registry.js
  */
 
-import { createSnowWave, createSnowSpiral } from '../entities/snow.js';
-import { transitionState, updateButtonState } from '../animations/transitions.js';
+import { createSnowSpiral } from '../entities/snow.js';
+import { GESTURES, scoreGestures, createGestureFilter, createSwipeDetector, readHandedness } from './gestures.js';
+import { getActionForGesture } from './gesture-actions.js';
+import { createTwoHandControls } from './two-hand-controls.js';
+import { createHandRecorder, downloadHandRecording } from './hand-recording.js';
+import { createHandInput } from './hand-input/input-registry.js';
 
 // Hand tracking state
 let handTrackingEnabled = false;
-let handsDetector = null;
-let handCamera = null;
+let activeInput = null;   // Running hand input (see hand-input/input-registry.js)
+let activeInputId = null; // Its provider id
+const recorder = createHandRecorder();
 let lastGesture = null;
 let lastGestureTime = 0;
+let lastAppliedOpenness = -1;
+let swipeDetector = null;
+let gestureFilter = null;
+let twoHandControls = null;
+let lastHandTime = null; // ms of the previous frame with a hand, for the position filter
+let shownSwipe = null; // { gesture, until } keeps a swipe (or both hands up) on the display for a moment
+
+// Landmark pairs joined when drawing a hand (MediaPipe Hands layout)
+const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [5, 9], [9, 10], [10, 11], [11, 12],
+    [9, 13], [13, 14], [14, 15], [15, 16],
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]
+];
 
 /**
  * Hand tracking state object
@@ -22,20 +43,48 @@ export const handTrackingState = {
     enabled: false,
     detected: false,
     position: new THREE.Vector3(),
-    gesture: 'none'
+    gesture: 'none',
+    confidence: 0,          // Smoothed confidence of the gesture (0 to 1)
+    handedness: 'unknown',  // 'left' or 'right' (the user's own hand)
+    handCount: 0,           // Hands in view (two steer the camera)
+    openness: 0
 };
 
+// Palm position before smoothing
+const rawPosition = new THREE.Vector3();
+
+/**
+ * Show or hide the webcam overlay, gesture display and instructions
+ * @param {boolean} shown - Whether hand input is running
+ */
+function setHandControlsShown(shown) {
+    const btn = document.getElementById('handTrackingBtn');
+    btn.textContent = shown ? '🛑 Stop Hand Control' : '✋ Hand Control';
+    btn.classList.toggle('active', shown);
+    ['webcam-container', 'gesture-display', 'hand-instruction'].forEach(id => {
+        document.getElementById(id).classList.toggle('active', shown);
+    });
+    // Recording a replay would only copy the file being played
+    document.getElementById('handRecordBtn').disabled = !(shown && activeInputId !== 'replay');
+}
+
 /**
- * Toggle hand tracking on/off
+ * Tell the user hand tracking failed
+ * @param {Error} error - What went wrong
+ * @param {string} message - Message to show
+ */
+function reportHandTrackingError(error, message) {
+    console.error('Hand tracking error:', error);
+    alert(message);
+}
+
+/**
+ * Toggle hand tracking on/off, using the input in CONFIG.handTracking.provider
  * @param {Object} dependencies - Required dependencies
  * @returns {Promise<void>}
  */
 export async function toggleHandTracking(dependencies) {
-    const { CONFIG } = dependencies;
     const btn = document.getElementById('handTrackingBtn');
-    const webcamContainer = document.getElementById('webcam-container');
-    const gestureDisplay = document.getElementById('gesture-display');
-    const instruction = document.getElementById('hand-instruction');
 
     if (!handTrackingEnabled) {
         // Enable hand tracking
@@ -43,111 +92,151 @@ export async function toggleHandTracking(dependencies) {
         btn.disabled = true;
 
         try {
-            await initHandTracking(dependencies);
-            handTrackingEnabled = true;
-            handTrackingState.enabled = true;
-            btn.textContent = '🛑 Stop Hand Control';
-            btn.classList.add('active');
-            webcamContainer.classList.add('active');
-            gestureDisplay.classList.add('active');
-            instruction.classList.add('active');
+            await startHandInput(dependencies.CONFIG.handTracking.provider, dependencies);
         } catch (error) {
-            console.error('Hand tracking error:', error);
-            alert('Could not start hand tracking. Please ensure camera access is allowed.');
+            reportHandTrackingError(error, 'Could not start hand tracking. Please ensure camera access is allowed.');
             btn.textContent = '✋ Hand Control';
         }
         btn.disabled = false;
     } else {
-        // Disable hand tracking
+        // Disable hand tracking (whatever the input)
         stopHandTracking();
-        handTrackingEnabled = false;
-        handTrackingState.enabled = false;
-        btn.textContent = '✋ Hand Control';
-        btn.classList.remove('active');
-        webcamContainer.classList.remove('active');
-        gestureDisplay.classList.remove('active');
-        instruction.classList.remove('active');
     }
 }
 
 /**
- * Initialize MediaPipe hand tracking
+ * Replay a recorded hand session through the hand tracking pipeline, in place of the camera
+ * @param {Object} recording - Valid hand recording (see hand-recording.js)
  * @param {Object} dependencies - Required dependencies
  * @returns {Promise<void>}
  */
-export async function initHandTracking(dependencies) {
+export async function startHandReplay(recording, dependencies) {
+    await startHandInput('replay', dependencies, {
+        recording,
+        onEnd: () => stopHandTracking()
+    });
+    if (activeInputId === 'replay') {
+        document.getElementById('handTrackingBtn').textContent = '🛑 Stop Replay';
+    }
+}
+
+/**
+ * Start recording the hand landmarks, or stop and download the recording
+ */
+export function toggleHandRecording() {
+    const btn = document.getElementById('handRecordBtn');
+    if (recorder.recording) {
+        downloadHandRecording(recorder.stop());
+        btn.textContent = '⏺️ Record';
+        btn.classList.remove('active');
+    } else {
+        recorder.start();
+        btn.textContent = '⏹️ Save Recording';
+        btn.classList.add('active');
+    }
+}
+
+/**
+ * Start hand tracking from a hand input provider, stopping any input already running
+ * @param {string} id - Provider id (see hand-input/input-registry.js)
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} [options={}] - Extra provider options (a replay's recording, a script, ...)
+ * @returns {Promise<void>} Rejects when the input cannot start
+ */
+export async function startHandInput(id, dependencies, options = {}) {
     const { CONFIG } = dependencies;
-    const videoElement = document.getElementById('webcam');
     const canvasElement = document.getElementById('hand-canvas');
     const canvasCtx = canvasElement.getContext('2d');
 
-    // Initialize MediaPipe Hands
-    handsDetector = new Hands({
-        locateFile: (file) => {
-            return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-        }
-    });
-
-    handsDetector.setOptions({
-        maxNumHands: CONFIG.handTracking.maxNumHands,
-        modelComplexity: CONFIG.handTracking.modelComplexity,
-        minDetectionConfidence: CONFIG.handTracking.minDetectionConfidence,
-        minTrackingConfidence: CONFIG.handTracking.minTrackingConfidence
-    });
-
-    handsDetector.onResults((results) => onHandResults(results, canvasElement, canvasCtx, dependencies));
+    if (handTrackingEnabled) {
+        stopHandTracking();
+    }
 
-    // Initialize Camera
-    handCamera = new Camera(videoElement, {
-        onFrame: async () => {
-            if (handsDetector) {
-                await handsDetector.send({ image: videoElement });
-            }
+    const input = createHandInput(id, {
+        CONFIG,
+        video: document.getElementById('webcam'),
+        // An input that fails while running stops and is reported like a failed start
+        onError: (error) => {
+            if (activeInput !== input) return;
+            stopHandTracking();
+            reportHandTrackingError(error, 'Hand tracking stopped: the hand detector failed.');
         },
-        width: 320,
-        height: 240
+        ...options
     });
+    resetHandState(CONFIG);
+
+    // Active before it starts, so an input that ends while starting stops cleanly
+    activeInput = input;
+    activeInputId = id;
+    handTrackingEnabled = true;
+    handTrackingState.enabled = true;
+    try {
+        await input.start((results, time) => onHandResults(results, canvasElement, canvasCtx, dependencies, time));
+    } catch (error) {
+        if (activeInput === input) {
+            stopHandTracking();
+        }
+        throw error;
+    }
 
-    await handCamera.start();
+    // Stopped (or replaced) while starting: make sure nothing it opened keeps running
+    if (activeInput !== input) {
+        input.stop();
+        return;
+    }
+    setHandControlsShown(true);
 }
 
 /**
  * Stop hand tracking
  */
 export function stopHandTracking() {
-    if (handCamera) {
-        handCamera.stop();
-        handCamera = null;
+    if (activeInput) {
+        activeInput.stop();
+        activeInput = null;
     }
-    if (handsDetector) {
-        handsDetector.close();
-        handsDetector = null;
+    if (recorder.recording) {
+        toggleHandRecording();
     }
+    activeInputId = null;
     lastGesture = null;
+    lastHandTime = null;
+    handTrackingEnabled = false;
+    handTrackingState.enabled = false;
     handTrackingState.detected = false;
+    setHandControlsShown(false);
 }
 
 /**
- * Process hand detection results
- * @param {Object} results - MediaPipe results
+ * Start gesture recognition afresh: new smoothing and swipe filters, no hand,
+ * no previous gesture. Call before feeding results to processHandResults.
+ * @param {Object} CONFIG - Configuration object
+ */
+export function resetHandState(CONFIG) {
+    swipeDetector = createSwipeDetector(CONFIG.handTracking);
+    gestureFilter = createGestureFilter(CONFIG.handTracking);
+    twoHandControls = createTwoHandControls(CONFIG.handTracking);
+    lastGesture = null;
+    lastGestureTime = -Infinity;
+    lastAppliedOpenness = -1;
+    lastHandTime = null;
+    shownSwipe = null;
+    handTrackingState.detected = false;
+    handTrackingState.gesture = 'none';
+    handTrackingState.confidence = 0;
+    handTrackingState.handedness = 'unknown';
+    handTrackingState.handCount = 0;
+}
+
+/**
+ * Draw, record and process hand detection results
+ * @param {Object} results - Hand input results (MediaPipe format)
  * @param {HTMLCanvasElement} canvasElement - Canvas element
  * @param {CanvasRenderingContext2D} canvasCtx - Canvas context
  * @param {Object} dependencies - Required dependencies
+ * @param {number} [currentTime=Date.now()] - Frame time in ms
  */
-function onHandResults(results, canvasElement, canvasCtx, dependencies) {
-    const { 
-        CONFIG, 
-        isGathered, 
-        animationState, 
-        ornaments, 
-        topStar, 
-        spiralRibbon, 
-        starLight,
-        snowParticles,
-        snowVelocities,
-        snowCount
-    } = dependencies;
-
+function onHandResults(results, canvasElement, canvasCtx, dependencies, currentTime = Date.now()) {
     // Set canvas size
     canvasElement.width = 320;
     canvasElement.height = 240;
@@ -156,146 +245,258 @@ function onHandResults(results, canvasElement, canvasCtx, dependencies) {
     canvasCtx.save();
     canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
 
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        const landmarks = results.multiHandLandmarks[0];
-
-        // Draw hand connections and landmarks
-        drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, {
-            color: '#00FF00',
-            lineWidth: 3
-        });
-        drawLandmarks(canvasCtx, landmarks, {
-            color: '#FF0000',
-            lineWidth: 1,
-            radius: 3
-        });
-
-        // Update hand position for snow interaction
-        handTrackingState.detected = true;
-        const palmCenter = landmarks[9]; // Middle finger MCP as palm center
-        // Map from normalized coordinates to 3D space
-        handTrackingState.position.x = (palmCenter.x - 0.5) * 80;
-        handTrackingState.position.y = (0.5 - palmCenter.y) * 60;
-        handTrackingState.position.z = 20;
-
-        // Detect gesture
-        const gesture = detectGesture(landmarks);
-        handTrackingState.gesture = gesture;
-        updateGestureDisplay(gesture);
-
-        // Snow effects based on gesture
-        const currentTime = Date.now();
-        
-        // Continuous spiral effect when fist is held
-        if (gesture === 'fist') {
-            createSnowSpiral(snowParticles, snowVelocities, snowCount, handTrackingState.position, CONFIG);
+    // Each hand in its own color; two hands read as the same side still get different ones
+    const { handColors } = dependencies.CONFIG.handTracking;
+    const drawnSides = new Set();
+    (results.multiHandLandmarks || []).forEach((landmarks, i) => {
+        let side = readHandedness(results.multiHandedness && results.multiHandedness[i]);
+        if (side === 'unknown' || drawnSides.has(side)) {
+            side = drawnSides.has('right') ? 'left' : 'right';
         }
+        drawnSides.add(side);
+        drawHand(canvasCtx, landmarks, handColors[side]);
+    });
+    canvasCtx.restore();
 
-        // Trigger action based on gesture
-        if (gesture !== lastGesture && currentTime - lastGestureTime > CONFIG.handTracking.gestureDebounceTime) {
-            if (gesture === 'fist' && !isGathered.value && !animationState.animating) {
-                isGathered.value = true;
-                transitionState(true, ornaments, topStar, spiralRibbon, starLight, CONFIG, animationState);
-                updateButtonState(true);
-                lastGestureTime = currentTime;
-            } else if (gesture === 'open' && isGathered.value && !animationState.animating) {
-                isGathered.value = false;
-                transitionState(false, ornaments, topStar, spiralRibbon, starLight, CONFIG, animationState);
-                updateButtonState(false);
-                // Snow wave effect
-                createSnowWave(snowParticles, snowVelocities, snowCount, handTrackingState.position, CONFIG);
-                lastGestureTime = currentTime;
-            } else if (gesture === 'open') {
-                // Even if not changing state, create wave effect
-                createSnowWave(snowParticles, snowVelocities, snowCount, handTrackingState.position, CONFIG);
-                lastGestureTime = currentTime;
-            }
-            lastGesture = gesture;
+    recorder.record(results, currentTime);
+    updateGestureDisplay(processHandResults(results, dependencies, currentTime), dependencies.CONFIG);
+}
+
+/**
+ * Draw a hand's bones and joints
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} landmarks - Hand landmarks (normalized to the canvas)
+ * @param {Object} colors - { line, joint } colors
+ */
+function drawHand(ctx, landmarks, { line, joint }) {
+    const { width, height } = ctx.canvas;
+
+    ctx.strokeStyle = line;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    HAND_CONNECTIONS.forEach(([from, to]) => {
+        ctx.moveTo(landmarks[from].x * width, landmarks[from].y * height);
+        ctx.lineTo(landmarks[to].x * width, landmarks[to].y * height);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = joint;
+    ctx.lineWidth = 1;
+    landmarks.forEach(({ x, y }) => {
+        ctx.beginPath();
+        ctx.arc(x * width, y * height, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    });
+}
+
+/**
+ * Turn hand detection results into hand state, snow effects and gesture actions.
+ * Touches no DOM, so recorded sessions can run through it headless.
+ * @param {Object} results - MediaPipe results (or a replayed frame, see hand-recording.js)
+ * @param {Object} dependencies - Required dependencies
+ * @param {number} [currentTime=Date.now()] - Frame time in ms
+ * @returns {string} Gesture to show ('none' without a hand, 'two-hands' while both steer the
+ * camera; a swipe or both hands up stays shown for a moment)
+ */
+export function processHandResults(results, dependencies, currentTime = Date.now()) {
+    const { CONFIG, snowParticles, setFormationProgress, camera, controls } = dependencies;
+    const hands = results.multiHandLandmarks || [];
+    handTrackingState.handCount = hands.length;
+
+    if (hands.length === 0) {
+        handTrackingState.detected = false;
+        handTrackingState.gesture = 'none';
+        handTrackingState.confidence = 0;
+        swipeDetector.reset();
+        gestureFilter.reset();
+        twoHandControls.reset();
+        return 'none';
+    }
+
+    // The first hand drives the one-hand gestures and the snow
+    const landmarks = hands[0];
+    const twoHanded = hands.length > 1 && CONFIG.handTracking.twoHands.enabled;
+
+    // Scores gathered for one hand mean nothing for the other
+    const handedness = readHandedness(results.multiHandedness && results.multiHandedness[0]);
+    if (handedness !== handTrackingState.handedness) {
+        gestureFilter.reset();
+        handTrackingState.handedness = handedness;
+    }
+
+    // Update hand position for snow interaction
+    const palmCenter = landmarks[9]; // Middle finger MCP as palm center
+    // Map from normalized coordinates to 3D space
+    rawPosition.set((palmCenter.x - 0.5) * 80, (0.5 - palmCenter.y) * 60, 20);
+    // Low-pass filtered against landmark jitter (a hand that just appeared starts where it is)
+    if (lastHandTime === null || !handTrackingState.detected) {
+        handTrackingState.position.copy(rawPosition);
+    } else {
+        const dt = (currentTime - lastHandTime) / 1000;
+        handTrackingState.position.lerp(rawPosition, 1 - Math.exp(-dt / CONFIG.handTracking.positionSmoothing));
+    }
+    lastHandTime = currentTime;
+    handTrackingState.detected = true;
+
+    // Detect the hand pose (smoothed over frames), and swipes from the palm's movement
+    const { gesture, confidence } = gestureFilter.update(scoreGestures(landmarks, CONFIG.handTracking));
+    // Hands moving apart or together would read as swipes, and the first hand is not
+    // always the same one
+    const swipe = twoHanded ? null : swipeDetector.update(palmCenter.x, currentTime);
+    handTrackingState.gesture = gesture;
+    handTrackingState.confidence = confidence;
+    if (swipe) {
+        shownSwipe = { gesture: swipe, until: currentTime + 800 };
+    }
+
+    // Two hands: zoom and orbit the camera, celebrate when both go up
+    let handsUp = false;
+    if (twoHanded) {
+        swipeDetector.reset();
+        handsUp = twoHandControls.update(hands[0], hands[1], camera, controls, currentTime);
+        if (handsUp) {
+            shownSwipe = { gesture: 'hands-up', until: currentTime + 1500 };
         }
     } else {
-        updateGestureDisplay('none');
-        handTrackingState.detected = false;
+        twoHandControls.reset();
     }
 
-    canvasCtx.restore();
+    // Continuous spiral effect when fist is held
+    if (gesture === 'fist') {
+        createSnowSpiral(snowParticles, handTrackingState.position, CONFIG);
+    }
+
+    handTrackingState.openness = measureHandOpenness(landmarks);
+
+    if (twoHanded) {
+        // One-hand actions wait while both hands steer; the pose held meanwhile does
+        // not count as new once a hand drops
+        if (handsUp) {
+            runGestureAction('hands-up', dependencies, currentTime);
+        }
+        lastGesture = gesture;
+    } else if (CONFIG.handTracking.opennessControl) {
+        // Openness control: a closed hand forms the tree, an open hand scatters it, anything in between holds it half-formed
+        if (Math.abs(handTrackingState.openness - lastAppliedOpenness) > 0.02) {
+            lastAppliedOpenness = handTrackingState.openness;
+            setFormationProgress(1 - handTrackingState.openness);
+        }
+        lastGesture = gesture;
+    } else if (currentTime - lastGestureTime > CONFIG.handTracking.gestureDebounceTime) {
+        // A swipe is a one-off movement; it leaves lastGesture alone so the pose it
+        // ends in does not count as a new gesture
+        if (swipe) {
+            runGestureAction(swipe, dependencies, currentTime);
+        } else if (gesture !== lastGesture) {
+            runGestureAction(gesture, dependencies, currentTime);
+            lastGesture = gesture;
+        }
+    }
+
+    if (shownSwipe && currentTime < shownSwipe.until) {
+        return shownSwipe.gesture;
+    }
+    return twoHanded ? 'two-hands' : gesture;
 }
 
 /**
- * Detect hand gesture from landmarks
- * @param {Array} landmarks - Hand landmarks
- * @returns {string} Detected gesture: 'fist', 'open', 'partial', or 'none'
+ * Run the action a gesture is mapped to in CONFIG.handTracking.gestures
+ * @param {string} gesture - Gesture id
+ * @param {Object} dependencies - Required dependencies
+ * @param {number} currentTime - Time in ms
  */
-function detectGesture(landmarks) {
-    // Finger tip indices: thumb(4), index(8), middle(12), ring(16), pinky(20)
-    // Finger MCP (base) indices: thumb(2), index(5), middle(9), ring(13), pinky(17)
-    // Finger PIP (middle joint) indices: thumb(3), index(6), middle(10), ring(14), pinky(18)
-
-    const fingerTips = [4, 8, 12, 16, 20];
-    const fingerPIPs = [3, 6, 10, 14, 18];
-    const fingerMCPs = [2, 5, 9, 13, 17];
-
-    let fingersExtended = 0;
-
-    // Check thumb (compare x position for horizontal spread)
-    const thumbTip = landmarks[4];
-    const thumbIP = landmarks[3];
-    const thumbMCP = landmarks[2];
-    
-    // Thumb is extended if tip is far from palm center
-    const palmCenter = landmarks[0]; // wrist
-    const thumbExtended = Math.abs(thumbTip.x - palmCenter.x) > 0.1;
-    if (thumbExtended) fingersExtended++;
-
-    // Check other 4 fingers (compare y positions - lower y = higher on screen = extended)
-    for (let i = 1; i < 5; i++) {
-        const tipY = landmarks[fingerTips[i]].y;
-        const pipY = landmarks[fingerPIPs[i]].y;
-        const mcpY = landmarks[fingerMCPs[i]].y;
-
-        // Finger is extended if tip is above (lower y) the PIP joint
-        if (tipY < pipY - 0.02) {
-            fingersExtended++;
-        }
+function runGestureAction(gesture, dependencies, currentTime) {
+    const action = getActionForGesture(gesture, dependencies.CONFIG);
+    if (action && action.run(dependencies, handTrackingState) !== false) {
+        lastGestureTime = currentTime;
     }
+}
 
-    // Determine gesture
-    if (fingersExtended >= 4) {
-        return 'open'; // Open hand - Scatter
-    } else if (fingersExtended <= 1) {
-        return 'fist'; // Fist - Gather
-    } else {
-        return 'partial';
-    }
+/**
+ * Measure how open the hand is, independent of its distance to the camera
+ * @param {Array} landmarks - Hand landmarks
+ * @returns {number} 0 (closed fist) to 1 (fully open hand)
+ */
+export function measureHandOpenness(landmarks) {
+    const wrist = landmarks[0];
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+    // Tip-to-wrist vs knuckle-to-wrist: about 1.0 when curled, about 1.9 when straight
+    const fingers = [[8, 5], [12, 9], [16, 13], [20, 17]];
+    const ratio = fingers.reduce((sum, [tip, mcp]) =>
+        sum + distance(landmarks[tip], wrist) / Math.max(distance(landmarks[mcp], wrist), 1e-6), 0) / fingers.length;
+
+    return Math.min(Math.max((ratio - 1.0) / 0.9, 0), 1);
 }
 
 /**
  * Update gesture display UI
  * @param {string} gesture - Detected gesture
+ * @param {Object} CONFIG - Configuration object
  */
-function updateGestureDisplay(gesture) {
+function updateGestureDisplay(gesture, CONFIG) {
     const gestureIcon = document.getElementById('gestureIcon');
     const gestureText = document.getElementById('gestureText');
 
-    switch (gesture) {
-        case 'fist':
-            gestureIcon.textContent = '✊';
-            gestureText.textContent = 'Nắm tay → GATHER';
-            gestureText.style.color = '#4ADE80';
-            break;
-        case 'open':
-            gestureIcon.textContent = '🖐️';
-            gestureText.textContent = 'Mở tay → SCATTER';
-            gestureText.style.color = '#F87171';
-            break;
-        case 'partial':
-            gestureIcon.textContent = '🤚';
-            gestureText.textContent = 'Detecting...';
-            gestureText.style.color = '#FFD700';
-            break;
-        case 'none':
-            gestureIcon.textContent = '👋';
-            gestureText.textContent = 'Show your hand';
-            gestureText.style.color = '#FFD700';
-            break;
+    if (gesture === 'none') {
+        gestureIcon.textContent = '👋';
+        gestureText.textContent = 'Show your hand';
+        gestureText.style.color = '#FFD700';
+    } else if (gesture === 'two-hands') {
+        gestureIcon.textContent = '🎡';
+        gestureText.textContent = 'Spread to zoom, turn to orbit';
+        gestureText.style.color = '#88CCFF';
+    } else if (gesture in GESTURES) {
+        const action = getActionForGesture(gesture, CONFIG);
+        gestureIcon.textContent = GESTURES[gesture].icon;
+        gestureText.textContent = action ? `${GESTURES[gesture].label} → ${action.label}` : GESTURES[gesture].label;
+        gestureText.style.color = action && action.color ? action.color : '#FFD700';
+    } else {
+        gestureIcon.textContent = '🤚';
+        gestureText.textContent = 'Detecting...';
+        gestureText.style.color = '#FFD700';
+    }
+}
+
+/**
+ * Fill the gesture instructions panel from CONFIG.handTracking.gestures
+ * @param {Object} CONFIG - Configuration object
+ */
+export function renderGestureInstructions(CONFIG) {
+    const instruction = document.getElementById('hand-instruction');
+    const title = document.createElement('h4');
+    title.textContent = '🎮 Hand Gesture Controls';
+
+    const items = Object.keys(GESTURES).map(gesture => {
+        const action = getActionForGesture(gesture, CONFIG);
+        if (!action) return null;
+
+        const item = document.createElement('div');
+        item.className = 'gesture-item';
+        const icon = document.createElement('span');
+        icon.textContent = GESTURES[gesture].icon;
+        const text = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = GESTURES[gesture].label;
+        text.append(name, ` → ${action.label.charAt(0)}${action.label.slice(1).toLowerCase()}`);
+        item.append(icon, text);
+        return item;
+    }).filter(Boolean);
+
+    if (CONFIG.handTracking.twoHands.enabled && CONFIG.handTracking.maxNumHands > 1) {
+        const item = document.createElement('div');
+        item.className = 'gesture-item';
+        const icon = document.createElement('span');
+        icon.textContent = '🎡';
+        const text = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = 'Both hands';
+        text.append(name, ' → Spread or pinch to zoom, turn like a steering wheel to orbit');
+        item.append(icon, text);
+        items.push(item);
     }
+
+    instruction.replaceChildren(title, ...items);
 }
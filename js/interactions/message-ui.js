@@ -0,0 +1,138 @@
+/**
+ * @file message-ui.js
+ * @description Ornament message card and the in-page message editor
+ * @dependencies message-file.js
+ */
+
+import { validateMessageDocument } from '../persistence/message-file.js';
+
+/**
+ * Show the card for a message
+ * @param {Object} message - Message ({ id, author, message, photo? })
+ */
+export function showMessageCard(message) {
+    const photo = document.getElementById('messageCardPhoto');
+    if (message.photo) {
+        photo.src = message.photo;
+        photo.hidden = false;
+    } else {
+        photo.removeAttribute('src');
+        photo.hidden = true;
+    }
+    document.getElementById('messageCardText').textContent = message.message;
+    document.getElementById('messageCardAuthor').textContent = message.author ? `— ${message.author}` : '';
+    document.getElementById('message-card').hidden = false;
+}
+
+/**
+ * Close the message card
+ */
+export function hideMessageCard() {
+    document.getElementById('message-card').hidden = true;
+}
+
+/**
+ * Create a new message id
+ * @returns {string} Id unlikely to clash with existing ones
+ */
+function createMessageId() {
+    return `msg-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+}
+
+/**
+ * Build one editor row
+ * @param {Object} message - Message shown in the row
+ * @returns {HTMLElement} Row element (keeps the message id in data-id)
+ */
+function createEditorRow(message) {
+    const row = document.createElement('div');
+    row.className = 'message-editor-row';
+    row.dataset.id = message.id;
+
+    const field = (tag, name, placeholder, value) => {
+        const input = document.createElement(tag);
+        input.className = 'panel-input';
+        input.name = name;
+        input.placeholder = placeholder;
+        input.value = value;
+        return input;
+    };
+
+    const text = field('textarea', 'message', 'Message', message.message);
+    text.rows = 3;
+    const author = field('input', 'author', 'Author', message.author);
+    const photo = field('input', 'photo', 'Photo URL (optional)', message.photo || '');
+    const ornament = field('input', 'ornament', 'Ornament # (auto)', message.ornament ?? '');
+    ornament.type = 'number';
+    ornament.min = 0;
+    ornament.title = 'Ornament index; leave empty to pick one from the message id';
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-small';
+    remove.textContent = '🗑️';
+    remove.title = 'Remove message';
+    remove.addEventListener('click', () => row.remove());
+
+    const details = document.createElement('div');
+    details.className = 'panel-row';
+    details.append(author, ornament, remove);
+    row.append(text, details, photo);
+    return row;
+}
+
+/**
+ * Read the messages back out of the editor rows
+ * @param {HTMLElement} list - Editor list element
+ * @returns {Array<Object>} Messages
+ */
+function readEditorRows(list) {
+    return Array.from(list.children).map(row => {
+        const value = (name) => row.querySelector(`[name="${name}"]`).value.trim();
+        const message = { id: row.dataset.id, author: value('author'), message: value('message') };
+        if (value('photo')) message.photo = value('photo');
+        if (value('ornament') !== '') message.ornament = Number(value('ornament'));
+        return message;
+    });
+}
+
+/**
+ * Open the message editor
+ * @param {Array<Object>} messages - Messages to edit (left untouched until saved)
+ * @param {Function} onSave - Called with the edited messages when they are saved; an error it
+ *     throws is shown in the editor, which stays open
+ */
+export function openMessageEditor(messages, onSave) {
+    const dialog = document.getElementById('message-editor');
+    const list = document.getElementById('messageEditorList');
+    const errors = document.getElementById('messageEditorErrors');
+
+    list.replaceChildren(...messages.map(createEditorRow));
+    errors.textContent = '';
+    dialog.hidden = false;
+
+    document.getElementById('addMessageBtn').onclick = () => {
+        const row = createEditorRow({ id: createMessageId(), author: '', message: '' });
+        list.appendChild(row);
+        row.querySelector('textarea').focus();
+    };
+    document.getElementById('cancelMessagesBtn').onclick = () => {
+        dialog.hidden = true;
+    };
+    document.getElementById('saveMessagesBtn').onclick = () => {
+        const edited = readEditorRows(list).filter(message => message.message || message.author);
+        const problems = validateMessageDocument({ messages: edited });
+        if (problems.length > 0) {
+            errors.textContent = problems.join('\n');
+            return;
+        }
+        try {
+            onSave(edited);
+        } catch (error) {
+            // Browser storage full or unavailable (private mode): keep the edits open
+            console.error('Message save error:', error);
+            errors.textContent = `Could not save the messages (browser storage is full or unavailable).\n${error.message}`;
+            return;
+        }
+        dialog.hidden = true;
+    };
+}
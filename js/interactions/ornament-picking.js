@@ -0,0 +1,103 @@
+/**
+ * @file ornament-picking.js
+ * @description Pick the ornament under the pointer: ornaments carrying a message
+ * glow and show a tooltip while hovered, and open their card when clicked
+ * @dependencies ornaments.js
+ */
+
+import { setOrnamentGlow } from '../entities/ornaments.js';
+
+// Scratch objects for the ray test
+const raycaster = new THREE.Raycaster();
+const sphere = new THREE.Sphere();
+const hit = new THREE.Vector3();
+
+/**
+ * Find the nearest ornament with a message under the pointer
+ * @param {Array<Object>} ornaments - Ornament records
+ * @param {Map<number, Object>} assigned - Message by ornament index (see assignMessages)
+ * @param {THREE.Camera} camera - Scene camera
+ * @param {THREE.Vector2} screen - Pointer in normalized device coordinates
+ * @returns {Object|null} Ornament record, or null when none is hit
+ */
+export function pickOrnament(ornaments, assigned, camera, screen) {
+    raycaster.setFromCamera(screen, camera);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    assigned.forEach((message, index) => {
+        const ornament = ornaments[index];
+        if (!ornament) return;
+
+        // Test against the ornament's bounding sphere (instances have no object of their own)
+        const geometry = ornament.mesh.geometry;
+        if (geometry.boundingSphere === null) {
+            geometry.computeBoundingSphere();
+        }
+        sphere.center.copy(ornament.position);
+        sphere.radius = geometry.boundingSphere.radius * ornament.scale.x;
+        if (raycaster.ray.intersectSphere(sphere, hit) === null) return;
+
+        const distance = hit.distanceTo(raycaster.ray.origin);
+        if (distance < nearestDistance) {
+            nearest = ornament;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Create the hover picker for ornament messages
+ * @param {HTMLElement} element - Canvas the scene is drawn on (gets the pointer cursor over a message)
+ * @param {HTMLElement} tooltip - Tooltip element shown next to the pointer
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object} Picker with hovered, update() and clear()
+ */
+export function createOrnamentPicker(element, tooltip, CONFIG) {
+    const picker = {
+        hovered: null, // Ornament record under the pointer, if it has a message
+
+        /**
+         * Pick the hovered ornament and highlight it (after the light show has set the glow)
+         * @param {Array<Object>} ornaments - Ornament records
+         * @param {Map<number, Object>} assigned - Message by ornament index
+         * @param {THREE.Camera} camera - Scene camera
+         * @param {Object} pointer - Pointer state (see pointer.js)
+         */
+        update(ornaments, assigned, camera, pointer) {
+            const ornament = CONFIG.messages.enabled && pointer.active && !pointer.holding
+                ? pickOrnament(ornaments, assigned, camera, pointer.screen)
+                : null;
+
+            if (ornament !== picker.hovered) {
+                // Light patterns rewrite the glow every frame; without them it goes back to normal
+                if (picker.hovered && !CONFIG.lightShow.ornaments) {
+                    setOrnamentGlow(picker.hovered, 1);
+                }
+                picker.hovered = ornament;
+                element.style.cursor = ornament ? 'pointer' : '';
+                tooltip.hidden = ornament === null;
+            }
+            if (ornament === null) return;
+
+            setOrnamentGlow(ornament, CONFIG.messages.highlightGlow);
+
+            const message = assigned.get(ornament.userData.index);
+            tooltip.textContent = message.author ? `💌 From ${message.author}` : '💌 A message';
+            const rect = element.getBoundingClientRect();
+            tooltip.style.left = `${rect.left + (pointer.screen.x + 1) / 2 * rect.width + 14}px`;
+            tooltip.style.top = `${rect.top + (1 - pointer.screen.y) / 2 * rect.height + 14}px`;
+        },
+
+        /**
+         * Drop the hover (when the ornaments are rebuilt)
+         */
+        clear() {
+            picker.hovered = null;
+            element.style.cursor = '';
+            tooltip.hidden = true;
+        }
+    };
+    return picker;
+}
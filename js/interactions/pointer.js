@@ -0,0 +1,114 @@
+/**
+ * @file pointer.js
+ * @description Mouse and touch as a force field: the pointer, projected into the scene,
+ * pushes snow and star dust aside, a click sets off a burst and press-and-hold spins a vortex
+ * @dependencies config.js
+ */
+
+// On-screen press
+let pressStart = null; // { x, y, time } in client pixels and ms while pressed
+let cameraControls = null;
+
+// Scratch objects for projecting the pointer
+const raycaster = new THREE.Raycaster();
+const plane = new THREE.Plane();
+const facing = new THREE.Vector3();
+
+/**
+ * Pointer state object, read by updateSnowSystem and updateStarDust
+ * @type {Object}
+ */
+export const pointerState = {
+    active: false,              // Over the scene (or touching it)
+    screen: new THREE.Vector2(), // Position in normalized device coordinates (-1 to 1)
+    position: new THREE.Vector3(), // Projected onto the plane through the tree facing the camera
+    holding: false,             // Pressed and held still long enough to spin a vortex
+    push: 0,                    // Push strength, eased in and out (0 to 1)
+    swirl: 0,                   // Vortex strength, eased in and out (0 to 1)
+    swirlAngle: 0               // How far the vortex has turned (radians)
+};
+
+/**
+ * Listen to the pointer on the scene canvas
+ * @param {HTMLElement} element - Canvas the scene is drawn on
+ * @param {THREE.OrbitControls} controls - Camera controls (paused while a vortex is held, so the drag moves it instead)
+ * @param {Object} CONFIG - Configuration object
+ * @param {Function} onClick - Called with the pointer's scene position on a click
+ */
+export function enablePointerField(element, controls, CONFIG, onClick) {
+    const settings = CONFIG.pointerField;
+    cameraControls = controls;
+
+    const track = (event) => {
+        const rect = element.getBoundingClientRect();
+        pointerState.screen.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        pointerState.active = true;
+    };
+
+    element.addEventListener('pointermove', (event) => {
+        track(event);
+        // Dragging before the hold kicks in orbits the camera as usual
+        if (pressStart && !pointerState.holding &&
+            Math.hypot(event.clientX - pressStart.x, event.clientY - pressStart.y) > settings.clickMaxMove) {
+            pressStart = null;
+        }
+    });
+
+    element.addEventListener('pointerdown', (event) => {
+        track(event);
+        pressStart = { x: event.clientX, y: event.clientY, time: performance.now() };
+    });
+
+    const release = (event) => {
+        if (pressStart && !pointerState.holding && event.type === 'pointerup' &&
+            performance.now() - pressStart.time < settings.holdTime * 1000) {
+            onClick(pointerState.position);
+        }
+        pressStart = null;
+        pointerState.holding = false;
+        controls.enabled = true;
+        if (event.pointerType !== 'mouse') {
+            pointerState.active = false; // A lifted finger no longer points anywhere
+        }
+    };
+    element.addEventListener('pointerup', release);
+    element.addEventListener('pointercancel', release);
+    element.addEventListener('pointerleave', (event) => {
+        release(event);
+        pointerState.active = false;
+    });
+}
+
+/**
+ * Project the pointer into the scene, start a held vortex and ease the push and swirl
+ * @param {number} dt - Seconds since the last frame
+ * @param {THREE.Camera} camera - Scene camera
+ * @param {Object} CONFIG - Configuration object
+ */
+export function updatePointerField(dt, camera, CONFIG) {
+    const settings = CONFIG.pointerField;
+
+    if (pointerState.active) {
+        // Plane through the tree's center, facing the camera
+        camera.getWorldDirection(facing);
+        plane.setFromNormalAndCoplanarPoint(facing, new THREE.Vector3(0, 0, 0));
+        raycaster.setFromCamera(pointerState.screen, camera);
+        raycaster.ray.intersectPlane(plane, pointerState.position);
+    }
+
+    // Holding still turns into a vortex; the camera stays put while it spins
+    if (settings.enabled && pressStart && !pointerState.holding && performance.now() - pressStart.time >= settings.holdTime * 1000) {
+        pointerState.holding = true;
+        cameraControls.enabled = false;
+    }
+
+    const ease = (level, on) => Math.min(Math.max(level + (on ? dt : -dt) / settings.fadeTime, 0), 1);
+    pointerState.push = ease(pointerState.push, settings.enabled && pointerState.active && !pointerState.holding);
+    pointerState.swirl = ease(pointerState.swirl, settings.enabled && pointerState.holding);
+    pointerState.swirlAngle = pointerState.swirl > 0
+        ? pointerState.swirlAngle + settings.vortexSpin * pointerState.swirl * dt
+        : 0;
+}
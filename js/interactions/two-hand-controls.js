@@ -0,0 +1,109 @@
+/**
+ * @file two-hand-controls.js
+ * @description Camera control with both hands: spread or pinch the hands to zoom,
+ * turn them like a steering wheel to orbit, raise both to celebrate
+ * @dependencies config.js
+ */
+
+// Scratch objects
+const offset = new THREE.Vector3();
+const spherical = new THREE.Spherical();
+
+/**
+ * Measure the line between two palms
+ * @param {Array} first - Landmarks of one hand
+ * @param {Array} second - Landmarks of the other hand
+ * @param {number} aspect - Camera image width / height
+ * @returns {{spread: number, angle: number}} Palm distance (image height units) and the
+ * line's angle from the image's left palm to its right one (radians, y down)
+ */
+export function measureHandPair(first, second, aspect = 4 / 3) {
+    // Middle finger knuckles as palm centers, ordered left to right in the image
+    const [left, right] = first[9].x <= second[9].x ? [first[9], second[9]] : [second[9], first[9]];
+    const dx = (right.x - left.x) * aspect;
+    const dy = right.y - left.y;
+    return { spread: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) };
+}
+
+/**
+ * Create two-hand camera controls
+ * @param {Object} settings - Hand tracking settings (CONFIG.handTracking)
+ * @returns {Object} Controls with update() and reset()
+ */
+export function createTwoHandControls(settings) {
+    let filtered = null; // { spread, angle } after smoothing, null until both hands are seen
+    let lastTime = 0;
+    let raisedSince = null;
+    let celebrated = false;
+
+    return {
+        /**
+         * Follow both hands for a frame and move the camera
+         * @param {Array} first - Landmarks of one hand
+         * @param {Array} second - Landmarks of the other hand
+         * @param {THREE.Camera} camera - Scene camera
+         * @param {THREE.OrbitControls} controls - Orbit controls (target and distance limits)
+         * @param {number} time - Frame time in ms
+         * @returns {boolean} True on the frame both hands have been held up long enough to celebrate
+         */
+        update(first, second, camera, controls, time) {
+            const twoHands = settings.twoHands;
+            const pair = measureHandPair(first, second);
+
+            // Both palms high in the image, held for a moment; once per raise
+            const raised = first[9].y < twoHands.raiseHeight && second[9].y < twoHands.raiseHeight;
+            if (!raised) {
+                raisedSince = null;
+                celebrated = false;
+            } else if (raisedSince === null) {
+                raisedSince = time;
+            }
+            const celebrate = raised && !celebrated && time - raisedSince >= twoHands.raiseTime;
+            if (celebrate) {
+                celebrated = true;
+            }
+
+            if (filtered === null || pair.spread < 1e-6) {
+                filtered = pair;
+                lastTime = time;
+                return celebrate;
+            }
+
+            // Low-pass filtered like the palm position, so landmark jitter does not shake the camera
+            const k = 1 - Math.exp(-Math.max(time - lastTime, 0) / 1000 / settings.positionSmoothing);
+            const spread = filtered.spread + (pair.spread - filtered.spread) * k;
+            const angle = filtered.angle + (pair.angle - filtered.angle) * k;
+            lastTime = time;
+
+            // Hands passing over each other flip the left-right order; start again from there
+            if (Math.abs(pair.angle - filtered.angle) > Math.PI / 2) {
+                filtered = pair;
+                return celebrate;
+            }
+
+            // Turning the wheel clockwise (as the user sees it) lowers the angle in the
+            // unmirrored camera image, and swings the view to the right
+            const turn = filtered.angle - angle;
+            const zoom = Math.pow(filtered.spread / spread, twoHands.zoomSpeed);
+            filtered = { spread, angle };
+
+            offset.copy(camera.position).sub(controls.target);
+            spherical.setFromVector3(offset);
+            spherical.radius = Math.min(Math.max(spherical.radius * zoom, controls.minDistance), controls.maxDistance);
+            spherical.theta += turn * twoHands.orbitSpeed;
+            camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+            camera.lookAt(controls.target);
+
+            return celebrate;
+        },
+
+        /**
+         * Forget the hands (when one or both are lost)
+         */
+        reset() {
+            filtered = null;
+            raisedSince = null;
+            celebrated = false;
+        }
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * @file builtin-patterns.js
+ * @description Built-in light patterns (wave, chase, twinkle, fade, rainbow, alternate, sparkle)
+ * @dependencies None
+ */
+
+/**
+ * Fractional part, always in [0, 1)
+ * @param {number} value - Any number
+ * @returns {number} Fractional part
+ */
+function fract(value) {
+    return value - Math.floor(value);
+}
+
+/**
+ * Stable pseudo-random number for a light and a time step
+ * @param {number} index - Light index
+ * @param {number} step - Time step
+ * @returns {number} Value in [0, 1)
+ */
+function hash(index, step) {
+    return fract(Math.sin(index * 12.9898 + step * 78.233) * 43758.5453);
+}
+
+/**
+ * Pick a color from the pattern's list, or leave the light its base color
+ * @param {Array<THREE.Color>} colors - Pattern colors (may be empty)
+ * @param {number} slot - Any integer
+ * @returns {THREE.Color|null} Color, or null for the base color
+ */
+function pickColor(colors, slot) {
+    if (colors.length === 0) return null;
+    return colors[((slot % colors.length) + colors.length) % colors.length];
+}
+
+/**
+ * Built-in light patterns. sample(light, time, params, out) writes one light:
+ * - light: { t (0 = start of the strand, 1 = end, already flipped for direction), index, seed (stable, in [0, 1)) }
+ * - time: pattern time in seconds (already scaled by speed)
+ * - params: defaults merged with the playlist entry; colors are THREE.Color objects
+ * - out: { intensity (0 to 1), color (THREE.Color, or null for the light's base color), scratch (THREE.Color to build colors in) }
+ * @type {Array<Object>}
+ */
+export const BUILTIN_LIGHT_PATTERNS = [
+    {
+        id: 'wave',
+        label: '🌊 Wave',
+        defaults: { direction: 'down', width: 0.125, period: 30 },
+        sample(light, time, params, out) {
+            // One soft band travelling the whole strand, with a short gap between passes
+            const { width, period } = params;
+            const head = fract(time / period) * (1 + width * 2) - width;
+            const distance = Math.abs(light.t - head);
+            out.intensity = distance < width ? Math.pow(1 - distance / width, 3) : 0;
+            out.color = pickColor(params.colors, 0);
+        }
+    },
+    {
+        id: 'chase',
+        label: '🏃 Chase',
+        defaults: { segments: 20, duty: 0.3, rate: 2 },
+        sample(light, time, params, out) {
+            const position = light.t * params.segments - time * params.rate;
+            out.intensity = fract(position) < params.duty ? 1 : 0.15;
+            out.color = pickColor(params.colors, Math.floor(position));
+        }
+    },
+    {
+        id: 'twinkle',
+        label: '✨ Twinkle',
+        defaults: { rate: 2, sharpness: 4 },
+        sample(light, time, params, out) {
+            // Every light on its own slow cycle
+            const rate = params.rate * (0.5 + light.seed);
+            const wave = 0.5 + 0.5 * Math.sin(time * rate + light.seed * 100);
+            out.intensity = Math.pow(wave, params.sharpness);
+            out.color = pickColor(params.colors, Math.floor(fract(light.seed * 97.13) * 1000));
+        }
+    },
+    {
+        id: 'fade',
+        label: '🌗 Fade',
+        defaults: { period: 4 },
+        sample(light, time, params, out) {
+            // All lights breathe together; each breath takes the next color
+            const cycle = time / params.period;
+            out.intensity = 0.5 - 0.5 * Math.cos(fract(cycle) * Math.PI * 2);
+            out.color = pickColor(params.colors, Math.floor(cycle));
+        }
+    },
+    {
+        id: 'rainbow',
+        label: '🌈 Rainbow',
+        defaults: { cycles: 1, rate: 0.2 },
+        sample(light, time, params, out) {
+            out.intensity = 0.8;
+            out.color = out.scratch.setHSL(fract(light.t * params.cycles - time * params.rate), 1, 0.55);
+        }
+    },
+    {
+        id: 'alternate',
+        label: '🚦 Alternate',
+        defaults: { interval: 1, colors: [0xD42426, 0x1B5E20] },
+        sample(light, time, params, out) {
+            // Neighbours swap every interval; with fewer than two colors, half the lights blink
+            const slot = light.index + Math.floor(time / params.interval);
+            if (params.colors.length >= 2) {
+                out.intensity = 1;
+                out.color = pickColor(params.colors, slot);
+            } else {
+                out.intensity = slot % 2 === 0 ? 1 : 0.1;
+                out.color = pickColor(params.colors, 0);
+            }
+        }
+    },
+    {
+        id: 'sparkle',
+        label: '💥 Sparkle',
+        defaults: { density: 0.05, rate: 6 },
+        sample(light, time, params, out) {
+            // Random lights flash and fade out within one step
+            const steps = time * params.rate;
+            const flash = hash(light.index, Math.floor(steps)) < params.density;
+            out.intensity = flash ? 1 - fract(steps) : 0;
+            out.color = pickColor(params.colors, Math.floor(hash(light.index, 0) * 1000));
+        }
+    }
+];
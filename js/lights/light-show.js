@@ -0,0 +1,204 @@
+/**
+ * @file light-show.js
+ * @description Registry of light patterns and the playlist engine that runs them
+ * on the garland lights and the ornaments' glow
+ * @dependencies builtin-patterns.js, ornaments.js, garlands.js, math-helpers.js
+ */
+
+import { BUILTIN_LIGHT_PATTERNS } from './builtin-patterns.js';
+import { setOrnamentGlow } from '../entities/ornaments.js';
+import { updateGarlandLights } from '../entities/garlands.js';
+import { clamp, lerp } from '../utils/math-helpers.js';
+
+// Registered patterns by id (insertion order is the UI order)
+const patterns = new Map();
+
+// Parameters every pattern understands
+const COMMON_DEFAULTS = { speed: 1, direction: 'up', colors: [] };
+
+/**
+ * Register a light pattern
+ * @param {Object} pattern - Pattern definition
+ * @param {string} pattern.id - Unique identifier
+ * @param {string} pattern.label - Label shown in the UI
+ * @param {Object} [pattern.defaults] - Default parameters
+ * @param {Function} pattern.sample - (light, time, params, out) => void (see builtin-patterns.js)
+ */
+export function registerLightPattern(pattern) {
+    if (!pattern.id || typeof pattern.sample !== 'function') {
+        throw new Error('Light pattern needs an id and a sample() function');
+    }
+    patterns.set(pattern.id, { defaults: {}, ...pattern });
+}
+
+/**
+ * Get a registered light pattern
+ * @param {string} id - Pattern id
+ * @returns {Object} Pattern definition
+ */
+export function getLightPattern(id) {
+    const pattern = patterns.get(id);
+    if (!pattern) {
+        throw new Error(`Unknown light pattern: ${id}`);
+    }
+    return pattern;
+}
+
+/**
+ * Check whether a light pattern is registered
+ * @param {string} id - Pattern id
+ * @returns {boolean} True if registered
+ */
+export function hasLightPattern(id) {
+    return patterns.has(id);
+}
+
+/**
+ * List all registered light patterns
+ * @returns {Array<Object>} Pattern definitions
+ */
+export function listLightPatterns() {
+    return Array.from(patterns.values());
+}
+
+/**
+ * Resolve a playlist entry into its pattern and full parameters
+ * @param {Object} entry - { pattern, ...parameters }
+ * @returns {Object} { pattern, params } with colors as THREE.Color objects
+ */
+function resolveEntry(entry) {
+    const pattern = getLightPattern(entry.pattern);
+    const params = { ...COMMON_DEFAULTS, ...pattern.defaults, ...entry };
+    params.colors = params.colors.map(color => new THREE.Color(color));
+    return { pattern, params };
+}
+
+/**
+ * Stable per-light random value
+ * @param {number} index - Light index
+ * @returns {number} Value in [0, 1)
+ */
+function seedOf(index) {
+    const value = Math.sin(index * 91.345 + 17.17) * 43758.5453;
+    return value - Math.floor(value);
+}
+
+/**
+ * Create a light show that plays CONFIG.lightShow.playlist, moving on to the
+ * next entry every interval and blending between patterns
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object} Light show with update() and play()
+ */
+export function createLightShow(CONFIG) {
+    // Scratch objects reused for every light
+    const light = { t: 0, index: 0, seed: 0 };
+    const out = { intensity: 0, color: null, scratch: new THREE.Color() };
+    const fadingColor = new THREE.Color();
+    const color = new THREE.Color();
+
+    let time = 0;
+    let entryIndex = 0;
+    let entryElapsed = 0;
+    let held = null; // Pattern id played on its own instead of the playlist
+    let current = resolveEntry(CONFIG.lightShow.playlist[0]);
+    let previous = null;
+    let blend = 1;
+
+    const switchTo = (entry) => {
+        previous = current;
+        current = resolveEntry(entry);
+        blend = 0;
+    };
+
+    // One pattern for one light: returns its intensity and writes its color
+    const sampleWith = (active, t, base, target) => {
+        const { params } = active;
+        light.t = params.direction === 'down' ? 1 - t : t;
+        active.pattern.sample(light, time * params.speed, params, out);
+        target.copy(out.color || base);
+        return clamp(out.intensity, 0, 1);
+    };
+
+    // The active pattern for one light, blended with the outgoing one
+    const sampleLight = (t, index, base, target) => {
+        light.index = index;
+        light.seed = seedOf(index);
+        const intensity = sampleWith(current, t, base, target);
+        if (!previous) return intensity;
+
+        const fadingIntensity = sampleWith(previous, t, base, fadingColor);
+        target.lerpColors(fadingColor, target, blend);
+        return lerp(fadingIntensity, intensity, blend);
+    };
+
+    return {
+        /**
+         * Advance the show and light the garlands and ornaments
+         * @param {number} dt - Seconds since the last frame
+         * @param {Object} targets - Scene elements
+         * @param {THREE.Group} targets.garlands - Garlands (see garlands.js)
+         * @param {Array<Object>} targets.ornaments - Ornament records
+         */
+        update(dt, targets) {
+            const { garlands, ornaments } = targets;
+            const { lightShow } = CONFIG;
+
+            // Pattern time runs faster with the speed slider and with music (garland speed multiplier)
+            time += dt * lightShow.speed * garlands.userData.speedMultiplier;
+
+            if (held === null && lightShow.playlist.length > 1) {
+                entryElapsed += dt;
+                if (entryElapsed >= (current.params.duration || lightShow.interval)) {
+                    entryElapsed = 0;
+                    entryIndex = (entryIndex + 1) % lightShow.playlist.length;
+                    switchTo(lightShow.playlist[entryIndex]);
+                }
+            }
+            if (previous) {
+                blend = lightShow.blendTime > 0 ? Math.min(blend + dt / lightShow.blendTime, 1) : 1;
+                if (blend >= 1) {
+                    previous = null;
+                }
+            }
+
+            // Garland lights along each strand, bottom to top (each garland gets its own light indices)
+            garlands.children.forEach((garland, g) => {
+                if (!garland.visible) return;
+
+                const { intensities, lightColors, color: base } = garland.userData;
+                const count = intensities.length;
+                for (let i = 0; i < count; i++) {
+                    intensities[i] = sampleLight(i / Math.max(count - 1, 1), g * 1000 + i, base, color);
+                    color.toArray(lightColors, i * 3);
+                }
+                updateGarlandLights(garland, intensities, lightColors);
+            });
+
+            // Ornaments by height in the current formation (intensity only; they keep their colors)
+            if (lightShow.ornaments) {
+                const H = CONFIG.treeHeight;
+                ornaments.forEach((ornament, index) => {
+                    const t = clamp((ornament.userData.formationPosition.y + H / 2) / H, 0, 1);
+                    const intensity = sampleLight(t, index, color, color);
+                    setOrnamentGlow(ornament, 1 + lightShow.ornamentGlow * intensity);
+                });
+            }
+        },
+
+        /**
+         * Hold one pattern, or go back to the playlist
+         * @param {string|null} id - Pattern id, or null for the playlist
+         */
+        play(id) {
+            const { playlist } = CONFIG.lightShow;
+            held = id;
+            entryElapsed = 0;
+            // A held pattern keeps the parameters its playlist entry gives it, if any
+            switchTo(id === null
+                ? playlist[entryIndex]
+                : playlist.find(entry => entry.pattern === id) || { pattern: id });
+        }
+    };
+}
+
+BUILTIN_LIGHT_PATTERNS.forEach(registerLightPattern);
@@ -13,36 +13,83 @@ import { setupLighting } from './scene/lighting.js';
 import { setupCamera, setupControls, setupRenderer, onWindowResize } from './scene/camera.js';
 
 // Entities
-import { createOrnaments, updateOrnaments } from './entities/ornaments.js';
+import { createOrnaments, updateOrnaments, removeOrnaments } from './entities/ornaments.js';
 import { createTopStar, updateStar, createStarDust, updateStarDust } from './entities/star.js';
-import { createSpiralRibbon, updateSpiralRibbon } from './entities/spiral-ribbon.js';
-import { createSnowSystem, updateSnowSystem } from './entities/snow.js';
+import { createGarlands, setGarlandsShown, swayGarlands } from './entities/garlands.js';
+import { createSnowSystem, updateSnowSystem, setSnowStyle, createSnowWave } from './entities/snow.js';
+import { createSnowCover, updateSnowCover, knockOffSettledSnow } from './entities/snow-cover.js';
+
+// Formations
+import { listFormations, applyFormation, registerFormation, hasFormation } from './formations/formation-registry.js';
+import { renderTextCanvas, renderImageCanvas, sampleCanvasPoints, loadImageFile } from './formations/image-sampler.js';
 
 // Animations
 import { scatterAll } from './animations/scatter.js';
-import { transitionState } from './animations/transitions.js';
+import { transitionState, updateButtonState, runTransition, stopTransition } from './animations/transitions.js';
+import { morphToFormation } from './animations/morph.js';
+import { createCommandQueue } from './animations/command-queue.js';
+import { scrubFormationProgress } from './animations/formation-progress.js';
+import { listTransitionStyles } from './animations/styles/style-registry.js';
+
+// Audio
+import { createAudioAnalyzer } from './audio/audio-analysis.js';
+import { audioInputState, connectAudioElement, loadAudioFile, isAudioPlaying, readSpectrum } from './audio/audio-input.js';
+import { applyAudioLevels, NEUTRAL_LEVELS } from './audio/audio-reactive.js';
+
+// Themes
+import { listThemes, applyTheme, hasTheme } from './themes/theme-registry.js';
+
+// Light patterns
+import { createLightShow, listLightPatterns } from './lights/light-show.js';
+
+// Weather
+import { createWeather, listWeatherModes, hasWeatherMode } from './weather/weather.js';
+
+// Festivals
+import { listFestivals, getFestival, hasFestival, applyFestivalConfig } from './festivals/festival-presets.js';
+
+// Countdown
+import { createCountdown } from './countdown/countdown.js';
+import { COUNTDOWN_PRESETS, resolveCountdownTarget } from './countdown/countdown-time.js';
+import { createCountdownText, setCountdownText, updateCountdownText } from './entities/countdown-text.js';
+import { createFireworks, launchFirework, updateFireworks } from './entities/fireworks.js';
 
 // Interactions
-import { toggleHandTracking, handTrackingState } from './interactions/hand-tracking.js';
+import { toggleHandTracking, handTrackingState, renderGestureInstructions, startHandReplay, toggleHandRecording } from './interactions/hand-tracking.js';
+import { parseHandRecording } from './interactions/hand-recording.js';
+import { listHandInputs, hasHandInput } from './interactions/hand-input/input-registry.js';
+import { enablePointerField, updatePointerField, pointerState } from './interactions/pointer.js';
+import { createOrnamentPicker } from './interactions/ornament-picking.js';
+import { showMessageCard, hideMessageCard, openMessageEditor } from './interactions/message-ui.js';
+
+// Persistence
+import { serializeScene, applySceneConfig, getSceneLayout, restoreOrnamentState, applySceneView } from './persistence/scene-file.js';
+import { downloadScene, readSceneFile, saveSceneSlot, loadSceneSlot, describeSceneSlot, setPendingScene, takePendingScene, enableSceneDrop } from './persistence/scene-storage.js';
+import { assignMessages } from './persistence/message-file.js';
+import { downloadMessages, readMessageFile, saveStoredMessages, loadStoredMessages, loadStoredMessageSeed } from './persistence/message-storage.js';
 
 // Utils
-import { createCloudTexture, createSnowTexture } from './utils/geometry-helpers.js';
+import { createCloudTexture, createSnowTexture, createPetalTexture, createSnowflakeAtlas } from './utils/geometry-helpers.js';
+import { setSeed, getSeed, generateSeed, randomStream } from './utils/random.js';
+import { createSystemClock, createOffsetClock } from './utils/clock.js';
+import { downloadBlob } from './utils/download.js';
 
 // ============================================
 // GLOBAL VARIABLES
 // ============================================
 let scene, camera, renderer, controls;
 let ornaments = [];
-let starDust, topStar, spiralRibbon;
+let starDust, topStar, garlands;
 let isGathered = { value: false }; // Object wrapper for pass-by-reference
-let animationState = { animating: false };
+let animationState = { animating: false, timeline: null, progress: 0 }; // progress: 0 scattered → 1 formed
+const gestureQueue = createCommandQueue();
 
 // Snow System
 let snowParticles = null;
-let snowVelocities = [];
-let snowSizes = [];
+let snowCover = null;
 
 // Lighting
+let lights = null;
 let starLight = null;
 
 // Sky elements
@@ -51,12 +98,69 @@ let skyMaterial = null;
 let twinklingStars = null;
 let shootingStars = [];
 let shootingStarTimer = 0;
+let shootingStarRandom = null;
 let cloudLayer = [];
 
+// Audio-reactive mode
+let audioAnalyzer = null;
+let audioActive = false;
+
+// Light patterns
+let lightShow = null;
+
+// Weather (wind, snowfall, clouds)
+let weather = null;
+
+// Ornament messages
+let messages = [];
+let messageAssignment = new Map(); // Message by ornament index
+let ornamentPicker = null;
+
+// Countdown mode
+let countdown = null;
+let countdownText = null;
+let fireworks = null;
+let fireworksRandom = null;
+let fireworksTimer = 0;
+let celebrationTime = 0; // Seconds of celebration fireworks left
+let lastFrameTime = null;
+
+// Falling particle textures by festival particle style
+const PARTICLE_TEXTURES = {
+    snow: () => createSnowflakeAtlas(randomStream('snowflakes')),
+    petal: createPetalTexture
+};
+
 // ============================================
 // INITIALIZATION
 // ============================================
 function init() {
+    // A scene loaded from a file or slot is applied on this fresh start
+    const pendingScene = takePendingScene();
+    if (pendingScene) {
+        applySceneConfig(pendingScene, CONFIG);
+    }
+
+    // Seed every generator so the same link always builds the same tree. Without a link,
+    // rebuild the tree the stored messages hang on, so they keep their ornaments.
+    setSeed(pendingScene ? pendingScene.seed : readSeedFromUrl() || loadStoredMessageSeed() || generateSeed());
+    shootingStarRandom = randomStream('shooting-stars');
+
+    // Festival (ornament shapes must be known before the ornaments are built)
+    const urlFestival = new URLSearchParams(window.location.search).get('festival');
+    if (!pendingScene && urlFestival && hasFestival(urlFestival)) {
+        CONFIG.festival = urlFestival;
+    }
+    if (!hasFestival(CONFIG.festival)) {
+        CONFIG.festival = 'christmas';
+    }
+    const festival = getFestival(CONFIG.festival);
+    applyFestivalConfig(festival, CONFIG);
+    if (!pendingScene) {
+        CONFIG.formation = festival.formation;
+        CONFIG.theme = festival.theme;
+    }
+
     // Scene
     scene = setupScene();
 
@@ -71,7 +175,7 @@ function init() {
     controls = setupControls(camera, renderer);
 
     // Lighting
-    const lights = setupLighting(scene, CONFIG);
+    lights = setupLighting(scene, CONFIG);
     starLight = lights.starLight;
 
     // Create sky dome first (renders behind everything)
@@ -79,30 +183,78 @@ function init() {
     skyDome = skyObjects.skyDome;
     skyMaterial = skyObjects.skyMaterial;
 
-    twinklingStars = createTwinklingStars(scene);
-    cloudLayer = createCloudLayer(scene, createCloudTexture);
+    twinklingStars = createTwinklingStars(scene, randomStream('twinkling-stars'));
+    cloudLayer = createCloudLayer(scene, createCloudTexture, randomStream('clouds'));
 
     // Create all entities
-    ornaments = createOrnaments(scene, CONFIG);
-    starDust = createStarDust(scene, CONFIG);
+    ornaments = pendingScene
+        ? createOrnaments(scene, CONFIG, randomStream('ornaments'), getSceneLayout(pendingScene))
+        : createOrnaments(scene, CONFIG, randomStream('ornaments'));
+    starDust = createStarDust(scene, CONFIG, randomStream('star-dust'));
     topStar = createTopStar(scene, CONFIG);
-    spiralRibbon = createSpiralRibbon(scene, CONFIG);
+    garlands = createGarlands(scene, CONFIG);
+    lightShow = createLightShow(CONFIG);
+
+    if (CONFIG.weather.mode !== 'schedule' && !hasWeatherMode(CONFIG.weather.mode)) {
+        CONFIG.weather.mode = 'calm';
+    }
+    weather = createWeather(CONFIG);
     
-    const snowSystem = createSnowSystem(scene, CONFIG, createSnowTexture);
+    const snowSystem = createSnowSystem(scene, CONFIG, createSnowTexture, randomStream('snow'));
     snowParticles = snowSystem.snowParticles;
-    snowVelocities = snowSystem.snowVelocities;
-    snowSizes = snowSystem.snowSizes;
+    setSnowStyle(snowParticles, festival.particles, PARTICLE_TEXTURES);
+    if (CONFIG.snowCover.enabled) {
+        snowCover = createSnowCover(scene, CONFIG, createSnowTexture);
+    }
 
-    // Initial scatter state
-    scatterAll(ornaments, topStar, spiralRibbon, starLight, CONFIG);
+    countdownText = createCountdownText(scene, CONFIG);
+    fireworks = createFireworks(scene, createSnowTexture);
+    fireworksRandom = randomStream('fireworks');
+
+    // Theme colors (scene files and share links may pick one)
+    const urlTheme = new URLSearchParams(window.location.search).get('theme');
+    if (!pendingScene && urlTheme && hasTheme(urlTheme)) {
+        CONFIG.theme = urlTheme;
+    }
+    if (!hasTheme(CONFIG.theme)) {
+        CONFIG.theme = 'classic';
+    }
+    applyTheme(CONFIG.theme, getThemeTargets());
+
+    if (pendingScene) {
+        restoreScene(pendingScene);
+    } else {
+        // Initial formation targets
+        applyFormation(CONFIG.formation, ornaments, topStar, garlands, CONFIG);
+
+        // Initial scatter state
+        runTransition(animationState, scatterAll(ornaments, topStar, garlands, starLight, CONFIG));
+    }
+
+    setupFestivalSelect();
+    setupFormationSelect();
+    setupTransitionStyleSelects();
+    setupThemeSelect();
+    setupLightControls();
+    setupWeatherSelect();
+    setupTextFormation();
+    setupSeedControls();
+    setupSceneControls();
+    setupProgressControls();
+    setupMusicControls();
+    setupCountdownControls();
+    setupMessageControls();
 
     // Event listeners
     window.addEventListener('resize', () => onWindowResize(camera, renderer));
     document.getElementById('toggleBtn').addEventListener('click', toggleState);
+    enablePointerField(renderer.domElement, controls, CONFIG, onSceneClick);
+    renderGestureInstructions(CONFIG);
     document.getElementById('handTrackingBtn').addEventListener('click', () => {
         const dependencies = getDependencies();
         toggleHandTracking(dependencies);
     });
+    setupHandInputControls();
 
     // Hide loading
     document.getElementById('loading').style.display = 'none';
@@ -121,20 +273,738 @@ function getDependencies() {
         animationState,
         ornaments,
         topStar,
-        spiralRibbon,
+        garlands,
         starLight,
         snowParticles,
-        snowVelocities,
-        snowCount: CONFIG.snowCount
+        commandQueue: gestureQueue,
+        setFormationProgress,
+        nextFormation,
+        nextTheme,
+        takeScreenshot,
+        celebrate,
+        camera,
+        controls
     };
 }
 
+function setupHandInputControls() {
+    const select = document.getElementById('handInputSelect');
+    const replayInput = document.getElementById('handReplayInput');
+
+    // Recordings start from the Replay button instead
+    listHandInputs().filter(input => !input.needsRecording).forEach(input => {
+        const option = document.createElement('option');
+        option.value = input.id;
+        option.textContent = input.label;
+        select.appendChild(option);
+    });
+    if (!hasHandInput(CONFIG.handTracking.provider)) {
+        CONFIG.handTracking.provider = 'mediapipe';
+    }
+    select.value = CONFIG.handTracking.provider;
+    select.addEventListener('change', () => {
+        CONFIG.handTracking.provider = select.value;
+    });
+
+    document.getElementById('handRecordBtn').addEventListener('click', toggleHandRecording);
+
+    replayInput.addEventListener('change', async () => {
+        const file = replayInput.files[0];
+        replayInput.value = '';
+        if (!file) return;
+        try {
+            await startHandReplay(parseHandRecording(await file.text()), getDependencies());
+        } catch (error) {
+            console.error('Hand recording error:', error);
+            alert(`Could not replay the recording.\n${error.message}`);
+        }
+    });
+}
+
+function nextFormation() {
+    const ids = listFormations().map(formation => formation.id);
+    changeFormation(ids[(ids.indexOf(CONFIG.formation) + 1) % ids.length]);
+}
+
+function nextTheme() {
+    const ids = listThemes().map(theme => theme.id);
+    const id = ids[(ids.indexOf(CONFIG.theme) + 1) % ids.length];
+    applyTheme(id, getThemeTargets(), CONFIG.themeCrossfade);
+    CONFIG.theme = id;
+    document.getElementById('themeSelect').value = id;
+}
+
+function takeScreenshot() {
+    // Render right before reading so the drawing buffer still holds the frame
+    renderer.render(scene, camera);
+    renderer.domElement.toBlob(blob => downloadBlob(blob, `christmas-tree-${getSeed()}.png`), 'image/png');
+}
+
+function celebrate() {
+    celebrationTime = CONFIG.handTracking.twoHands.celebrationTime;
+    fireworksTimer = 0;
+    createSnowWave(snowParticles, topStar.position, CONFIG);
+}
+
 // ============================================
 // TOGGLE STATE
 // ============================================
 function toggleState() {
+    // Clicks act immediately: drop queued gestures and interrupt any running transition
+    gestureQueue.clear();
     isGathered.value = !isGathered.value;
-    transitionState(isGathered.value, ornaments, topStar, spiralRibbon, starLight, CONFIG, animationState);
+    transitionState(isGathered.value, ornaments, topStar, garlands, starLight, CONFIG, animationState);
+}
+
+// ============================================
+// FORMATION PROGRESS
+// ============================================
+function setFormationProgress(progress) {
+    // Continuous control takes over from queued gesture toggles
+    gestureQueue.clear();
+    scrubFormationProgress(progress, ornaments, topStar, garlands, starLight, animationState);
+
+    // Past halfway counts as gathered for the toggle button
+    const gathered = progress >= 0.5;
+    if (gathered !== isGathered.value) {
+        isGathered.value = gathered;
+        updateButtonState(gathered);
+    }
+}
+
+function setupProgressControls() {
+    const slider = document.getElementById('progressSlider');
+    slider.addEventListener('input', () => setFormationProgress(Number(slider.value)));
+
+    // Modifier + wheel scrubs the formation; capture phase keeps OrbitControls from zooming
+    window.addEventListener('wheel', (event) => {
+        if (!event[CONFIG.formationProgress.wheelModifier]) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        // Some browsers turn Shift + wheel into horizontal scrolling
+        const delta = event.deltaY || event.deltaX;
+        const progress = Math.min(Math.max(animationState.progress - delta * CONFIG.formationProgress.wheelStep, 0), 1);
+        setFormationProgress(progress);
+    }, { capture: true, passive: false });
+
+    const opennessCheckbox = document.getElementById('opennessCheckbox');
+    opennessCheckbox.checked = CONFIG.handTracking.opennessControl;
+    opennessCheckbox.addEventListener('change', () => {
+        CONFIG.handTracking.opennessControl = opennessCheckbox.checked;
+    });
+}
+
+// ============================================
+// AUDIO-REACTIVE MODE
+// ============================================
+function setupMusicControls() {
+    const player = document.getElementById('musicPlayer');
+    const fileInput = document.getElementById('musicFileInput');
+    audioAnalyzer = createAudioAnalyzer(CONFIG);
+
+    // A track set directly on the <audio> element is picked up when it starts playing
+    player.addEventListener('play', () => connectAudioElement(player, CONFIG));
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        player.hidden = false;
+        audioAnalyzer.reset();
+        try {
+            await loadAudioFile(file, player, CONFIG);
+        } catch (error) {
+            console.error('Audio playback error:', error);
+            alert(`Could not play ${file.name}.`);
+        }
+    });
+}
+
+function updateAudioReactive(time) {
+    const targets = { ornaments, garlands, twinklingStars, skyMaterial };
+
+    if (isAudioPlaying()) {
+        const levels = audioAnalyzer.update(readSpectrum(), audioInputState.context.sampleRate, time);
+        applyAudioLevels(levels, targets, CONFIG);
+        audioActive = true;
+    } else if (audioActive) {
+        // Paused or ended: settle back to the normal look
+        applyAudioLevels(NEUTRAL_LEVELS, targets, CONFIG);
+        audioAnalyzer.reset();
+        audioActive = false;
+    }
+}
+
+// ============================================
+// THEMES
+// ============================================
+function getThemeTargets() {
+    return {
+        scene,
+        skyMaterial,
+        lights,
+        ornaments,
+        topStar,
+        garlands,
+        twinklingStars,
+        snowParticles,
+        snowCover,
+        starDust,
+        progress: animationState.progress
+    };
+}
+
+function setupThemeSelect() {
+    const select = document.getElementById('themeSelect');
+
+    listThemes().forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.label;
+        select.appendChild(option);
+    });
+    select.value = CONFIG.theme;
+
+    select.addEventListener('change', () => {
+        applyTheme(select.value, getThemeTargets(), CONFIG.themeCrossfade);
+        CONFIG.theme = select.value;
+    });
+}
+
+// ============================================
+// LIGHT PATTERNS
+// ============================================
+function setupLightControls() {
+    const select = document.getElementById('lightPatternSelect');
+    const speedSlider = document.getElementById('lightSpeedSlider');
+
+    listLightPatterns().forEach(pattern => {
+        const option = document.createElement('option');
+        option.value = pattern.id;
+        option.textContent = pattern.label;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+        lightShow.play(select.value === 'playlist' ? null : select.value);
+    });
+
+    speedSlider.value = CONFIG.lightShow.speed;
+    speedSlider.addEventListener('input', () => {
+        CONFIG.lightShow.speed = Number(speedSlider.value);
+    });
+}
+
+// ============================================
+// WEATHER
+// ============================================
+function setupWeatherSelect() {
+    const select = document.getElementById('weatherSelect');
+
+    listWeatherModes().forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        select.appendChild(option);
+    });
+    select.value = CONFIG.weather.mode;
+
+    select.addEventListener('change', () => weather.setMode(select.value));
+}
+
+// ============================================
+// FESTIVALS
+// ============================================
+function setupFestivalSelect() {
+    const select = document.getElementById('festivalSelect');
+
+    listFestivals().forEach(festival => {
+        const option = document.createElement('option');
+        option.value = festival.id;
+        option.textContent = festival.label;
+        select.appendChild(option);
+    });
+    select.value = CONFIG.festival;
+
+    select.addEventListener('change', () => changeFestival(select.value));
+}
+
+function changeFestival(id) {
+    const festival = getFestival(id);
+    gestureQueue.clear();
+    stopTransition(animationState);
+    applyFestivalConfig(festival, CONFIG);
+
+    // Rebuild the ornaments with the festival's shapes, in the same array so
+    // hand tracking and other holders keep a valid reference
+    removeOrnaments(scene, ornaments);
+    const next = createOrnaments(scene, CONFIG, randomStream('ornaments'));
+    ornaments.splice(0, ornaments.length, ...next);
+
+    // New ornaments start scattered; when gathered they fly into the festival's shape
+    applyFormation(festival.formation, ornaments, topStar, garlands, CONFIG);
+    CONFIG.formation = festival.formation;
+    document.getElementById('formationSelect').value = festival.formation;
+    transitionState(isGathered.value, ornaments, topStar, garlands, starLight, CONFIG, animationState);
+
+    applyTheme(festival.theme, getThemeTargets(), CONFIG.themeCrossfade);
+    CONFIG.theme = festival.theme;
+    document.getElementById('themeSelect').value = festival.theme;
+
+    setSnowStyle(snowParticles, festival.particles, PARTICLE_TEXTURES);
+    if (snowCover) {
+        knockOffSettledSnow(snowCover, CONFIG);
+    }
+
+    // Messages follow the ornament indices, which the new ornaments reuse
+    ornamentPicker.clear();
+    messageAssignment = assignMessages(messages, ornaments.length);
+}
+
+// ============================================
+// COUNTDOWN MODE
+// ============================================
+function setupCountdownControls() {
+    const select = document.getElementById('countdownSelect');
+    const zoneInput = document.getElementById('countdownZoneInput');
+    const previewBtn = document.getElementById('countdownPreviewBtn');
+
+    Object.keys(COUNTDOWN_PRESETS).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = COUNTDOWN_PRESETS[id].label;
+        select.appendChild(option);
+    });
+
+    // ?countdown=new-year starts a countdown, &countdownIn=75 previews it 75 seconds before zero
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('countdown')) {
+        CONFIG.countdown.enabled = true;
+        CONFIG.countdown.target = params.get('countdown');
+    }
+    if (params.has('countdownZone')) {
+        CONFIG.countdown.timeZone = params.get('countdownZone');
+    }
+
+    zoneInput.value = CONFIG.countdown.timeZone || '';
+    select.value = CONFIG.countdown.enabled ? CONFIG.countdown.target : 'off';
+    if (CONFIG.countdown.enabled) {
+        startCountdown(params.has('countdownIn') ? Number(params.get('countdownIn')) : null);
+    }
+
+    const restart = (leadSeconds = null) => {
+        if (select.value === 'off') {
+            stopCountdown();
+            return;
+        }
+        CONFIG.countdown.enabled = true;
+        CONFIG.countdown.target = select.value;
+        CONFIG.countdown.timeZone = zoneInput.value.trim() || null;
+        startCountdown(leadSeconds);
+    };
+
+    select.addEventListener('change', () => restart());
+    zoneInput.addEventListener('change', () => restart());
+    previewBtn.addEventListener('click', () => {
+        if (select.value === 'off') {
+            select.value = CONFIG.countdown.target;
+        }
+        restart(CONFIG.countdown.finalMinuteSeconds + 10);
+    });
+}
+
+/**
+ * Start the countdown, optionally on a shifted clock for previews
+ * @param {number|null} leadSeconds - Pretend the target is this many seconds away (null = real time)
+ */
+function startCountdown(leadSeconds = null) {
+    const { target, timeZone } = CONFIG.countdown;
+    let clock = createSystemClock();
+
+    try {
+        if (leadSeconds !== null) {
+            const epoch = resolveCountdownTarget(target, timeZone, Date.now()).epoch;
+            clock = createOffsetClock(epoch - leadSeconds * 1000 - Date.now());
+        }
+        countdown = createCountdown(CONFIG, clock);
+    } catch (error) {
+        // Unknown time zones throw a RangeError from Intl
+        console.error('Countdown error:', error);
+        alert(`Could not start the countdown: ${error.message}`);
+        stopCountdown();
+    }
+}
+
+function stopCountdown() {
+    CONFIG.countdown.enabled = false;
+    countdown = null;
+    setCountdownText(countdownText, '', CONFIG);
+}
+
+function updateCountdown(time, dt) {
+    let finale = false;
+    if (countdown) {
+        const status = countdown.update();
+        setCountdownText(countdownText, status.text, CONFIG);
+
+        if (status.phase !== status.previousPhase) {
+            // Final minute: make sure the tree is standing for the big moment
+            if (status.phase === 'final-minute' && !isGathered.value) {
+                toggleState();
+            }
+            if (status.phase === 'finale') {
+                fireworksTimer = 0;
+            }
+        }
+
+        finale = status.phase === 'finale';
+    }
+
+    // Finale or a celebration: keep launching rockets at irregular intervals
+    if (finale || celebrationTime > 0) {
+        celebrationTime = Math.max(celebrationTime - dt, 0);
+        fireworksTimer -= dt;
+        if (fireworksTimer <= 0) {
+            launchFirework(fireworks, CONFIG, fireworksRandom);
+            fireworksTimer = CONFIG.countdown.fireworks.launchInterval * (0.5 + fireworksRandom());
+        }
+    }
+
+    updateCountdownText(countdownText, topStar, time, CONFIG);
+    updateFireworks(fireworks, dt, CONFIG, fireworksRandom);
+}
+
+// ============================================
+// FORMATIONS
+// ============================================
+function setupFormationSelect() {
+    const select = document.getElementById('formationSelect');
+    refreshFormationSelect();
+    select.addEventListener('change', () => changeFormation(select.value));
+}
+
+function refreshFormationSelect() {
+    const select = document.getElementById('formationSelect');
+    select.innerHTML = '';
+
+    listFormations().forEach(formation => {
+        const option = document.createElement('option');
+        option.value = formation.id;
+        option.textContent = formation.label;
+        select.appendChild(option);
+    });
+    select.value = CONFIG.formation;
+}
+
+function setupTransitionStyleSelects() {
+    ['gather', 'scatter'].forEach(direction => {
+        const select = document.getElementById(`${direction}StyleSelect`);
+
+        listTransitionStyles().forEach(style => {
+            const option = document.createElement('option');
+            option.value = style.id;
+            option.textContent = style.label;
+            select.appendChild(option);
+        });
+        select.value = CONFIG.transitionStyle[direction];
+
+        select.addEventListener('change', () => {
+            CONFIG.transitionStyle[direction] = select.value;
+        });
+    });
+}
+
+function changeFormation(id) {
+    applyFormation(id, ornaments, topStar, garlands, CONFIG);
+    CONFIG.formation = id;
+    document.getElementById('formationSelect').value = id;
+
+    // Morph straight away when gathered; otherwise the next gather uses the new targets
+    if (isGathered.value) {
+        stopTransition(animationState);
+        const timeline = morphToFormation(ornaments, topStar, garlands, CONFIG);
+        timeline.to(animationState, { progress: 1, duration: CONFIG.animationDuration }, 0);
+        runTransition(animationState, timeline);
+    }
+}
+
+// ============================================
+// TEXT & LOGO FORMATIONS
+// ============================================
+function setupTextFormation() {
+    const textInput = document.getElementById('textInput');
+    const logoInput = document.getElementById('logoInput');
+    const colorsCheckbox = document.getElementById('logoColorsCheckbox');
+    colorsCheckbox.checked = CONFIG.textFormation.useImageColors;
+
+    const spell = () => {
+        const text = textInput.value.trim();
+        if (!text) return;
+        showSampledFormation('text', `✏️ ${text}`, renderTextCanvas(text, CONFIG.textFormation), false);
+    };
+    document.getElementById('spellBtn').addEventListener('click', spell);
+    textInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') spell();
+    });
+
+    logoInput.addEventListener('change', async () => {
+        const file = logoInput.files[0];
+        if (!file) return;
+        try {
+            const image = await loadImageFile(file);
+            const canvas = renderImageCanvas(image, CONFIG.textFormation.maxImageSize);
+            CONFIG.textFormation.useImageColors = colorsCheckbox.checked;
+            showSampledFormation('logo', `🖼️ ${file.name}`, canvas, colorsCheckbox.checked);
+        } catch (error) {
+            console.error('Logo formation error:', error);
+            alert(error.message);
+        }
+        logoInput.value = '';
+    });
+}
+
+function showSampledFormation(id, label, canvas, useColors) {
+    registerFormation({
+        id,
+        label,
+        matchNearest: true,
+        useColors,
+        generate: (count, config, ornamentList, rng) => sampleCanvasPoints(canvas, count, config, rng)
+    });
+
+    try {
+        changeFormation(id);
+    } catch (error) {
+        console.error('Formation error:', error);
+        alert(error.message);
+        return;
+    }
+    refreshFormationSelect();
+
+    if (!isGathered.value) {
+        toggleState();
+    }
+}
+
+// ============================================
+// SEED & SHARE LINK
+// ============================================
+function readSeedFromUrl() {
+    return new URLSearchParams(window.location.search).get('seed');
+}
+
+function buildSeedUrl(seed) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    url.searchParams.set('theme', CONFIG.theme);
+    url.searchParams.set('festival', CONFIG.festival);
+    return url.toString();
+}
+
+function setupSeedControls() {
+    const seedInput = document.getElementById('seedInput');
+    const copyBtn = document.getElementById('copyLinkBtn');
+    seedInput.value = getSeed();
+
+    // A new seed rebuilds every generator, so reload with it in the URL
+    const loadSeed = (seed) => {
+        window.location.href = buildSeedUrl(seed);
+    };
+    seedInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && seedInput.value.trim()) loadSeed(seedInput.value.trim());
+    });
+    document.getElementById('newSeedBtn').addEventListener('click', () => loadSeed(generateSeed()));
+
+    copyBtn.addEventListener('click', async () => {
+        const url = buildSeedUrl(getSeed());
+        try {
+            await navigator.clipboard.writeText(url);
+            copyBtn.textContent = '✅ Copied';
+        } catch (error) {
+            // Clipboard API unavailable (e.g. insecure context): let the user copy manually
+            window.prompt('Copy this link:', url);
+        }
+        setTimeout(() => {
+            copyBtn.textContent = '🔗 Copy link';
+        }, 1500);
+    });
+}
+
+// ============================================
+// SAVE & LOAD SCENES
+// ============================================
+function getSceneDocument() {
+    return serializeScene({
+        CONFIG,
+        seed: getSeed(),
+        theme: CONFIG.theme,
+        festival: CONFIG.festival,
+        formation: CONFIG.formation,
+        gathered: isGathered.value,
+        ornaments,
+        skyMaterial,
+        camera,
+        controls
+    });
+}
+
+function loadScene(doc) {
+    // Rebuild everything through the normal startup path with the scene's seed
+    try {
+        setPendingScene(doc);
+    } catch (error) {
+        // Storage full (large ornament layouts) or unavailable: stay on the current scene
+        showSceneError(error);
+        return;
+    }
+    const url = buildSeedUrl(doc.seed);
+    if (url === window.location.href) {
+        window.location.reload();
+    } else {
+        window.location.assign(url);
+    }
+}
+
+function restoreScene(doc) {
+    // Shapes that only exist at runtime (text, logos) come back from their saved targets
+    if (!hasFormation(doc.formation)) {
+        registerFormation({
+            id: doc.formation,
+            label: '💾 Saved shape',
+            generate: () => doc.ornaments.map(item => new THREE.Vector3(...item.target))
+        });
+    }
+    applyFormation(doc.formation, ornaments, topStar, garlands, CONFIG);
+    restoreOrnamentState(doc, ornaments);
+    applySceneView(doc, skyMaterial, camera, controls);
+
+    if (doc.gathered) {
+        isGathered.value = true;
+        animationState.progress = 1;
+        updateButtonState(true);
+        topStar.position.y = topStar.userData.formationY;
+        setGarlandsShown(garlands, garlands.userData.formationVisible ? 1 : 0);
+        starLight.color.copy(starLight.userData.gatheredColor);
+    } else {
+        topStar.position.y = topStar.userData.scatterY;
+        starLight.color.copy(starLight.userData.scatteredColor);
+    }
+}
+
+function showSceneError(error, summary = 'Could not load scene.') {
+    console.error('Scene file error:', error);
+    alert(`${summary}\n${error.message}`);
+}
+
+function setupSceneControls() {
+    const fileInput = document.getElementById('sceneFileInput');
+    const slotSelect = document.getElementById('sceneSlotSelect');
+
+    const refreshSlots = () => {
+        const selected = slotSelect.value || '1';
+        slotSelect.innerHTML = '';
+        [1, 2, 3].forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot;
+            option.textContent = describeSceneSlot(slot);
+            slotSelect.appendChild(option);
+        });
+        slotSelect.value = selected;
+    };
+    refreshSlots();
+
+    document.getElementById('exportSceneBtn').addEventListener('click', () => {
+        downloadScene(getSceneDocument());
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            loadScene(await readSceneFile(file));
+        } catch (error) {
+            showSceneError(error);
+        }
+    });
+
+    document.getElementById('saveSlotBtn').addEventListener('click', () => {
+        try {
+            saveSceneSlot(Number(slotSelect.value), getSceneDocument());
+        } catch (error) {
+            showSceneError(error, 'Could not save scene (browser storage is full or unavailable).');
+        }
+        refreshSlots();
+    });
+
+    document.getElementById('loadSlotBtn').addEventListener('click', () => {
+        try {
+            const doc = loadSceneSlot(Number(slotSelect.value));
+            if (doc) loadScene(doc);
+        } catch (error) {
+            showSceneError(error);
+        }
+    });
+
+    enableSceneDrop(document.body, loadScene, showSceneError);
+}
+
+// ============================================
+// ORNAMENT MESSAGES
+// ============================================
+function setMessages(next) {
+    messages = next;
+    messageAssignment = assignMessages(messages, ornaments.length);
+    document.getElementById('messageCount').textContent = messages.length === 1
+        ? '1 ornament carries a message'
+        : `${messages.length} ornaments carry a message`;
+}
+
+function onSceneClick(position) {
+    // A click on an ornament opens its message, anywhere else it sets off a snow burst
+    if (ornamentPicker.hovered) {
+        showMessageCard(messageAssignment.get(ornamentPicker.hovered.userData.index));
+    } else if (CONFIG.pointerField.enabled) {
+        createSnowWave(snowParticles, position, CONFIG);
+    }
+}
+
+function setupMessageControls() {
+    const fileInput = document.getElementById('messageFileInput');
+    ornamentPicker = createOrnamentPicker(renderer.domElement, document.getElementById('ornament-tooltip'), CONFIG);
+    setMessages(loadStoredMessages());
+
+    document.getElementById('editMessagesBtn').addEventListener('click', () => {
+        // Saved first: when storage fails the editor stays open with the error
+        openMessageEditor(messages, (edited) => {
+            saveStoredMessages(edited, getSeed());
+            setMessages(edited);
+        });
+    });
+
+    document.getElementById('exportMessagesBtn').addEventListener('click', () => {
+        downloadMessages(messages);
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const imported = await readMessageFile(file);
+            saveStoredMessages(imported, getSeed());
+            setMessages(imported);
+        } catch (error) {
+            console.error('Message file error:', error);
+            alert(`Could not load messages.\n${error.message}`);
+        }
+    });
+
+    document.getElementById('messageCardClose').addEventListener('click', hideMessageCard);
+    document.getElementById('message-card').addEventListener('click', (event) => {
+        if (event.target === event.currentTarget) hideMessageCard();
+    });
 }
 
 // ============================================
@@ -144,6 +1014,8 @@ function animate() {
     requestAnimationFrame(animate);
 
     const time = Date.now() * 0.001;
+    const dt = lastFrameTime === null ? 0 : Math.min(time - lastFrameTime, 0.1); // Capped after background tabs
+    lastFrameTime = time;
 
     // Update sky dome aurora animation
     if (skyMaterial) {
@@ -155,38 +1027,73 @@ function animate() {
         twinklingStars.material.uniforms.uTime.value = time;
     }
 
+    // Music drives glow, light pattern speed, twinkle and aurora
+    updateAudioReactive(time);
+
+    // Countdown text, auto-gather, fireworks finale and celebrations
+    updateCountdown(time, dt);
+
     // Shooting stars spawn
     shootingStarTimer += 0.016; // ~60fps
-    const nextShootingStarTime = 3 + Math.random() * 3; // 3-6 seconds
+    const nextShootingStarTime = 3 + shootingStarRandom() * 3; // 3-6 seconds
     if (shootingStarTimer > nextShootingStarTime) {
-        createShootingStar(scene, shootingStars);
+        createShootingStar(scene, shootingStars, shootingStarRandom);
         shootingStarTimer = 0;
     }
 
+    // Wind, snowfall and cloud cover
+    weather.update(dt);
+
+    // Pointer projected into the scene (pushes and swirls snow and star dust)
+    updatePointerField(dt, camera, CONFIG);
+
     // Update cloud layer
-    updateCloudLayer(cloudLayer);
+    updateCloudLayer(cloudLayer, weather.state, dt, CONFIG.weather.cloudDrift);
 
     // Update snow system
     updateSnowSystem(
         snowParticles, 
-        snowVelocities, 
-        CONFIG.snowCount, 
+        dt, 
         handTrackingState.detected, 
         handTrackingState.position, 
-        CONFIG
+        CONFIG,
+        snowCover,
+        weather.state,
+        pointerState
     );
 
+    // Snow collecting on the ground and on the gathered tree
+    if (snowCover) {
+        updateSnowCover(snowCover, dt, {
+            ornaments,
+            gathered: animationState.progress >= 1 && !animationState.animating,
+            cone: CONFIG.formation === 'tree'
+        }, CONFIG);
+    }
+
     // Rotate ornaments
     updateOrnaments(ornaments);
 
     // Animate top star
     updateStar(topStar, time);
 
-    // Animate star dust (subtle movement)
-    updateStarDust(starDust, time);
+    // Animate star dust (subtle movement, blown by the wind)
+    updateStarDust(starDust, time, weather.state, pointerState, CONFIG);
+
+    // Garlands lean with the wind
+    swayGarlands(garlands, weather.state.wind, CONFIG);
 
-    // Update spiral ribbon animation
-    updateSpiralRibbon(spiralRibbon, time, CONFIG);
+    // Light patterns on the garlands and ornaments
+    lightShow.update(dt, { garlands, ornaments });
+
+    // Ornaments with a message light up under the pointer
+    ornamentPicker.update(ornaments, messageAssignment, camera, pointerState);
+
+    // Keep the progress slider in step with animations (unless the user is dragging it)
+    const progressSlider = document.getElementById('progressSlider');
+    if (document.activeElement !== progressSlider) {
+        progressSlider.value = animationState.progress;
+    }
 
     // Update controls
     controls.update();
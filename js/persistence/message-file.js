@@ -0,0 +1,166 @@
+/**
+ * @file message-file.js
+ * @description Versioned ornament message file format: serialize, validate and
+ * assign messages to ornaments
+ * @dependencies random.js
+ */
+
+import { hashString } from '../utils/random.js';
+
+/** Identifier stored in every message file */
+export const MESSAGE_FORMAT = 'magic-christmas-tree-messages';
+
+/** Current message file version */
+export const MESSAGE_VERSION = 1;
+
+// Longest message text accepted from a file
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Error raised for invalid or unsupported message files
+ */
+export class MessageFileError extends Error {
+    /**
+     * @param {string} message - Summary message
+     * @param {Array<string>} [errors=[]] - Individual problems found
+     */
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}\n- ${errors.join('\n- ')}` : message);
+        this.name = 'MessageFileError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Build a message document
+ * @param {Array<Object>} messages - Messages ({ id, author, message, photo?, ornament? })
+ * @param {string|null} [seed=null] - Seed of the tree the messages hang on (ornament indices
+ *     point at other ornaments on a tree built from another seed)
+ * @returns {Object} Message document, ready for JSON.stringify
+ */
+export function serializeMessages(messages, seed = null) {
+    const doc = {
+        format: MESSAGE_FORMAT,
+        version: MESSAGE_VERSION,
+        savedAt: new Date().toISOString(),
+        messages: messages.map(item => {
+            const entry = { id: item.id, author: item.author, message: item.message };
+            if (item.photo) entry.photo = item.photo;
+            if (item.ornament !== undefined && item.ornament !== null) entry.ornament = item.ornament;
+            return entry;
+        })
+    };
+    if (seed) doc.seed = seed;
+    return doc;
+}
+
+/**
+ * Check a message document
+ * @param {Object} doc - Parsed document
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateMessageDocument(doc) {
+    const errors = [];
+
+    if (doc.seed !== undefined && (typeof doc.seed !== 'string' || doc.seed.length === 0)) {
+        errors.push('seed must be a non-empty string');
+    }
+
+    if (!Array.isArray(doc.messages)) {
+        errors.push('messages must be a list');
+        return errors;
+    }
+
+    const ids = new Set();
+    doc.messages.forEach((item, i) => {
+        if (item === null || typeof item !== 'object') {
+            errors.push(`messages[${i}] must be an object`);
+            return;
+        }
+        if (typeof item.id !== 'string' || item.id.length === 0) {
+            errors.push(`messages[${i}].id must be a non-empty string`);
+        } else if (ids.has(item.id)) {
+            errors.push(`messages[${i}].id "${item.id}" is used twice`);
+        } else {
+            ids.add(item.id);
+        }
+        if (typeof item.author !== 'string') {
+            errors.push(`messages[${i}].author must be a string`);
+        }
+        if (typeof item.message !== 'string' || item.message.length > MAX_MESSAGE_LENGTH) {
+            errors.push(`messages[${i}].message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`);
+        }
+        if (item.photo !== undefined && typeof item.photo !== 'string') {
+            errors.push(`messages[${i}].photo must be an image URL`);
+        }
+        if (item.ornament !== undefined && !(Number.isInteger(item.ornament) && item.ornament >= 0)) {
+            errors.push(`messages[${i}].ornament must be an ornament index (0 or more)`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Parse and validate message file text
+ * @param {string} text - File contents
+ * @returns {Object} Valid message document
+ * @throws {MessageFileError} When the file is not a usable message file
+ */
+export function parseMessageDocument(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (error) {
+        throw new MessageFileError(`Message file is not valid JSON (${error.message})`);
+    }
+
+    if (doc === null || typeof doc !== 'object' || doc.format !== MESSAGE_FORMAT) {
+        throw new MessageFileError('This is not a Magic Christmas Tree message file');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new MessageFileError('Message file has no valid version number');
+    }
+    if (doc.version > MESSAGE_VERSION) {
+        throw new MessageFileError(`Message file version ${doc.version} was saved by a newer version of the app (this one reads up to ${MESSAGE_VERSION})`);
+    }
+
+    const errors = validateMessageDocument(doc);
+    if (errors.length > 0) {
+        throw new MessageFileError('Message file is invalid:', errors);
+    }
+    return doc;
+}
+
+/**
+ * Attach messages to ornaments. A message keeps its ornament across reloads:
+ * it takes the ornament index it names, otherwise one picked from a hash of its id
+ * (the next free one when two messages land on the same ornament).
+ * @param {Array<Object>} messages - Messages
+ * @param {number} ornamentCount - Number of ornaments on the tree
+ * @returns {Map<number, Object>} Message by ornament index
+ */
+export function assignMessages(messages, ornamentCount) {
+    const assigned = new Map();
+    if (ornamentCount === 0) return assigned;
+
+    // Named ornaments first, so hashed messages never take them
+    const unplaced = [];
+    messages.forEach(item => {
+        const wanted = item.ornament;
+        if (Number.isInteger(wanted) && wanted < ornamentCount && !assigned.has(wanted)) {
+            assigned.set(wanted, item);
+        } else {
+            unplaced.push(item);
+        }
+    });
+
+    unplaced.forEach(item => {
+        if (assigned.size >= ornamentCount) return;
+        let index = hashString(item.id) % ornamentCount;
+        while (assigned.has(index)) {
+            index = (index + 1) % ornamentCount;
+        }
+        assigned.set(index, item);
+    });
+    return assigned;
+}
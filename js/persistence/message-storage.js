@@ -0,0 +1,74 @@
+/**
+ * @file message-storage.js
+ * @description Ornament message file download/upload and the copy kept in localStorage
+ * @dependencies message-file.js, download.js
+ */
+
+import { parseMessageDocument, serializeMessages } from './message-file.js';
+import { downloadJson } from '../utils/download.js';
+
+// localStorage key for the saved messages
+const MESSAGES_KEY = 'magic-tree:messages';
+
+/**
+ * Download messages as a .json file
+ * @param {Array<Object>} messages - Messages
+ * @param {string} [filename] - File name
+ */
+export function downloadMessages(messages, filename = 'christmas-tree-messages.json') {
+    downloadJson(serializeMessages(messages), filename, 2);
+}
+
+/**
+ * Read and validate a message file chosen by the user
+ * @param {File} file - Message file
+ * @returns {Promise<Array<Object>>} Messages
+ * @throws {MessageFileError} When the file is not a usable message file
+ */
+export async function readMessageFile(file) {
+    const text = await file.text();
+    return parseMessageDocument(text).messages;
+}
+
+/**
+ * Keep messages in localStorage, with the seed of the tree they hang on
+ * @param {Array<Object>} messages - Messages
+ * @param {string} seed - Current scene seed (only kept while there are messages)
+ * @throws {DOMException} When storage is full or unavailable (QuotaExceededError)
+ */
+export function saveStoredMessages(messages, seed) {
+    const doc = serializeMessages(messages, messages.length > 0 ? seed : null);
+    localStorage.setItem(MESSAGES_KEY, JSON.stringify(doc));
+}
+
+/**
+ * Load the messages kept in localStorage
+ * @returns {Array<Object>} Messages (empty when none are stored or they are unreadable)
+ */
+export function loadStoredMessages() {
+    const text = localStorage.getItem(MESSAGES_KEY);
+    if (text === null) return [];
+
+    try {
+        return parseMessageDocument(text).messages;
+    } catch (error) {
+        console.error('Stored messages could not be loaded:', error);
+        return [];
+    }
+}
+
+/**
+ * Seed of the tree the stored messages hang on
+ * @returns {string|null} Seed (null when no messages, or no seed, are stored)
+ */
+export function loadStoredMessageSeed() {
+    const text = localStorage.getItem(MESSAGES_KEY);
+    if (text === null) return null;
+
+    try {
+        return parseMessageDocument(text).seed ?? null;
+    } catch (error) {
+        // Reported by loadStoredMessages
+        return null;
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * @file scene-file.js
+ * @description Versioned scene file format: serialize, migrate and validate
+ * @dependencies ornaments.js
+ */
+
+import { getOrnamentShapes, setOrnamentColor } from '../entities/ornaments.js';
+
+/** Identifier stored in every scene file */
+export const SCENE_FORMAT = 'magic-christmas-tree-scene';
+
+/** Current scene file version */
+export const SCENE_VERSION = 2;
+
+// Largest ornament layout accepted from a file
+const MAX_ORNAMENTS = 50000;
+
+// CONFIG keys captured in scene files (all numeric unless listed in STRING_CONFIG_KEYS)
+const CONFIG_KEYS = [
+    'ornamentCount', 'starDustCount', 'spiralDotCount', 'snowCount',
+    'treeHeight', 'treeBaseRadius', 'scatterRadius',
+    'animationDuration', 'animationEase', 'animationStagger', 'animationMaxStagger',
+    'snowInteractionRadius', 'snowWaveRadius', 'snowSpiralRadius'
+];
+const STRING_CONFIG_KEYS = ['animationEase'];
+
+// Sky dome uniforms captured in scene files
+const SKY_UNIFORMS = {
+    auroraColor1: 'uAuroraColor1',
+    auroraColor2: 'uAuroraColor2',
+    auroraColor3: 'uAuroraColor3',
+    skyColorBottom: 'uSkyColorBottom',
+    skyColorTop: 'uSkyColorTop'
+};
+
+/**
+ * Upgrades from older versions, keyed by the version they upgrade from.
+ * Each function receives a document of that version and returns the next version.
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {
+    // Version 1 saved CONFIG.colors as a palette, which themes never change; the theme id holds the colors
+    1: ({ palette, ...doc }) => ({ ...doc, version: 2 })
+};
+
+/**
+ * Error raised for invalid or unsupported scene files
+ */
+export class SceneFileError extends Error {
+    /**
+     * @param {string} message - Summary message
+     * @param {Array<string>} [errors=[]] - Individual problems found
+     */
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}\n- ${errors.join('\n- ')}` : message);
+        this.name = 'SceneFileError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Round a number to keep files compact
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Convert a vector-like object to a rounded [x, y, z] array
+ * @param {{x: number, y: number, z: number}} v - Vector
+ * @returns {Array<number>} Array form
+ */
+function toArray(v) {
+    return [round(v.x), round(v.y), round(v.z)];
+}
+
+/**
+ * Format a color number as #RRGGBB
+ * @param {number} color - Color as 0xRRGGBB
+ * @returns {string} Hex string
+ */
+function toHex(color) {
+    return '#' + color.toString(16).padStart(6, '0').toUpperCase();
+}
+
+/**
+ * Parse a #RRGGBB string into a color number
+ * @param {string} hex - Hex string
+ * @returns {number} Color as 0xRRGGBB
+ */
+export function parseHex(hex) {
+    return parseInt(hex.slice(1), 16);
+}
+
+/**
+ * Build a scene document from the running application
+ * @param {Object} state - Application state
+ * @param {Object} state.CONFIG - Configuration object
+ * @param {string} state.seed - Scene seed
+ * @param {string} state.theme - Active theme id
+ * @param {string} state.festival - Active festival id
+ * @param {string} state.formation - Active formation id
+ * @param {boolean} state.gathered - Whether ornaments are gathered
+ * @param {Array<Object>} state.ornaments - Ornament records
+ * @param {THREE.ShaderMaterial} state.skyMaterial - Sky dome material
+ * @param {THREE.Camera} state.camera - Camera
+ * @param {THREE.OrbitControls} state.controls - Orbit controls
+ * @returns {Object} Scene document
+ */
+export function serializeScene(state) {
+    const { CONFIG } = state;
+
+    const config = {};
+    CONFIG_KEYS.forEach(key => {
+        config[key] = CONFIG[key];
+    });
+
+    const sky = {};
+    Object.keys(SKY_UNIFORMS).forEach(key => {
+        const value = state.skyMaterial.uniforms[SKY_UNIFORMS[key]].value;
+        sky[key] = [round(value.x), round(value.y), round(value.z)];
+    });
+
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        savedAt: new Date().toISOString(),
+        seed: state.seed,
+        theme: state.theme,
+        festival: state.festival,
+        config,
+        formation: state.formation,
+        gathered: state.gathered,
+        ornaments: state.ornaments.map(ornament => {
+            const data = ornament.userData;
+            const item = {
+                shape: data.shape,
+                size: round(data.size),
+                color: toHex(data.paletteColor),
+                paletteIndex: data.paletteIndex,
+                tree: toArray(data.treePosition),
+                scatter: toArray(data.scatterPosition),
+                target: toArray(data.formationPosition)
+            };
+            // Only formations that recolor ornaments (e.g. logos) need the extra color
+            if (data.color !== data.paletteColor) {
+                item.displayColor = toHex(data.color);
+            }
+            return item;
+        }),
+        sky,
+        camera: {
+            position: toArray(state.camera.position),
+            target: toArray(state.controls.target)
+        }
+    };
+}
+
+/**
+ * Upgrade a document from an older version to the current one
+ * @param {Object} doc - Parsed scene document
+ * @returns {Object} Document at SCENE_VERSION
+ */
+function migrate(doc) {
+    let current = doc;
+    while (current.version < SCENE_VERSION) {
+        const upgrade = MIGRATIONS[current.version];
+        if (!upgrade) {
+            throw new SceneFileError(`Scene file version ${current.version} is no longer supported`);
+        }
+        current = upgrade(current);
+    }
+    return current;
+}
+
+/**
+ * Check a scene document for structural problems
+ * @param {Object} doc - Scene document at SCENE_VERSION
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateSceneDocument(doc) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+    const isHex = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (typeof doc.seed !== 'string' || doc.seed.length === 0) {
+        errors.push('seed must be a non-empty string');
+    }
+    if (typeof doc.formation !== 'string') {
+        errors.push('formation must be a string');
+    }
+    if (doc.theme !== undefined && typeof doc.theme !== 'string') {
+        errors.push('theme must be a string');
+    }
+    if (doc.festival !== undefined && typeof doc.festival !== 'string') {
+        errors.push('festival must be a string');
+    }
+    if (typeof doc.gathered !== 'boolean') {
+        errors.push('gathered must be true or false');
+    }
+
+    if (!isObject(doc.config)) {
+        errors.push('config must be an object');
+    } else {
+        CONFIG_KEYS.forEach(key => {
+            const value = doc.config[key];
+            const valid = STRING_CONFIG_KEYS.includes(key)
+                ? typeof value === 'string'
+                : isNumber(value) && value >= 0;
+            if (!valid) {
+                errors.push(`config.${key} is missing or invalid`);
+            }
+        });
+    }
+
+    if (!Array.isArray(doc.ornaments)) {
+        errors.push('ornaments must be an array');
+    } else if (doc.ornaments.length === 0 || doc.ornaments.length > MAX_ORNAMENTS) {
+        errors.push(`ornaments must contain between 1 and ${MAX_ORNAMENTS} entries`);
+    } else {
+        const shapes = getOrnamentShapes();
+        for (let i = 0; i < doc.ornaments.length && errors.length < 20; i++) {
+            const item = doc.ornaments[i];
+            const path = `ornaments[${i}]`;
+            if (!isObject(item)) {
+                errors.push(`${path} must be an object`);
+                continue;
+            }
+            if (!shapes.includes(item.shape)) errors.push(`${path}.shape must be one of: ${shapes.join(', ')}`);
+            if (!isNumber(item.size) || item.size <= 0) errors.push(`${path}.size must be a positive number`);
+            if (!isHex(item.color)) errors.push(`${path}.color must be a #RRGGBB color`);
+            const validIndex = item.paletteIndex === undefined || item.paletteIndex === null
+                || (Number.isInteger(item.paletteIndex) && item.paletteIndex >= 0);
+            if (!validIndex) errors.push(`${path}.paletteIndex must be a non-negative integer or null`);
+            if (item.displayColor !== undefined && !isHex(item.displayColor)) errors.push(`${path}.displayColor must be a #RRGGBB color`);
+            ['tree', 'scatter', 'target'].forEach(key => {
+                if (!isVector(item[key])) errors.push(`${path}.${key} must be [x, y, z]`);
+            });
+        }
+    }
+
+    if (!isObject(doc.sky)) {
+        errors.push('sky must be an object');
+    } else {
+        Object.keys(SKY_UNIFORMS).forEach(key => {
+            if (!isVector(doc.sky[key])) errors.push(`sky.${key} must be [r, g, b]`);
+        });
+    }
+
+    if (!isObject(doc.camera) || !isVector(doc.camera.position) || !isVector(doc.camera.target)) {
+        errors.push('camera must have position and target as [x, y, z]');
+    }
+
+    return errors;
+}
+
+/**
+ * Parse, upgrade and validate a scene file
+ * @param {string} text - File contents
+ * @returns {Object} Valid scene document at SCENE_VERSION
+ * @throws {SceneFileError} When the file cannot be used
+ */
+export function parseSceneDocument(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (error) {
+        throw new SceneFileError(`Scene file is not valid JSON (${error.message})`);
+    }
+
+    if (doc === null || typeof doc !== 'object' || doc.format !== SCENE_FORMAT) {
+        throw new SceneFileError('This is not a Magic Christmas Tree scene file');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new SceneFileError('Scene file has no valid version number');
+    }
+    if (doc.version > SCENE_VERSION) {
+        throw new SceneFileError(`Scene file version ${doc.version} was saved by a newer version of the app (this one reads up to ${SCENE_VERSION})`);
+    }
+
+    const upgraded = migrate(doc);
+    const errors = validateSceneDocument(upgraded);
+    if (errors.length > 0) {
+        throw new SceneFileError('Scene file is invalid:', errors);
+    }
+    return upgraded;
+}
+
+/**
+ * Copy a document's config, theme and festival into CONFIG
+ * @param {Object} doc - Valid scene document
+ * @param {Object} CONFIG - Configuration object
+ */
+export function applySceneConfig(doc, CONFIG) {
+    CONFIG_KEYS.forEach(key => {
+        CONFIG[key] = doc.config[key];
+    });
+    CONFIG.formation = doc.formation;
+    if (doc.theme !== undefined) {
+        CONFIG.theme = doc.theme;
+    }
+    if (doc.festival !== undefined) {
+        CONFIG.festival = doc.festival;
+    }
+}
+
+/**
+ * Convert a document's ornaments into a layout for createOrnaments
+ * @param {Object} doc - Valid scene document
+ * @returns {Array<Object>} Ornament descriptors
+ */
+export function getSceneLayout(doc) {
+    return doc.ornaments.map(item => ({
+        shape: item.shape,
+        size: item.size,
+        color: parseHex(item.color),
+        paletteIndex: item.paletteIndex ?? null,
+        treePosition: new THREE.Vector3(...item.tree)
+    }));
+}
+
+/**
+ * Restore per-ornament state not covered by the layout (scatter, target, display color)
+ * @param {Object} doc - Valid scene document
+ * @param {Array<Object>} ornaments - Ornament records created from getSceneLayout(doc)
+ */
+export function restoreOrnamentState(doc, ornaments) {
+    ornaments.forEach((ornament, i) => {
+        const item = doc.ornaments[i];
+        ornament.userData.scatterPosition = new THREE.Vector3(...item.scatter);
+        ornament.userData.formationPosition = new THREE.Vector3(...item.target);
+        ornament.position.copy(doc.gathered ? ornament.userData.formationPosition : ornament.userData.scatterPosition);
+        if (item.displayColor) {
+            setOrnamentColor(ornament, parseHex(item.displayColor));
+        }
+    });
+}
+
+/**
+ * Restore sky uniforms and camera pose
+ * @param {Object} doc - Valid scene document
+ * @param {THREE.ShaderMaterial} skyMaterial - Sky dome material
+ * @param {THREE.Camera} camera - Camera
+ * @param {THREE.OrbitControls} controls - Orbit controls
+ */
+export function applySceneView(doc, skyMaterial, camera, controls) {
+    Object.keys(SKY_UNIFORMS).forEach(key => {
+        skyMaterial.uniforms[SKY_UNIFORMS[key]].value.set(...doc.sky[key]);
+    });
+    camera.position.set(...doc.camera.position);
+    controls.target.set(...doc.camera.target);
+    controls.update();
+}
@@ -0,0 +1,127 @@
+/**
+ * @file scene-storage.js
+ * @description Scene file download/upload, drag-and-drop and localStorage slots
+ * @dependencies scene-file.js, download.js
+ */
+
+import { parseSceneDocument } from './scene-file.js';
+import { downloadJson } from '../utils/download.js';
+
+// localStorage key prefix for save slots
+const SLOT_PREFIX = 'magic-tree:slot:';
+
+// sessionStorage key for a scene waiting to be applied after reload
+const PENDING_KEY = 'magic-tree:pending-scene';
+
+/**
+ * Download a scene document as a .json file
+ * @param {Object} doc - Scene document
+ * @param {string} [filename] - File name
+ */
+export function downloadScene(doc, filename = `christmas-tree-${doc.seed}.json`) {
+    downloadJson(doc, filename);
+}
+
+/**
+ * Read and validate a scene file chosen or dropped by the user
+ * @param {File} file - Scene file
+ * @returns {Promise<Object>} Valid scene document
+ * @throws {SceneFileError} When the file is not a usable scene
+ */
+export async function readSceneFile(file) {
+    const text = await file.text();
+    return parseSceneDocument(text);
+}
+
+/**
+ * Save a scene document into a localStorage slot
+ * @param {number} slot - Slot number
+ * @param {Object} doc - Scene document
+ * @throws {DOMException} When storage is full or unavailable (QuotaExceededError)
+ */
+export function saveSceneSlot(slot, doc) {
+    localStorage.setItem(SLOT_PREFIX + slot, JSON.stringify(doc));
+}
+
+/**
+ * Load a scene document from a localStorage slot
+ * @param {number} slot - Slot number
+ * @returns {Object|null} Valid scene document, or null when the slot is empty
+ * @throws {SceneFileError} When the stored scene is no longer usable
+ */
+export function loadSceneSlot(slot) {
+    const text = localStorage.getItem(SLOT_PREFIX + slot);
+    return text === null ? null : parseSceneDocument(text);
+}
+
+/**
+ * Describe a slot for the UI
+ * @param {number} slot - Slot number
+ * @returns {string} Label such as "Slot 1 — 24/12 20:15" or "Slot 1 — empty"
+ */
+export function describeSceneSlot(slot) {
+    const text = localStorage.getItem(SLOT_PREFIX + slot);
+    if (text === null) return `Slot ${slot} — empty`;
+
+    try {
+        const savedAt = new Date(JSON.parse(text).savedAt);
+        return `Slot ${slot} — ${savedAt.toLocaleString([], { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`;
+    } catch (error) {
+        return `Slot ${slot} — unreadable`;
+    }
+}
+
+/**
+ * Keep a scene to apply on the next page load
+ * (loading rebuilds every entity, so it goes through the normal startup path)
+ * @param {Object} doc - Valid scene document
+ * @throws {DOMException} When storage is full or unavailable (QuotaExceededError)
+ */
+export function setPendingScene(doc) {
+    sessionStorage.setItem(PENDING_KEY, JSON.stringify(doc));
+}
+
+/**
+ * Take the scene waiting to be applied, if any
+ * @returns {Object|null} Valid scene document or null
+ */
+export function takePendingScene() {
+    const text = sessionStorage.getItem(PENDING_KEY);
+    if (text === null) return null;
+
+    sessionStorage.removeItem(PENDING_KEY);
+    try {
+        return parseSceneDocument(text);
+    } catch (error) {
+        console.error('Pending scene could not be applied:', error);
+        return null;
+    }
+}
+
+/**
+ * Accept scene files dropped anywhere on the page
+ * @param {HTMLElement} target - Element receiving drops
+ * @param {Function} onScene - Called with the valid scene document
+ * @param {Function} onError - Called with the error when a dropped file is invalid
+ */
+export function enableSceneDrop(target, onScene, onError) {
+    target.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        target.classList.add('drag-over');
+    });
+    target.addEventListener('dragleave', () => {
+        target.classList.remove('drag-over');
+    });
+    target.addEventListener('drop', async (event) => {
+        event.preventDefault();
+        target.classList.remove('drag-over');
+
+        const file = event.dataTransfer.files[0];
+        if (!file) return;
+        try {
+            onScene(await readSceneFile(file));
+        } catch (error) {
+            onError(error);
+        }
+    });
+}
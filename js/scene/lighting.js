@@ -19,6 +19,11 @@ export function setupLighting(scene, CONFIG) {
     const starLight = new THREE.PointLight(0xFFD700, 2, 50);
     starLight.position.set(0, CONFIG.treeHeight / 2 + 2, 0);
     starLight.castShadow = true;
+    starLight.userData = {
+        // Colors for the two states; gather/scatter tween between them and themes replace them
+        gatheredColor: new THREE.Color(0xFFD700),
+        scatteredColor: new THREE.Color(0xE1F5FE)
+    };
     scene.add(starLight);
 
     // Winter directional light (ice blue from 45 degree angle)
@@ -1,9 +1,11 @@
 /**
  * @file scene-setup.js
  * @description Three.js scene initialization and background setup
- * @dependencies None
+ * @dependencies random.js
  */
 
+import { random } from '../utils/random.js';
+
 /**
  * Create and configure Three.js scene with gradient background
  * @returns {THREE.Scene} Configured scene object
@@ -15,20 +17,32 @@ export function setupScene() {
     const canvas = document.createElement('canvas');
     canvas.width = 2;
     canvas.height = 256;
-    const ctx = canvas.getContext('2d');
-    const gradient = ctx.createLinearGradient(0, 0, 0, 256);
-    gradient.addColorStop(0, '#0A1628');
-    gradient.addColorStop(1, '#1B3A52');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, 2, 256);
-    const texture = new THREE.CanvasTexture(canvas);
-    scene.background = texture;
+    scene.background = new THREE.CanvasTexture(canvas);
+    paintBackground(scene, new THREE.Color(0x0A1628), new THREE.Color(0x1B3A52));
     
     scene.fog = new THREE.FogExp2(0x0A1628, 0.01);
     
     return scene;
 }
 
+/**
+ * Repaint the gradient background (used by theme crossfades)
+ * @param {THREE.Scene} scene - Scene created by setupScene
+ * @param {THREE.Color} top - Color at the top
+ * @param {THREE.Color} bottom - Color at the bottom
+ */
+export function paintBackground(scene, top, bottom) {
+    const canvas = scene.background.image;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, `#${top.getHexString()}`);
+    gradient.addColorStop(1, `#${bottom.getHexString()}`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    scene.background.needsUpdate = true;
+    scene.background.userData = { top: top.clone(), bottom: bottom.clone() };
+}
+
 /**
  * Create sky dome with aurora shader
  * @param {THREE.Scene} scene - Scene to add sky dome to
@@ -55,6 +69,8 @@ export function createSkyDome(scene) {
     // Fragment Shader
     const fragmentShader = `
         uniform float uTime;
+        uniform float uAuroraBrightness;
+        uniform float uAuroraStrength;
         uniform vec3 uAuroraColor1;
         uniform vec3 uAuroraColor2;
         uniform vec3 uAuroraColor3;
@@ -101,7 +117,7 @@ export function createSkyDome(scene) {
                 aurora *= 0.5 + verticalVariation * 0.5;
                 
                 // Blend aurora with sky
-                skyColor += aurora;
+                skyColor += aurora * uAuroraBrightness * uAuroraStrength;
             }
             
             gl_FragColor = vec4(skyColor, 1.0);
@@ -114,6 +130,8 @@ export function createSkyDome(scene) {
         fragmentShader: fragmentShader,
         uniforms: {
             uTime: { value: 0.0 },
+            uAuroraBrightness: { value: 1.0 }, // Raised by audio-reactive mode
+            uAuroraStrength: { value: 1.0 }, // Set by the theme (0 leaves only the gradient, whatever the music)
             uAuroraColor1: { value: new THREE.Vector3(0.0, 1.0, 0.53) },
             uAuroraColor2: { value: new THREE.Vector3(0.38, 0.94, 1.0) },
             uAuroraColor3: { value: new THREE.Vector3(1.0, 0.0, 1.0) },
@@ -134,9 +152,10 @@ export function createSkyDome(scene) {
 /**
  * Create twinkling stars on sky dome
  * @param {THREE.Scene} scene - Scene to add stars to
+ * @param {Function} [rng=random] - Random number generator
  * @returns {THREE.Points} Stars points object
  */
-export function createTwinklingStars(scene) {
+export function createTwinklingStars(scene, rng = random) {
     const starCount = 2000;
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(starCount * 3);
@@ -146,8 +165,8 @@ export function createTwinklingStars(scene) {
 
     for (let i = 0; i < starCount; i++) {
         // Random position on upper hemisphere of sphere (radius 149 to sit on sky dome)
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI * 0.5; // 0 to PI/2 for upper hemisphere
+        const theta = rng() * Math.PI * 2;
+        const phi = rng() * Math.PI * 0.5; // 0 to PI/2 for upper hemisphere
         const radius = 149;
         
         positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
@@ -155,17 +174,17 @@ export function createTwinklingStars(scene) {
         positions[i * 3 + 2] = radius * Math.sin(phi) * Math.sin(theta);
 
         // Random size with some prominent stars
-        if (Math.random() < 0.05) {
-            sizes[i] = 3.0 + Math.random() * 2.0; // Prominent stars
+        if (rng() < 0.05) {
+            sizes[i] = 3.0 + rng() * 2.0; // Prominent stars
         } else {
-            sizes[i] = 0.5 + Math.random() * 1.5; // Normal stars
+            sizes[i] = 0.5 + rng() * 1.5; // Normal stars
         }
 
         // Random phase for twinkle offset
-        phases[i] = Math.random() * Math.PI * 2;
+        phases[i] = rng() * Math.PI * 2;
 
         // 20% stars twinkle faster
-        speeds[i] = Math.random() < 0.2 ? 2.0 : 1.0;
+        speeds[i] = rng() < 0.2 ? 2.0 : 1.0;
     }
 
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -176,7 +195,8 @@ export function createTwinklingStars(scene) {
     const material = new THREE.ShaderMaterial({
         uniforms: {
             uTime: { value: 0.0 },
-            uColor: { value: new THREE.Vector3(1.0, 1.0, 1.0) }
+            uColor: { value: new THREE.Vector3(1.0, 1.0, 1.0) },
+            uIntensity: { value: 1.0 } // Raised by audio-reactive mode
         },
         vertexShader: `
             attribute float size;
@@ -196,6 +216,7 @@ export function createTwinklingStars(scene) {
         `,
         fragmentShader: `
             uniform vec3 uColor;
+            uniform float uIntensity;
             varying float vOpacity;
             
             void main() {
@@ -203,7 +224,7 @@ export function createTwinklingStars(scene) {
                 if (distance > 0.5) discard;
                 
                 float alpha = 1.0 - distance * 2.0;
-                gl_FragColor = vec4(uColor, alpha * vOpacity);
+                gl_FragColor = vec4(uColor, alpha * vOpacity * uIntensity);
             }
         `,
         transparent: true,
@@ -221,42 +242,44 @@ export function createTwinklingStars(scene) {
  * Create cloud layer
  * @param {THREE.Scene} scene - Scene to add clouds to
  * @param {Function} createCloudTexture - Function to create cloud texture
+ * @param {Function} [rng=random] - Random number generator
  * @returns {Array<THREE.Mesh>} Array of cloud meshes
  */
-export function createCloudLayer(scene, createCloudTexture) {
+export function createCloudLayer(scene, createCloudTexture, rng = random) {
     const cloudCount = 25;
     const cloudLayer = [];
 
     for (let i = 0; i < cloudCount; i++) {
         // Create cloud texture using canvas
-        const cloudTexture = createCloudTexture();
+        const cloudTexture = createCloudTexture(rng);
         
-        const geometry = new THREE.PlaneGeometry(8 + Math.random() * 4, 5 + Math.random() * 3);
+        const geometry = new THREE.PlaneGeometry(8 + rng() * 4, 5 + rng() * 3);
         const material = new THREE.MeshBasicMaterial({
             map: cloudTexture,
             transparent: true,
-            opacity: 0.1 + Math.random() * 0.1,
+            opacity: 0.1 + rng() * 0.1,
             depthWrite: false,
             blending: THREE.NormalBlending
         });
 
         const cloud = new THREE.Mesh(geometry, material);
+        cloud.userData.opacity = material.opacity; // Before weather changes the cloud cover
         
         // Random position
         cloud.position.set(
-            (Math.random() - 0.5) * 160,
-            30 + Math.random() * 10,
-            (Math.random() - 0.5) * 160
+            (rng() - 0.5) * 160,
+            30 + rng() * 10,
+            (rng() - 0.5) * 160
         );
 
         // Random rotation
-        cloud.rotation.z = Math.random() * Math.PI * 2;
+        cloud.rotation.z = rng() * Math.PI * 2;
 
         // Random drift velocity
         cloud.userData.velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.02,
+            (rng() - 0.5) * 0.02,
             0,
-            (Math.random() - 0.5) * 0.02
+            (rng() - 0.5) * 0.02
         );
 
         scene.add(cloud);
@@ -269,12 +292,20 @@ export function createCloudLayer(scene, createCloudTexture) {
 /**
  * Update cloud layer positions
  * @param {Array<THREE.Mesh>} cloudLayer - Array of cloud meshes
+ * @param {Object} [weather] - Weather state (see weather.js): clouds ride the wind and thicken with the cloud cover
+ * @param {number} [dt=0] - Seconds since the last frame
+ * @param {number} [cloudDrift=0.5] - Cloud speed per unit of wind speed
  */
-export function updateCloudLayer(cloudLayer) {
+export function updateCloudLayer(cloudLayer, weather = null, dt = 0, cloudDrift = 0.5) {
     cloudLayer.forEach(cloud => {
         // Drift
         cloud.position.x += cloud.userData.velocity.x;
         cloud.position.z += cloud.userData.velocity.z;
+        if (weather) {
+            cloud.position.x += weather.wind.x * cloudDrift * dt;
+            cloud.position.z += weather.wind.y * cloudDrift * dt;
+            cloud.material.opacity = Math.min(cloud.userData.opacity * weather.clouds, 1);
+        }
 
         // Wrap around boundaries
         const boundary = 80;
@@ -292,36 +323,37 @@ export function updateCloudLayer(cloudLayer) {
  * Create shooting star
  * @param {THREE.Scene} scene - Scene to add shooting star to
  * @param {Array<THREE.Mesh>} shootingStars - Array tracking active shooting stars
+ * @param {Function} [rng=random] - Random number generator
  */
-export function createShootingStar(scene, shootingStars) {
+export function createShootingStar(scene, shootingStars, rng = random) {
     if (shootingStars.length >= 3) return; // Max 3 at once
 
     // Random position on edge of view
-    const side = Math.floor(Math.random() * 4);
+    const side = Math.floor(rng() * 4);
     const startPos = new THREE.Vector3();
     const endPos = new THREE.Vector3();
 
     switch(side) {
         case 0: // Top
-            startPos.set((Math.random() - 0.5) * 100, 60, (Math.random() - 0.5) * 100);
+            startPos.set((rng() - 0.5) * 100, 60, (rng() - 0.5) * 100);
             endPos.set(startPos.x - 30, startPos.y - 40, startPos.z - 30);
             break;
         case 1: // Right
-            startPos.set(60, (Math.random() - 0.5) * 60 + 30, (Math.random() - 0.5) * 100);
+            startPos.set(60, (rng() - 0.5) * 60 + 30, (rng() - 0.5) * 100);
             endPos.set(startPos.x - 40, startPos.y - 30, startPos.z - 30);
             break;
         case 2: // Left
-            startPos.set(-60, (Math.random() - 0.5) * 60 + 30, (Math.random() - 0.5) * 100);
+            startPos.set(-60, (rng() - 0.5) * 60 + 30, (rng() - 0.5) * 100);
             endPos.set(startPos.x + 40, startPos.y - 30, startPos.z - 30);
             break;
         case 3: // Back
-            startPos.set((Math.random() - 0.5) * 100, (Math.random() - 0.5) * 60 + 40, 60);
+            startPos.set((rng() - 0.5) * 100, (rng() - 0.5) * 60 + 40, 60);
             endPos.set(startPos.x - 30, startPos.y - 30, startPos.z - 50);
             break;
     }
 
     // Create elongated geometry for shooting star
-    const length = 5 + Math.random() * 5;
+    const length = 5 + rng() * 5;
     const geometry = new THREE.CylinderGeometry(0.05, 0.15, length, 8);
     const material = new THREE.MeshBasicMaterial({
         color: 0xFFFFFF,
@@ -351,7 +383,7 @@ export function createShootingStar(scene, shootingStars) {
     scene.add(shootingStar);
 
     // Animate
-    const speed = 20 + Math.random() * 10;
+    const speed = 20 + rng() * 10;
     const duration = startPos.distanceTo(endPos) / speed;
 
     // Fade in
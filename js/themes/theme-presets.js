@@ -0,0 +1,104 @@
+/**
+ * @file theme-presets.js
+ * @description Built-in color themes for ornaments, sky, background and lights
+ * @dependencies None
+ */
+
+/**
+ * Built-in themes. Every theme sets the same fields:
+ * - palette: ornament colors by palette slot (ornaments keep their slot across themes)
+ * - accent: top star, star glow and garlands colored 'accent'
+ * - starLight: star light color when gathered and when scattered
+ * - lights: ambient, directional, the two side fill lights and the hemisphere light
+ * - background / fog / sky: gradient backdrop, fog and sky dome (with three aurora layers;
+ *   sky.auroraStrength scales them, default 1, and 0 leaves only the gradient)
+ * - stars, snow, dust: twinkling stars, snowflakes and star dust tint
+ * @type {Array<Object>}
+ */
+export const THEME_PRESETS = [
+    {
+        id: 'classic',
+        label: '🎄 Classic Red & Gold',
+        palette: [0xD42426, 0x1B5E20, 0xFFD700, 0x4E342E],
+        accent: 0xFFD700,
+        starLight: { gathered: 0xFFD700, scattered: 0xE1F5FE },
+        lights: { ambient: 0x506070, directional: 0xB3E5FC, left: 0xD42426, right: 0x1B5E20, hemisphereSky: 0xB3E5FC, hemisphereGround: 0x1B3A52 },
+        background: { top: 0x0A1628, bottom: 0x1B3A52 },
+        fog: 0x0A1628,
+        sky: { top: 0x050510, bottom: 0x0A1628, aurora: [0x00FF87, 0x61F0FF, 0xFF00FF] },
+        stars: 0xFFFFFF,
+        snow: 0xFFFFFF,
+        dust: 0xFFFFFF
+    },
+    {
+        id: 'frozen',
+        label: '❄️ Frozen Blue',
+        palette: [0x4FC3F7, 0xE1F5FE, 0x90CAF9, 0x78909C],
+        accent: 0xE0F7FA,
+        starLight: { gathered: 0xB3E5FC, scattered: 0xFFFFFF },
+        lights: { ambient: 0x5C7A99, directional: 0xE1F5FE, left: 0x4FC3F7, right: 0x80DEEA, hemisphereSky: 0xE1F5FE, hemisphereGround: 0x1A3A5C },
+        background: { top: 0x0B1E33, bottom: 0x2A5470 },
+        fog: 0x0B1E33,
+        sky: { top: 0x03101F, bottom: 0x0D2A45, aurora: [0x80DEEA, 0xB3E5FC, 0x7986CB] },
+        stars: 0xE1F5FE,
+        snow: 0xFFFFFF,
+        dust: 0xE1F5FE
+    },
+    {
+        id: 'neon',
+        label: '🌈 Neon',
+        palette: [0xFF00AA, 0x00FFF0, 0xB400FF, 0x39FF14],
+        accent: 0xFF40FF,
+        starLight: { gathered: 0xFF00AA, scattered: 0x00FFF0 },
+        lights: { ambient: 0x402060, directional: 0x00FFF0, left: 0xFF00AA, right: 0x39FF14, hemisphereSky: 0xB400FF, hemisphereGround: 0x100020 },
+        background: { top: 0x0A0014, bottom: 0x1E0638 },
+        fog: 0x0A0014,
+        sky: { top: 0x05000A, bottom: 0x140428, aurora: [0xFF00AA, 0x00FFF0, 0x39FF14] },
+        stars: 0xFFB3F0,
+        snow: 0xE0FFFF,
+        dust: 0xFF80FF
+    },
+    {
+        id: 'vintage',
+        label: '📜 Vintage',
+        palette: [0x9E2A2B, 0x335C3A, 0xC9A227, 0x7A4E2D],
+        accent: 0xE0B050,
+        starLight: { gathered: 0xFFC36B, scattered: 0xF3E5C8 },
+        lights: { ambient: 0x6B5A48, directional: 0xF3E5C8, left: 0xB5523B, right: 0x5E7C4F, hemisphereSky: 0xF3E5C8, hemisphereGround: 0x3B2A1E },
+        background: { top: 0x1E1712, bottom: 0x3B2E22 },
+        fog: 0x1E1712,
+        sky: { top: 0x0F0B08, bottom: 0x2A2018, aurora: [0xC9A227, 0xE0B050, 0x9E2A2B] },
+        stars: 0xFFF1D6,
+        snow: 0xFFF8E7,
+        dust: 0xFFE0A0
+    },
+    {
+        id: 'silver',
+        label: '🥈 Monochrome Silver',
+        palette: [0xC0C0C0, 0x8C8C8C, 0xE8E8E8, 0x5A5A5A],
+        accent: 0xF5F5F5,
+        starLight: { gathered: 0xFFFFFF, scattered: 0xCFD8DC },
+        lights: { ambient: 0x606060, directional: 0xFFFFFF, left: 0xB0B0B0, right: 0x909090, hemisphereSky: 0xE0E0E0, hemisphereGround: 0x202020 },
+        background: { top: 0x101010, bottom: 0x2A2A2A },
+        fog: 0x101010,
+        sky: { top: 0x050505, bottom: 0x151515, aurora: [0xBDBDBD, 0x9E9E9E, 0xE0E0E0] },
+        stars: 0xFFFFFF,
+        snow: 0xFFFFFF,
+        dust: 0xE0E0E0
+    },
+    {
+        id: 'tet',
+        label: '🧧 Tết Red & Blossom',
+        palette: [0xD71920, 0xFFC107, 0xFF8FB1, 0xFFD54F],
+        accent: 0xFFC107,
+        starLight: { gathered: 0xFFB300, scattered: 0xFFE0B2 },
+        lights: { ambient: 0x7A4A3A, directional: 0xFFE0B2, left: 0xD71920, right: 0xFFB300, hemisphereSky: 0xFFCC80, hemisphereGround: 0x4A1C14 },
+        background: { top: 0x2B0F1E, bottom: 0x8C3A1E },
+        fog: 0x2B0F1E,
+        // No northern lights over Tết: only the warm dusk gradient
+        sky: { top: 0x1A0814, bottom: 0x6B2418, aurora: [0xFF7043, 0xFFB300, 0xD71920], auroraStrength: 0 },
+        stars: 0xFFE9C4,
+        snow: 0xFFC1CC,
+        dust: 0xFFD180
+    }
+];
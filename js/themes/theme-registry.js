@@ -0,0 +1,247 @@
+/**
+ * @file theme-registry.js
+ * @description Registry of color themes and the crossfade that applies them
+ * @dependencies theme-presets.js, ornaments.js, scene-setup.js
+ */
+
+import { THEME_PRESETS } from './theme-presets.js';
+import { setOrnamentColor } from '../entities/ornaments.js';
+import { paintBackground } from '../scene/scene-setup.js';
+
+// Registered themes by id (insertion order is the UI order)
+const themes = new Map();
+
+// Crossfade in progress (a new theme takes over from wherever it is)
+let crossfade = null;
+
+/**
+ * Register a theme
+ * @param {Object} theme - Theme definition (see theme-presets.js for the fields)
+ */
+export function registerTheme(theme) {
+    if (!theme.id || !Array.isArray(theme.palette) || theme.palette.length === 0) {
+        throw new Error('Theme needs an id and a palette');
+    }
+    themes.set(theme.id, theme);
+}
+
+/**
+ * Get a registered theme
+ * @param {string} id - Theme id
+ * @returns {Object} Theme definition
+ */
+export function getTheme(id) {
+    const theme = themes.get(id);
+    if (!theme) {
+        throw new Error(`Unknown theme: ${id}`);
+    }
+    return theme;
+}
+
+/**
+ * Check whether a theme is registered
+ * @param {string} id - Theme id
+ * @returns {boolean} True if registered
+ */
+export function hasTheme(id) {
+    return themes.has(id);
+}
+
+/**
+ * List all registered themes
+ * @returns {Array<Object>} Theme definitions
+ */
+export function listThemes() {
+    return Array.from(themes.values());
+}
+
+/**
+ * Fade a THREE.Color property
+ * @param {THREE.Color} color - Color to change in place
+ * @param {THREE.Color|number} to - Final color
+ * @returns {Object} Channel with { from, to, apply }
+ */
+function colorChannel(color, to) {
+    return {
+        from: color.clone(),
+        to: new THREE.Color(to),
+        apply: (value) => color.copy(value)
+    };
+}
+
+/**
+ * Fade a vec3 shader uniform holding an RGB color
+ * @param {THREE.Vector3} vector - Uniform value to change in place
+ * @param {number} to - Final color
+ * @returns {Object} Channel with { from, to, apply }
+ */
+function vectorChannel(vector, to) {
+    return {
+        from: new THREE.Color(vector.x, vector.y, vector.z),
+        to: new THREE.Color(to),
+        apply: (value) => vector.set(value.r, value.g, value.b)
+    };
+}
+
+/**
+ * Fade a float shader uniform, carried in the red channel of the crossfade color
+ * @param {Object} uniform - Uniform to change in place
+ * @param {number} to - Final value
+ * @returns {Object} Channel with { from, to, apply }
+ */
+function numberChannel(uniform, to) {
+    return {
+        from: new THREE.Color(uniform.value, 0, 0),
+        to: new THREE.Color(to, 0, 0),
+        apply: (value) => {
+            uniform.value = value.r;
+        }
+    };
+}
+
+/**
+ * Apply a theme to every themed material, uniform and light.
+ * Ornaments keep their palette slot and take the new theme's color for it;
+ * ornaments showing a formation's own colors (e.g. a logo) only get the new
+ * palette color stored for later.
+ * @param {string} id - Theme id
+ * @param {Object} targets - Scene elements
+ * @param {THREE.Scene} targets.scene - Scene (gradient background and fog)
+ * @param {THREE.ShaderMaterial} targets.skyMaterial - Sky dome material
+ * @param {Object} targets.lights - Lights returned by setupLighting
+ * @param {Array<Object>} targets.ornaments - Ornament records
+ * @param {THREE.Mesh} targets.topStar - Top star mesh
+ * @param {THREE.Group} targets.garlands - Garlands (see garlands.js)
+ * @param {THREE.Points} targets.twinklingStars - Twinkling stars points
+ * @param {THREE.Points} targets.snowParticles - Snow points
+ * @param {Object|null} targets.snowCover - Snow cover (see snow-cover.js), null when disabled
+ * @param {THREE.Points} targets.starDust - Star dust points
+ * @param {number} targets.progress - Formation progress (0 scattered, 1 gathered) for the star light
+ * @param {number} [duration=0] - Crossfade time in seconds (0 applies instantly)
+ * @returns {Object} The applied theme
+ */
+export function applyTheme(id, targets, duration = 0) {
+    const theme = getTheme(id);
+    const { scene, skyMaterial, lights, ornaments, topStar, garlands, twinklingStars, snowParticles, snowCover, starDust } = targets;
+    const { starLight } = lights;
+    const sky = skyMaterial.uniforms;
+
+    if (crossfade) {
+        crossfade.interrupt();
+    }
+
+    const channels = [
+        colorChannel(lights.ambientLight.color, theme.lights.ambient),
+        colorChannel(lights.winterLight.color, theme.lights.directional),
+        colorChannel(lights.redLight.color, theme.lights.left),
+        colorChannel(lights.greenLight.color, theme.lights.right),
+        colorChannel(lights.hemiLight.color, theme.lights.hemisphereSky),
+        colorChannel(lights.hemiLight.groundColor, theme.lights.hemisphereGround),
+        colorChannel(starLight.userData.gatheredColor, theme.starLight.gathered),
+        colorChannel(starLight.userData.scatteredColor, theme.starLight.scattered),
+        colorChannel(starLight.color, new THREE.Color(theme.starLight.scattered)
+            .lerp(new THREE.Color(theme.starLight.gathered), targets.progress)),
+        colorChannel(scene.fog.color, theme.fog),
+        vectorChannel(sky.uSkyColorTop.value, theme.sky.top),
+        vectorChannel(sky.uSkyColorBottom.value, theme.sky.bottom),
+        vectorChannel(sky.uAuroraColor1.value, theme.sky.aurora[0]),
+        vectorChannel(sky.uAuroraColor2.value, theme.sky.aurora[1]),
+        vectorChannel(sky.uAuroraColor3.value, theme.sky.aurora[2]),
+        numberChannel(sky.uAuroraStrength, theme.sky.auroraStrength ?? 1),
+        vectorChannel(twinklingStars.material.uniforms.uColor.value, theme.stars),
+        colorChannel(snowParticles.material.color, theme.snow),
+        colorChannel(starDust.material.color, theme.dust),
+        colorChannel(topStar.material.color, theme.accent),
+        colorChannel(topStar.material.emissive, theme.accent)
+    ];
+    garlands.children
+        .filter(garland => garland.userData.settings.color === 'accent')
+        .forEach(garland => channels.push(colorChannel(garland.userData.color, theme.accent)));
+    topStar.children.forEach(glow => channels.push(colorChannel(glow.material.color, theme.accent)));
+    if (snowCover) {
+        channels.push(colorChannel(snowCover.ground.material.color, theme.snow));
+        channels.push(colorChannel(snowCover.settled.material.color, theme.snow));
+    }
+
+    // The background is a painted gradient, so fade its two stops and repaint
+    const backgroundTop = scene.background.userData.top.clone();
+    const backgroundBottom = scene.background.userData.bottom.clone();
+    channels.push(colorChannel(backgroundTop, theme.background.top));
+    channels.push(colorChannel(backgroundBottom, theme.background.bottom));
+
+    // Ornaments fade from their current color to their slot in the new palette
+    const recolored = [];
+    const meshes = new Set();
+    ornaments.forEach(ornament => {
+        const { paletteIndex, color, paletteColor } = ornament.userData;
+        if (paletteIndex === null) return;
+
+        const next = theme.palette[paletteIndex % theme.palette.length];
+        const showsPalette = color === paletteColor;
+        const entry = { ornament, next, showsPalette, current: new THREE.Color(color) };
+        recolored.push(entry);
+        if (showsPalette) {
+            meshes.add(ornament.mesh);
+            channels.push({
+                from: new THREE.Color(color),
+                to: new THREE.Color(next),
+                apply: (value) => {
+                    entry.current.copy(value);
+                    ornament.mesh.setColorAt(ornament.instanceId, value);
+                }
+            });
+        }
+    });
+
+    const mix = new THREE.Color();
+    const render = (t) => {
+        channels.forEach(channel => {
+            channel.apply(mix.lerpColors(channel.from, channel.to, t));
+        });
+        meshes.forEach(mesh => {
+            mesh.instanceColor.needsUpdate = true;
+        });
+        paintBackground(scene, backgroundTop, backgroundBottom);
+    };
+
+    const finish = () => {
+        render(1);
+        recolored.forEach(({ ornament, next, showsPalette }) => {
+            ornament.userData.paletteColor = next;
+            if (showsPalette) {
+                setOrnamentColor(ornament, next);
+            }
+        });
+        crossfade = null;
+    };
+
+    if (duration <= 0) {
+        finish();
+    } else {
+        const mixState = { t: 0 };
+        const tween = gsap.to(mixState, {
+            t: 1,
+            duration,
+            ease: 'power1.inOut',
+            onUpdate: () => render(mixState.t),
+            onComplete: finish
+        });
+        crossfade = {
+            // Stop halfway: ornaments keep their in-between color as their palette color
+            interrupt: () => {
+                tween.kill();
+                recolored.forEach(({ ornament, showsPalette, current }) => {
+                    if (showsPalette) {
+                        setOrnamentColor(ornament, current);
+                        ornament.userData.paletteColor = ornament.userData.color;
+                    }
+                });
+                crossfade = null;
+            }
+        };
+    }
+
+    return theme;
+}
+
+THEME_PRESETS.forEach(registerTheme);
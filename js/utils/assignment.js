@@ -0,0 +1,148 @@
+/**
+ * @file assignment.js
+ * @description Match moving points to target points with short travel distances
+ * @dependencies random.js
+ */
+
+import { random } from './random.js';
+
+/**
+ * Squared distance between two points
+ * @param {THREE.Vector3} a - First point
+ * @param {THREE.Vector3} b - Second point
+ * @returns {number} Squared distance
+ */
+function distanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Assign every source point to a distinct target point, keeping total travel short.
+ * Uses a greedy nearest-target search over a uniform grid followed by a few
+ * passes of pairwise swaps. The result is approximate (not the optimal
+ * assignment) but runs fast enough for tens of thousands of points.
+ * @param {Array<THREE.Vector3>} sources - Current positions
+ * @param {Array<THREE.Vector3>} targets - Target positions (same length as sources)
+ * @param {number} [swapPasses=2] - Number of random pair-swap refinement passes
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {Array<number>} For each source index, the index of its target
+ */
+export function assignNearest(sources, targets, swapPasses = 2, rng = random) {
+    const count = Math.min(sources.length, targets.length);
+    if (count === 0) return [];
+
+    // Build a uniform grid over the targets, ~2 targets per cell
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (let i = 0; i < count; i++) {
+        const t = targets[i];
+        min.x = Math.min(min.x, t.x); max.x = Math.max(max.x, t.x);
+        min.y = Math.min(min.y, t.y); max.y = Math.max(max.y, t.y);
+        min.z = Math.min(min.z, t.z); max.z = Math.max(max.z, t.z);
+    }
+    const extent = Math.max(max.x - min.x, max.y - min.y, max.z - min.z, 1e-6);
+    const cellSize = Math.max(extent / Math.cbrt(count / 2), 1e-6);
+    const dims = {
+        x: Math.floor((max.x - min.x) / cellSize) + 1,
+        y: Math.floor((max.y - min.y) / cellSize) + 1,
+        z: Math.floor((max.z - min.z) / cellSize) + 1
+    };
+
+    const cells = new Map();
+    const cellOf = (p) => ({
+        x: Math.min(dims.x - 1, Math.max(0, Math.floor((p.x - min.x) / cellSize))),
+        y: Math.min(dims.y - 1, Math.max(0, Math.floor((p.y - min.y) / cellSize))),
+        z: Math.min(dims.z - 1, Math.max(0, Math.floor((p.z - min.z) / cellSize)))
+    });
+    const keyOf = (x, y, z) => (x * dims.y + y) * dims.z + z;
+
+    for (let i = 0; i < count; i++) {
+        const c = cellOf(targets[i]);
+        const key = keyOf(c.x, c.y, c.z);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+    }
+
+    // Sources far from the target cloud pick first so they are not left with leftovers
+    const center = {
+        x: (min.x + max.x) / 2,
+        y: (min.y + max.y) / 2,
+        z: (min.z + max.z) / 2
+    };
+    const order = [];
+    for (let i = 0; i < count; i++) order.push(i);
+    order.sort((a, b) => distanceSq(sources[b], center) - distanceSq(sources[a], center));
+
+    const assignment = new Array(count);
+    const maxRing = Math.max(dims.x, dims.y, dims.z);
+
+    order.forEach(s => {
+        const source = sources[s];
+        const c = cellOf(source);
+        let best = -1;
+        let bestDist = Infinity;
+        let bestCell = null;
+
+        // Squared distance from the source to the grid bounds (non-zero for outside sources)
+        const outsideSq = distanceSq(source, {
+            x: Math.min(max.x, Math.max(min.x, source.x)),
+            y: Math.min(max.y, Math.max(min.y, source.y)),
+            z: Math.min(max.z, Math.max(min.z, source.z))
+        });
+
+        // Search shells of cells around the source until nothing closer can exist
+        for (let ring = 0; ring <= maxRing; ring++) {
+            const reach = Math.max(0, ring - 1) * cellSize;
+            if (best !== -1 && bestDist <= reach * reach + outsideSq) break;
+
+            const zMin = Math.max(0, c.z - ring);
+            const zMax = Math.min(dims.z - 1, c.z + ring);
+
+            for (let x = Math.max(0, c.x - ring); x <= Math.min(dims.x - 1, c.x + ring); x++) {
+                for (let y = Math.max(0, c.y - ring); y <= Math.min(dims.y - 1, c.y + ring); y++) {
+                    // Only visit the outer shell of this ring: inside it, just the two z caps
+                    const onShell = Math.abs(x - c.x) === ring || Math.abs(y - c.y) === ring;
+                    const zStep = onShell ? 1 : Math.max(1, 2 * ring);
+
+                    for (let z = onShell ? zMin : c.z - ring; z <= zMax; z += zStep) {
+                        if (z < zMin) continue;
+
+                        const cell = cells.get(keyOf(x, y, z));
+                        if (!cell) continue;
+                        cell.forEach(t => {
+                            const d = distanceSq(source, targets[t]);
+                            if (d < bestDist) {
+                                bestDist = d;
+                                best = t;
+                                bestCell = cell;
+                            }
+                        });
+                    }
+                }
+            }
+        }
+
+        assignment[s] = best;
+        bestCell.splice(bestCell.indexOf(best), 1);
+    });
+
+    // Refine with random pair swaps that shorten the combined travel
+    for (let pass = 0; pass < swapPasses; pass++) {
+        for (let k = 0; k < count; k++) {
+            const a = Math.floor(rng() * count);
+            const b = Math.floor(rng() * count);
+            const current = distanceSq(sources[a], targets[assignment[a]]) + distanceSq(sources[b], targets[assignment[b]]);
+            const swapped = distanceSq(sources[a], targets[assignment[b]]) + distanceSq(sources[b], targets[assignment[a]]);
+            if (swapped < current) {
+                const tmp = assignment[a];
+                assignment[a] = assignment[b];
+                assignment[b] = tmp;
+            }
+        }
+    }
+
+    return assignment;
+}
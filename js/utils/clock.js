@@ -0,0 +1,45 @@
+/**
+ * @file clock.js
+ * @description Injectable wall clocks, so time-based features can be previewed
+ * and tested without waiting for the real date
+ * @dependencies None
+ */
+
+/**
+ * Clock reading the system time
+ * @returns {Object} Clock with now() => epoch milliseconds
+ */
+export function createSystemClock() {
+    return {
+        now: () => Date.now()
+    };
+}
+
+/**
+ * Clock running at normal speed but shifted from the system time
+ * @param {number} offsetMs - Milliseconds added to the system time
+ * @returns {Object} Clock with now() => epoch milliseconds
+ */
+export function createOffsetClock(offsetMs) {
+    return {
+        now: () => Date.now() + offsetMs
+    };
+}
+
+/**
+ * Clock that only moves when told to
+ * @param {number} startMs - Initial epoch milliseconds
+ * @returns {Object} Clock with now(), set(ms) and advance(ms)
+ */
+export function createManualClock(startMs) {
+    let current = startMs;
+    return {
+        now: () => current,
+        set: (ms) => {
+            current = ms;
+        },
+        advance: (ms) => {
+            current += ms;
+        }
+    };
+}
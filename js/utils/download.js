@@ -0,0 +1,30 @@
+/**
+ * @file download.js
+ * @description Save generated files (scenes, messages, recordings, screenshots) through the browser
+ * @dependencies None
+ */
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking in the same task cancels the download in some browsers (older Safari and Firefox)
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download a JSON document as a .json file
+ * @param {Object} doc - Document to save
+ * @param {string} filename - Suggested file name
+ * @param {number} [indent] - Indentation for readable files (compact when omitted)
+ */
+export function downloadJson(doc, filename, indent) {
+    downloadBlob(new Blob([JSON.stringify(doc, null, indent)], { type: 'application/json' }), filename);
+}
@@ -1,20 +1,23 @@
 /**
  * @file geometry-helpers.js
  * @description Helper functions for 3D geometry calculations
- * @dependencies None
+ * @dependencies random.js
  */
 
+import { random } from './random.js';
+
 /**
  * Generate a random point within a sphere
  * @param {number} radius - Sphere radius
+ * @param {Function} [rng=random] - Random number generator
  * @returns {THREE.Vector3} Random point within sphere
  */
-export function randomInSphere(radius) {
+export function randomInSphere(radius, rng = random) {
     let x, y, z;
     do {
-        x = (Math.random() - 0.5) * 2 * radius;
-        y = (Math.random() - 0.5) * 2 * radius;
-        z = (Math.random() - 0.5) * 2 * radius;
+        x = (rng() - 0.5) * 2 * radius;
+        y = (rng() - 0.5) * 2 * radius;
+        z = (rng() - 0.5) * 2 * radius;
     } while (x*x + y*y + z*z > radius * radius);
     
     return new THREE.Vector3(x, y, z);
@@ -25,13 +28,14 @@ export function randomInSphere(radius) {
  * @param {number} height - Cone height
  * @param {number} baseRadius - Base radius of cone
  * @param {number} t - Parameter from 0 to 1 (0 = bottom, 1 = top)
+ * @param {Function} [rng=random] - Random number generator
  * @returns {THREE.Vector3} Point on cone surface
  */
-export function randomOnCone(height, baseRadius, t) {
+export function randomOnCone(height, baseRadius, t, rng = random) {
     const y_local = t * height;
     const y = y_local - height / 2; // Center vertically
     const r = baseRadius * (1 - y_local / height);
-    const theta = Math.random() * Math.PI * 2;
+    const theta = rng() * Math.PI * 2;
     
     const x = r * Math.cos(theta);
     const z = r * Math.sin(theta);
@@ -41,9 +45,10 @@ export function randomOnCone(height, baseRadius, t) {
 
 /**
  * Create a cloud texture using canvas
+ * @param {Function} [rng=random] - Random number generator
  * @returns {THREE.CanvasTexture} Cloud texture
  */
-export function createCloudTexture() {
+export function createCloudTexture(rng = random) {
     const canvas = document.createElement('canvas');
     canvas.width = 256;
     canvas.height = 256;
@@ -55,9 +60,9 @@ export function createCloudTexture() {
 
     // Draw multiple overlapping circles for cloud effect
     for (let i = 0; i < 8; i++) {
-        const x = Math.random() * 256;
-        const y = Math.random() * 256;
-        const radius = 30 + Math.random() * 60;
+        const x = rng() * 256;
+        const y = rng() * 256;
+        const radius = 30 + rng() * 60;
         
         const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
         gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
@@ -93,3 +98,144 @@ export function createSnowTexture() {
     const texture = new THREE.CanvasTexture(canvas);
     return texture;
 }
+
+/**
+ * Create a blossom petal particle texture (a soft teardrop)
+ * @returns {THREE.CanvasTexture} Petal texture
+ */
+export function createPetalTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+
+    const gradient = ctx.createRadialGradient(16, 18, 0, 16, 18, 14);
+    gradient.addColorStop(0, 'rgba(255,255,255,1)');
+    gradient.addColorStop(0.7, 'rgba(255,255,255,0.9)');
+    gradient.addColorStop(1, 'rgba(255,255,255,0)');
+
+    // Rounded petal tip at the bottom, notched top
+    ctx.beginPath();
+    ctx.moveTo(16, 30);
+    ctx.bezierCurveTo(2, 22, 4, 6, 12, 4);
+    ctx.lineTo(16, 8);
+    ctx.lineTo(20, 4);
+    ctx.bezierCurveTo(28, 6, 30, 22, 16, 30);
+    ctx.closePath();
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    const texture = new THREE.CanvasTexture(canvas);
+    return texture;
+}
+
+// Snowflake kinds drawn into the atlas, in turn
+const SNOWFLAKE_KINDS = ['stellar', 'dendrite', 'plate'];
+
+/**
+ * Trace a hexagon with corners on the six arm directions
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (origin at the flake center)
+ * @param {number} radius - Corner distance from the center
+ */
+function traceHexagon(ctx, radius) {
+    ctx.beginPath();
+    for (let k = 0; k < 6; k++) {
+        const angle = k * Math.PI / 3;
+        ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+    }
+    ctx.closePath();
+}
+
+/**
+ * Draw one six-fold snowflake: its arm is planned once, then drawn six times
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (origin at the flake center)
+ * @param {string} kind - 'stellar' (few long side branches), 'dendrite' (dense fern-like
+ *     branches) or 'plate' (hexagonal plate with ridges)
+ * @param {number} radius - Arm length
+ * @param {Function} rng - Random number generator
+ */
+function drawSnowflake(ctx, kind, radius, rng) {
+    // Side branches: [distance along the arm, branch length]
+    const branches = [];
+    let plate = 0;
+    let stub = 0;
+
+    if (kind === 'stellar') {
+        const count = 1 + Math.floor(rng() * 2);
+        for (let b = 0; b < count; b++) {
+            branches.push([radius * (0.35 + b * 0.3 + rng() * 0.1), radius * (0.3 - b * 0.08)]);
+        }
+    } else if (kind === 'dendrite') {
+        for (let at = radius * 0.2; at < radius * 0.9; at += radius * (0.12 + rng() * 0.05)) {
+            branches.push([at, (radius - at) * (0.45 + rng() * 0.2)]);
+        }
+    } else {
+        plate = radius * (0.55 + rng() * 0.2);
+        stub = rng() < 0.5 ? radius : plate;
+    }
+
+    const line = (x1, y1, x2, y2) => {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    };
+    const branchX = Math.cos(Math.PI / 3);
+    const branchY = Math.sin(Math.PI / 3);
+
+    ctx.lineWidth = radius * (kind === 'dendrite' ? 0.05 : 0.07);
+    if (plate > 0) {
+        traceHexagon(ctx, plate);
+        ctx.fill();
+        ctx.stroke();
+        traceHexagon(ctx, plate * 0.45);
+        ctx.stroke();
+    } else {
+        traceHexagon(ctx, radius * 0.15);
+        ctx.fill();
+    }
+
+    for (let k = 0; k < 6; k++) {
+        ctx.save();
+        ctx.rotate(k * Math.PI / 3);
+        line(0, 0, plate > 0 ? stub : radius, 0);
+        branches.forEach(([at, length]) => {
+            line(at, 0, at + branchX * length, branchY * length);
+            line(at, 0, at + branchX * length, -branchY * length);
+        });
+        ctx.restore();
+    }
+}
+
+/**
+ * Create a texture atlas of six-fold snowflakes (stellar, dendrite and plate
+ * shapes in a square grid). The grid size is in texture.userData.atlasColumns.
+ * @param {Function} [rng=random] - Random number generator
+ * @returns {THREE.CanvasTexture} Snowflake atlas
+ */
+export function createSnowflakeAtlas(rng = random) {
+    const columns = 4;
+    const cell = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * cell;
+    canvas.height = columns * cell;
+    const ctx = canvas.getContext('2d');
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.95)';
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    ctx.lineCap = 'round';
+    ctx.shadowColor = 'rgba(255,255,255,0.8)';
+    ctx.shadowBlur = 4;
+
+    for (let i = 0; i < columns * columns; i++) {
+        ctx.save();
+        ctx.translate((i % columns + 0.5) * cell, (Math.floor(i / columns) + 0.5) * cell);
+        ctx.rotate(Math.PI / 6); // Point an arm straight up
+        drawSnowflake(ctx, SNOWFLAKE_KINDS[i % SNOWFLAKE_KINDS.length], cell * 0.42, rng);
+        ctx.restore();
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.userData = { atlasColumns: columns };
+    return texture;
+}
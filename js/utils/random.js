@@ -0,0 +1,84 @@
+/**
+ * @file random.js
+ * @description Seedable pseudo-random number generation for reproducible scenes
+ * @dependencies None
+ */
+
+// Seed of the current scene and the shared stream derived from it
+let currentSeed = generateSeed();
+let sharedStream = randomStream('shared');
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - Input string
+ * @returns {number} 32-bit hash
+ */
+export function hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a fresh, human-friendly seed
+ * @returns {string} Random seed (8 base-36 characters)
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFFFF).toString(36).padStart(8, '0').slice(-8);
+}
+
+/**
+ * Set the scene seed. Streams created afterwards derive from it.
+ * @param {string|number} seed - Any string or number
+ */
+export function setSeed(seed) {
+    currentSeed = String(seed);
+    sharedStream = randomStream('shared');
+}
+
+/**
+ * Get the current scene seed
+ * @returns {string} Seed
+ */
+export function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * Create an independent generator for one subsystem.
+ * Each subsystem gets its own stream so adding random calls in one place
+ * does not shift the numbers every other generator sees.
+ * @param {string} name - Subsystem name (e.g. 'ornaments', 'snow')
+ * @returns {Function} Seeded generator returning numbers in [0, 1)
+ */
+export function randomStream(name) {
+    return createRandom(hashString(`${currentSeed}:${name}`));
+}
+
+/**
+ * Draw from the shared seeded stream.
+ * Default generator for code that is not handed a dedicated stream.
+ * @returns {number} Number in [0, 1)
+ */
+export function random() {
+    return sharedStream();
+}
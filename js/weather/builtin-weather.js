@@ -0,0 +1,58 @@
+/**
+ * @file builtin-weather.js
+ * @description Built-in weather modes (calm, light snow, blizzard, clear night)
+ * @dependencies None
+ */
+
+/**
+ * Built-in weather modes. Every mode sets:
+ * - windSpeed: mean wind speed (units per second, blowing toward CONFIG.weather.direction)
+ * - gusts: how strongly the wind comes and goes (0 steady, 1 between half and double strength)
+ * - turbulence: how far flakes flutter off their path (units)
+ * - snowfall: share of the flakes falling (0 none, 1 all of CONFIG.snowCount)
+ * - fallSpeed: fall speed multiplier
+ * - clouds: cloud opacity multiplier
+ * @type {Array<Object>}
+ */
+export const BUILTIN_WEATHER_MODES = [
+    {
+        id: 'calm',
+        label: '🌤️ Calm',
+        windSpeed: 0.5,
+        gusts: 0.1,
+        turbulence: 0.1,
+        snowfall: 0.3,
+        fallSpeed: 0.8,
+        clouds: 1
+    },
+    {
+        id: 'light-snow',
+        label: '🌨️ Light snow',
+        windSpeed: 2,
+        gusts: 0.3,
+        turbulence: 0.4,
+        snowfall: 0.6,
+        fallSpeed: 1,
+        clouds: 1.3
+    },
+    {
+        id: 'blizzard',
+        label: '❄️ Blizzard',
+        windSpeed: 12,
+        gusts: 0.6,
+        turbulence: 1.5,
+        snowfall: 1,
+        fallSpeed: 1.8,
+        clouds: 2
+    },
+    {
+        id: 'clear-night',
+        label: '🌙 Clear night',
+        windSpeed: 1,
+        gusts: 0.2,
+        turbulence: 0.1,
+        snowfall: 0,
+        fallSpeed: 1,
+        clouds: 0.2
+    }
+];
@@ -0,0 +1,162 @@
+/**
+ * @file weather.js
+ * @description Registry of weather modes and the weather engine: a global wind field
+ * (direction, gusts, turbulence) and snowfall that blend smoothly between modes,
+ * played one at a time or on a schedule
+ * @dependencies builtin-weather.js, math-helpers.js
+ */
+
+import { BUILTIN_WEATHER_MODES } from './builtin-weather.js';
+import { clamp, lerp } from '../utils/math-helpers.js';
+
+// Registered modes by id (insertion order is the UI order)
+const modes = new Map();
+
+// Mode values blended during a transition
+const BLENDED_KEYS = ['windSpeed', 'gusts', 'turbulence', 'snowfall', 'fallSpeed', 'clouds'];
+
+/**
+ * Register a weather mode
+ * @param {Object} mode - Mode definition (see builtin-weather.js)
+ * @param {string} mode.id - Unique identifier
+ * @param {string} mode.label - Label shown in the UI
+ */
+export function registerWeatherMode(mode) {
+    const missing = BLENDED_KEYS.filter(key => typeof mode[key] !== 'number');
+    if (!mode.id || missing.length > 0) {
+        throw new Error(`Weather mode needs an id and numbers for: ${BLENDED_KEYS.join(', ')}`);
+    }
+    modes.set(mode.id, mode);
+}
+
+/**
+ * Get a registered weather mode
+ * @param {string} id - Mode id
+ * @returns {Object} Mode definition
+ */
+export function getWeatherMode(id) {
+    const mode = modes.get(id);
+    if (!mode) {
+        throw new Error(`Unknown weather mode: ${id}`);
+    }
+    return mode;
+}
+
+/**
+ * Check whether a weather mode is registered
+ * @param {string} id - Mode id
+ * @returns {boolean} True if registered
+ */
+export function hasWeatherMode(id) {
+    return modes.has(id);
+}
+
+/**
+ * List all registered weather modes
+ * @returns {Array<Object>} Mode definitions
+ */
+export function listWeatherModes() {
+    return Array.from(modes.values());
+}
+
+/**
+ * Pick the blended values out of a mode
+ * @param {Object} mode - Mode definition
+ * @returns {Object} Values by key
+ */
+function modeValues(mode) {
+    const values = {};
+    BLENDED_KEYS.forEach(key => {
+        values[key] = mode[key];
+    });
+    return values;
+}
+
+/**
+ * Create the weather engine. CONFIG.weather.mode is a mode id, or 'schedule' to
+ * step through CONFIG.weather.schedule.
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object} Weather with state, update() and setMode()
+ */
+export function createWeather(CONFIG) {
+    const settings = CONFIG.weather;
+    const startId = settings.mode === 'schedule' ? settings.schedule[0].mode : settings.mode;
+
+    let time = 0;
+    let scheduleIndex = 0;
+    let scheduleElapsed = 0;
+    let from = modeValues(getWeatherMode(startId));
+    let to = from;
+    let blend = 1;
+
+    /**
+     * Current weather, read by the snow, clouds, star dust and garlands every frame
+     * @type {Object}
+     */
+    const state = {
+        mode: startId,
+        wind: new THREE.Vector2(), // Wind velocity on the ground plane (x, z), gusts included
+        gust: 0,                   // Current gust strength (0 to 1)
+        ...from
+    };
+
+    const blendTo = (id) => {
+        from = modeValues(state);
+        to = modeValues(getWeatherMode(id));
+        blend = 0;
+        state.mode = id;
+    };
+
+    return {
+        state,
+
+        /**
+         * Advance the schedule, the blend between modes and the wind
+         * @param {number} dt - Seconds since the last frame
+         */
+        update(dt) {
+            time += dt;
+
+            if (settings.mode === 'schedule' && settings.schedule.length > 1) {
+                scheduleElapsed += dt;
+                if (scheduleElapsed >= settings.schedule[scheduleIndex].duration) {
+                    scheduleElapsed = 0;
+                    scheduleIndex = (scheduleIndex + 1) % settings.schedule.length;
+                    blendTo(settings.schedule[scheduleIndex].mode);
+                }
+            }
+
+            if (blend < 1) {
+                blend = settings.transitionTime > 0 ? Math.min(blend + dt / settings.transitionTime, 1) : 1;
+                const eased = blend * blend * (3 - 2 * blend);
+                BLENDED_KEYS.forEach(key => {
+                    state[key] = lerp(from[key], to[key], eased);
+                });
+            }
+
+            // Gusts: two slow waves beating against each other, only the peaks count
+            state.gust = clamp(Math.sin(time * 0.9) * Math.sin(time * 0.37 + 1.7) * 2, 0, 1);
+            const speed = state.windSpeed * (1 - state.gusts * 0.5 + state.gusts * 1.5 * state.gust);
+
+            // The direction wanders a little around the configured one
+            const direction = (settings.direction + Math.sin(time * 0.05) * settings.wander) * Math.PI / 180;
+            state.wind.set(Math.cos(direction) * speed, Math.sin(direction) * speed);
+        },
+
+        /**
+         * Blend to a mode, or go (back) to the schedule
+         * @param {string} id - Mode id, or 'schedule'
+         */
+        setMode(id) {
+            settings.mode = id;
+            if (id === 'schedule') {
+                scheduleElapsed = 0;
+                blendTo(settings.schedule[scheduleIndex].mode);
+            } else {
+                blendTo(id);
+            }
+        }
+    };
+}
+
+BUILTIN_WEATHER_MODES.forEach(registerWeatherMode);
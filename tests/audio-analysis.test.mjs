@@ -0,0 +1,95 @@
+/**
+ * @file audio-analysis.test.mjs
+ * @description Runs the offline audio analysis on generated tones and clicks and checks
+ * which band each lands in and where beats fire.
+ * Run with: npm test (see README)
+ * @dependencies config.js, audio-analysis.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../js/config.js';
+import { analyzeSamples } from '../js/audio/audio-analysis.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * A steady sine tone
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} seconds - Length
+ * @returns {Float32Array} Samples
+ */
+function sine(frequency, seconds) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = 0.5 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+/**
+ * Single-sample clicks in silence
+ * @param {number} interval - Seconds between clicks
+ * @param {number} seconds - Length
+ * @returns {Float32Array} Samples
+ */
+function clicks(interval, seconds) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let time = interval; time < seconds; time += interval) {
+        samples[Math.round(time * SAMPLE_RATE)] = 1;
+    }
+    return samples;
+}
+
+/**
+ * Average band levels once the analyzer has settled (the last half of the frames)
+ * @param {Array<Object>} frames - Levels per frame
+ * @returns {Object} { bass, mid, treble }
+ */
+function settledLevels(frames) {
+    const settled = frames.slice(Math.floor(frames.length / 2));
+    const average = (band) => settled.reduce((sum, frame) => sum + frame[band], 0) / settled.length;
+    return { bass: average('bass'), mid: average('mid'), treble: average('treble') };
+}
+
+/**
+ * Band with the highest level
+ * @param {Object} levels - { bass, mid, treble }
+ * @returns {string} Band name
+ */
+function loudestBand(levels) {
+    return Object.keys(levels).reduce((loudest, band) => (levels[band] > levels[loudest] ? band : loudest));
+}
+
+for (const [frequency, band] of [[100, 'bass'], [1000, 'mid'], [5000, 'treble']]) {
+    test(`a ${frequency} Hz tone lands in the ${band} band`, () => {
+        const levels = settledLevels(analyzeSamples(sine(frequency, 2), SAMPLE_RATE, CONFIG));
+        assert.equal(loudestBand(levels), band, JSON.stringify(levels));
+        // Bands average over all their bins, so a lone tone in a wide band reads low; the rest stay near zero
+        Object.keys(levels)
+            .filter(other => other !== band)
+            .forEach(other => assert.ok(levels[other] < levels[band] / 10, JSON.stringify(levels)));
+    });
+}
+
+test('a steady tone has no beats', () => {
+    const frames = analyzeSamples(sine(100, 3), SAMPLE_RATE, CONFIG);
+    assert.equal(frames.filter(frame => frame.beat).length, 0);
+});
+
+test('clicks fire one beat each, and the pulse decays between them', () => {
+    const interval = 0.5;
+    const frames = analyzeSamples(clicks(interval, 4), SAMPLE_RATE, CONFIG);
+    const beats = frames.filter(frame => frame.beat).map(frame => frame.time);
+
+    // Clicks at 0.5 s to 3.5 s; a frame hears a click up to one window after it
+    const window = CONFIG.audio.fftSize / SAMPLE_RATE;
+    assert.equal(beats.length, 7, `beats at ${beats.join(', ')}`);
+    beats.forEach((time, i) => {
+        const click = (i + 1) * interval;
+        assert.ok(time >= click && time <= click + window, `beat ${i} at ${time}s`);
+    });
+
+    const beforeNextClick = frames.filter(frame => frame.time > 1.4 && frame.time < 1.5);
+    assert.ok(beforeNextClick.every(frame => frame.pulse < 0.5), 'pulse decayed');
+});
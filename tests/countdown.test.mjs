@@ -0,0 +1,92 @@
+/**
+ * @file countdown.test.mjs
+ * @description Steps the countdown on a manual clock across the final minute, zero and the
+ * finale, and checks that the gather and fireworks triggers each fire exactly once.
+ * Run with: npm test (see README)
+ * @dependencies config.js, clock.js, countdown.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../js/config.js';
+import { createManualClock } from '../js/utils/clock.js';
+import { createCountdown } from '../js/countdown/countdown.js';
+
+/**
+ * Configuration with the countdown aimed at a target in UTC
+ * @param {string} target - Preset id or 'YYYY-MM-DDTHH:MM[:SS]'
+ * @returns {Object} Configuration object
+ */
+function countdownConfig(target) {
+    return { ...CONFIG, countdown: { ...CONFIG.countdown, enabled: true, target, timeZone: 'UTC' } };
+}
+
+/**
+ * Step a countdown from one instant to another and record what main.js reacts to:
+ * entering the final minute gathers the tree, entering the finale starts the fireworks
+ * @param {Object} config - Configuration object
+ * @param {number} fromMs - Start (epoch milliseconds)
+ * @param {number} toMs - End (epoch milliseconds)
+ * @param {number} stepMs - Clock step per frame
+ * @returns {Object} { triggers: [{ trigger, at }], texts, phases }
+ */
+function runCountdown(config, fromMs, toMs, stepMs) {
+    const clock = createManualClock(fromMs);
+    const countdown = createCountdown(config, clock);
+    const triggers = [];
+    const texts = new Map();
+    const phases = [];
+
+    for (; clock.now() <= toMs; clock.advance(stepMs)) {
+        const status = countdown.update();
+        if (status.phase !== status.previousPhase) {
+            phases.push(status.phase);
+            if (status.phase === 'final-minute') triggers.push({ trigger: 'gather', at: clock.now() });
+            if (status.phase === 'finale') triggers.push({ trigger: 'fireworks', at: clock.now() });
+        }
+        texts.set(clock.now(), status.text);
+    }
+
+    return { triggers, texts, phases };
+}
+
+test('a custom date gathers once at the final minute and fires once at zero', () => {
+    const config = countdownConfig('2026-12-31T23:59:00');
+    const zero = Date.UTC(2026, 11, 31, 23, 59, 0);
+    const { finalMinuteSeconds, finaleSeconds } = config.countdown;
+    const { triggers, texts, phases } = runCountdown(config, zero - 90_000, zero + (finaleSeconds + 10) * 1000, 250);
+
+    assert.deepEqual(triggers, [
+        { trigger: 'gather', at: zero - finalMinuteSeconds * 1000 },
+        { trigger: 'fireworks', at: zero }
+    ]);
+    assert.deepEqual(phases, ['counting', 'final-minute', 'finale', 'done']);
+    assert.equal(texts.get(zero - 90_000), '00:01:30');
+    assert.equal(texts.get(zero - 1000), '1');
+    assert.equal(texts.get(zero), config.countdown.message);
+});
+
+test('a yearly target rolls on to next year after the finale without firing again', () => {
+    const config = countdownConfig('new-year');
+    const zero = Date.UTC(2027, 0, 1);
+    const { finaleSeconds } = config.countdown;
+    const { triggers, texts, phases } = runCountdown(config, zero - 75_000, zero + (finaleSeconds + 60) * 1000, 1000);
+
+    assert.deepEqual(triggers.map(({ trigger }) => trigger), ['gather', 'fireworks']);
+    assert.equal(triggers[1].at, zero);
+    assert.deepEqual(phases, ['counting', 'final-minute', 'finale', 'counting']);
+    assert.equal(texts.get(zero), 'Happy New Year!');
+    assert.equal(texts.get(zero + (finaleSeconds + 60) * 1000), '364d 23:58:30');
+});
+
+test('frames that jump into the final minute and past zero still gather and fire once each', () => {
+    const config = countdownConfig('2026-12-24T18:00');
+    const zero = Date.UTC(2026, 11, 24, 18);
+    // A background tab waking up every 35 seconds: 100 s, 65 s and 30 s left, then 5 s past zero
+    const { triggers } = runCountdown(config, zero - 100_000, zero + 5_000, 35_000);
+
+    assert.deepEqual(triggers, [
+        { trigger: 'gather', at: zero - 30_000 },
+        { trigger: 'fireworks', at: zero + 5_000 }
+    ]);
+});
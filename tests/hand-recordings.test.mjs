@@ -0,0 +1,196 @@
+/**
+ * @file hand-recordings.test.mjs
+ * @description Replays every fixture in fixtures/hand-recordings through the hand
+ * pipeline, both all at once (replayRecording) and through the replay input provider
+ * on a simulated clock, and checks the gestures and actions each one produces.
+ * Run with: npm test (see README)
+ * @dependencies three (npm), hand-tracking.js, hand-recording.js, input-registry.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+
+// The app loads three.js as a global
+globalThis.THREE = THREE;
+
+const { CONFIG } = await import('../js/config.js');
+const { resetHandState, processHandResults } = await import('../js/interactions/hand-tracking.js');
+const { parseHandRecording, replayRecording } = await import('../js/interactions/hand-recording.js');
+const { createHandInput } = await import('../js/interactions/hand-input/input-registry.js');
+
+const FIXTURES = new URL('../fixtures/hand-recordings/', import.meta.url);
+
+/**
+ * Expected outcome per fixture: the gestures that settle, in order (without
+ * 'none', 'partial' and repeats), and the actions that run
+ */
+const EXPECTED = {
+    'fist-then-open': { gestures: ['open', 'fist', 'open'], actions: ['gather', 'scatter'] },
+    pinch: { gestures: ['open', 'pinch', 'open'], actions: [] },
+    'swipe-right': { gestures: ['open', 'swipe-right', 'open'], actions: ['next-formation'] },
+    'thumbs-up': { gestures: ['fist', 'thumbs-up'], actions: ['gather', 'screenshot'] },
+    'tilted-hand': { gestures: ['fist', 'open', 'fist'], actions: ['gather', 'scatter', 'gather'] },
+    // Single-frame fists inside an open hand are rejected by the smoothing and hysteresis
+    flicker: { gestures: ['open'], actions: [] },
+    'two-hands': { gestures: ['two-hands', 'hands-up', 'open'], actions: ['celebrate'] }
+};
+
+/**
+ * Dependencies for the hand pipeline that log what the gesture actions do
+ * @returns {Object} Dependencies plus actions (log) and camera
+ */
+function createTestDependencies() {
+    const actions = [];
+    const isGathered = { value: false };
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    camera.position.set(0, 0, 40);
+
+    return {
+        actions,
+        camera,
+        CONFIG,
+        isGathered,
+        animationState: {},
+        ornaments: [],
+        topStar: null,
+        garlands: null,
+        starLight: null,
+        snowParticles: null,
+        // Gather and scatter queue a transition after flipping isGathered
+        commandQueue: { enqueue: () => actions.push(isGathered.value ? 'gather' : 'scatter') },
+        setFormationProgress: () => {},
+        nextFormation: () => actions.push('next-formation'),
+        nextTheme: () => actions.push('next-theme'),
+        takeScreenshot: () => actions.push('screenshot'),
+        celebrate: () => actions.push('celebrate'),
+        controls: { target: new THREE.Vector3(), minDistance: 20, maxDistance: 100 }
+    };
+}
+
+/**
+ * Reduce the gestures shown frame by frame to the ones that settled
+ * @param {Array<string>} shown - Gesture shown per frame
+ * @returns {Array<string>} Settled gestures in order
+ */
+function settledGestures(shown) {
+    return shown
+        .filter(gesture => gesture !== 'none' && gesture !== 'partial')
+        .filter((gesture, i, list) => i === 0 || gesture !== list[i - 1]);
+}
+
+/**
+ * Run a callback with Date.now and the timer functions on a simulated clock,
+ * advancing it from timer to timer until none are left
+ * @param {Function} run - Called once the simulated clock is in place
+ * @returns {Promise<void>}
+ */
+async function withSimulatedClock(run) {
+    const real = { now: Date.now, setTimeout: globalThis.setTimeout, clearTimeout: globalThis.clearTimeout };
+    let now = 1_000_000;
+    let nextId = 1;
+    const timers = new Map();
+
+    Date.now = () => now;
+    globalThis.setTimeout = (callback, delay = 0) => {
+        timers.set(nextId, { callback, time: now + delay });
+        return nextId++;
+    };
+    globalThis.clearTimeout = (id) => timers.delete(id);
+
+    try {
+        await run();
+        while (timers.size > 0) {
+            const [id, timer] = [...timers].reduce((first, entry) => (entry[1].time < first[1].time ? entry : first));
+            timers.delete(id);
+            now = timer.time;
+            timer.callback();
+        }
+    } finally {
+        Date.now = real.now;
+        globalThis.setTimeout = real.setTimeout;
+        globalThis.clearTimeout = real.clearTimeout;
+    }
+}
+
+/**
+ * Load a fixture recording
+ * @param {string} name - Fixture name (without .json)
+ * @returns {Object} Valid hand recording
+ */
+function loadFixture(name) {
+    return parseHandRecording(readFileSync(new URL(`${name}.json`, FIXTURES), 'utf8'));
+}
+
+/**
+ * Check what a replay produced
+ * @param {string} name - Fixture name
+ * @param {Array<string>} shown - Gesture shown per frame
+ * @param {Object} dependencies - Test dependencies (with the action log)
+ */
+function assertOutcome(name, shown, dependencies) {
+    assert.deepEqual(settledGestures(shown), EXPECTED[name].gestures, 'gestures');
+    assert.deepEqual(dependencies.actions, EXPECTED[name].actions, 'actions');
+}
+
+for (const name of Object.keys(EXPECTED)) {
+    test(`${name}: replayed all at once`, () => {
+        const dependencies = createTestDependencies();
+        const shown = [];
+        resetHandState(CONFIG);
+        replayRecording(loadFixture(name), (results, time) => {
+            shown.push(processHandResults(results, dependencies, time));
+        });
+        assertOutcome(name, shown, dependencies);
+    });
+
+    test(`${name}: played by the replay input provider`, async () => {
+        const dependencies = createTestDependencies();
+        const shown = [];
+        let ended = false;
+        resetHandState(CONFIG);
+        await withSimulatedClock(async () => {
+            const input = createHandInput('replay', { CONFIG, recording: loadFixture(name), onEnd: () => { ended = true; } });
+            await input.start((results, time) => {
+                shown.push(processHandResults(results, dependencies, time));
+            });
+        });
+        assert.ok(ended, 'replay reached the end');
+        assertOutcome(name, shown, dependencies);
+    });
+}
+
+test('one frame: the replay input has started before the frame plays and the replay ends', async () => {
+    const dependencies = createTestDependencies();
+    const recording = loadFixture('fist-then-open');
+    recording.frames = recording.frames.slice(0, 1);
+    const events = [];
+    resetHandState(CONFIG);
+    await withSimulatedClock(async () => {
+        const input = createHandInput('replay', { CONFIG, recording, onEnd: () => events.push('end') });
+        await input.start((results, time) => {
+            processHandResults(results, dependencies, time);
+            events.push('frame');
+        });
+        events.push('started');
+    });
+    assert.deepEqual(events, ['started', 'frame', 'end']);
+});
+
+test('two-hands: spreading zooms in to the limit, steering orbits and comes back', () => {
+    const dependencies = createTestDependencies();
+    const { camera, controls } = dependencies;
+    const spherical = new THREE.Spherical();
+    const frames = [];
+    resetHandState(CONFIG);
+    replayRecording(loadFixture('two-hands'), (results, time) => {
+        processHandResults(results, dependencies, time);
+        frames.push(spherical.setFromVector3(camera.position).clone());
+    });
+
+    assert.equal(frames[0].radius, 40);
+    assert.ok(Math.abs(Math.min(...frames.map(frame => frame.radius)) - controls.minDistance) < 1e-6, 'zoomed in to minDistance');
+    assert.ok(Math.max(...frames.map(frame => frame.theta)) > 0.5, 'orbited while the hands turned');
+    assert.ok(Math.abs(frames[frames.length - 1].theta) < 0.1, 'orbited back when the hands straightened');
+});
@@ -0,0 +1,71 @@
+/**
+ * @file messages.test.mjs
+ * @description Checks that stored ornament messages stay on the same ornaments when the
+ * page reloads and would otherwise pick a fresh random seed.
+ * Run with: npm test (see README)
+ * @dependencies three (npm), config.js, random.js, ornaments.js, message-file.js, message-storage.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+// The app loads three.js as a global and keeps messages in localStorage
+globalThis.THREE = THREE;
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+};
+
+const { CONFIG } = await import('../js/config.js');
+const { setSeed, randomStream } = await import('../js/utils/random.js');
+const { generateOrnamentLayout } = await import('../js/entities/ornaments.js');
+const { assignMessages } = await import('../js/persistence/message-file.js');
+const { saveStoredMessages, loadStoredMessages, loadStoredMessageSeed } = await import('../js/persistence/message-storage.js');
+
+const MESSAGES = [
+    { id: 'anna', author: 'Anna', message: 'Merry Christmas, team!' },
+    { id: 'binh', author: 'Bình', message: 'Chúc mừng năm mới!', ornament: 12 },
+    { id: 'chris', author: 'Chris', message: 'Happy holidays!' }
+];
+
+/**
+ * Build the ornament layout for a seed, as init() does, and find where each message hangs
+ * @param {string} seed - Scene seed
+ * @param {Array<Object>} messages - Messages
+ * @returns {Map<string, string>} Tree position ("x,y,z") per message id
+ */
+function messagePositions(seed, messages) {
+    setSeed(seed);
+    const layout = generateOrnamentLayout(CONFIG, randomStream('ornaments'));
+    const positions = new Map();
+    assignMessages(messages, layout.length).forEach((item, index) => {
+        positions.set(item.id, layout[index].treePosition.toArray().join(','));
+    });
+    return positions;
+}
+
+test('stored messages keep their ornaments across a reload with a new random seed', () => {
+    storage.clear();
+    const before = messagePositions('alpha', MESSAGES);
+    saveStoredMessages(MESSAGES, 'alpha');
+
+    // Reload: no seed in the link, a fresh one generated, the stored messages read back
+    const fresh = 'beta';
+    const seed = loadStoredMessageSeed() || fresh;
+    const after = messagePositions(seed, loadStoredMessages());
+
+    assert.equal(seed, 'alpha');
+    assert.deepEqual(after, before);
+    // The same indices on the fresh seed's tree are other ornaments
+    assert.notDeepEqual(messagePositions(fresh, MESSAGES), before);
+});
+
+test('no seed is kept without messages', () => {
+    storage.clear();
+    saveStoredMessages([], 'alpha');
+    assert.equal(loadStoredMessageSeed(), null);
+    assert.deepEqual(loadStoredMessages(), []);
+});